@@ -0,0 +1,147 @@
+/**
+ * Base Branch Comparison - Is a CI failure new in this PR, or already broken on the base branch?
+ *
+ * Compares a PR build's failing jobs (and their extracted test failures) with
+ * recent builds of the same pipeline on the PR's base branch:
+ *   new            Passing on the base branch - caused by this PR
+ *   also-failing   Failing the same way on the base branch's latest build
+ *   fixed          Failed on an earlier base build, passing on the latest -
+ *                  rebase to pick up the fix
+ *
+ * Works from the base branch builds of a provider with getBranchBuilds (see
+ * ci-providers.js). Base job logs are streamed to a temporary file, like the
+ * PR's own (see log-stream.js), so huge ones aren't read into memory.
+ */
+
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { mkdtemp, rm } from 'fs/promises';
+import { extractTestFailures } from './test-failures.js';
+import { streamLogToFile } from './log-stream.js';
+
+// Builds whose jobs have all finished
+const FINISHED_BUILD_STATES = ['passed', 'failed', 'success', 'failure'];
+
+/**
+ * Human-readable label for a comparison status
+ */
+export function getBaseLabel(status, baseBranch) {
+  switch (status) {
+    case 'new': return 'new in this PR';
+    case 'also-failing': return `also failing on ${baseBranch}`;
+    case 'fixed': return `fixed on ${baseBranch}`;
+    default: return `some failures also seen on ${baseBranch}`;
+  }
+}
+
+/**
+ * Test failures of a base build's job (parsed from its log, or the excerpt of
+ * a huge one)
+ */
+async function getBaseFailures(provider, baseBuild, baseJob) {
+  if (!provider.streamJobLog) {
+    const { log } = await provider.getJobLog(baseBuild.ref, baseJob);
+    return log ? extractTestFailures(log) : [];
+  }
+
+  const { stream, error } = await provider.streamJobLog(baseBuild.ref, baseJob);
+  if (error) return [];
+  const dir = await mkdtemp(join(tmpdir(), 'pr-watcher-base-'));
+  try {
+    const { excerpt, error: saveError } = await streamLogToFile(stream, join(dir, 'job.log'));
+    return saveError ? [] : extractTestFailures(excerpt);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Compare one failing job with a base build where the same job failed.
+ * Failures matching the base ones get `matchStatus`, the rest are 'new'.
+ * Returns the job's status.
+ */
+async function compareJobFailures(provider, result, baseBuild, baseJob, matchStatus, baseBranch) {
+  const baseFailures = await getBaseFailures(provider, baseBuild, baseJob);
+  const baseTests = new Set(baseFailures.map(f => f.test).filter(Boolean));
+
+  // Without test names on both sides, the job failing is all we know
+  if (result.failures.length === 0 || baseTests.size === 0) {
+    for (const failure of result.failures) {
+      failure.base = { status: matchStatus, label: getBaseLabel(matchStatus, baseBranch) };
+    }
+    return matchStatus;
+  }
+
+  for (const failure of result.failures) {
+    const status = baseTests.has(failure.test) ? matchStatus : 'new';
+    failure.base = { status, label: getBaseLabel(status, baseBranch) };
+  }
+  const statuses = new Set(result.failures.map(f => f.base.status));
+  return statuses.size === 1 ? [...statuses][0] : 'mixed';
+}
+
+/**
+ * Annotate failing jobs (results of fetchFailureLogs) with how they compare to
+ * the base branch: sets `base: { status, label, buildNumber, buildUrl }` on each
+ * job and `base: { status, label }` on each of its failures. `baseBuilds` are
+ * the base branch's recent builds, newest first (from getBranchBuilds).
+ * Returns the base branch build compared against, or null if there is none.
+ */
+export async function compareWithBase(provider, jobs, baseBuilds, baseBranch) {
+  if (!baseBuilds || jobs.length === 0) return null;
+
+  const finished = baseBuilds.filter(b => FINISHED_BUILD_STATES.includes(b.state));
+  const latest = finished[0];
+  if (!latest) return null;
+
+  const findFailingJob = (build, job) =>
+    provider.getFailingJobs(build).find(other => (other.key || other.name) === (job.key || job.name));
+
+  for (const result of jobs) {
+    const latestFailing = findFailingJob(latest, result.job);
+    let status = 'new';
+    let compared = latest;
+
+    if (latestFailing) {
+      status = await compareJobFailures(provider, result, latest, latestFailing, 'also-failing', baseBranch);
+    } else {
+      // Broken on an earlier base build, since fixed?
+      const earlier = finished.slice(1).find(build => findFailingJob(build, result.job));
+      if (earlier) {
+        compared = earlier;
+        status = await compareJobFailures(provider, result, earlier, findFailingJob(earlier, result.job), 'fixed', baseBranch);
+      } else {
+        for (const failure of result.failures) {
+          failure.base = { status: 'new', label: getBaseLabel('new', baseBranch) };
+        }
+      }
+    }
+
+    result.base = {
+      status,
+      label: getBaseLabel(status, baseBranch),
+      buildNumber: status === 'new' ? null : compared.number,
+      buildUrl: status === 'new' ? null : compared.url,
+    };
+  }
+
+  return latest;
+}
+
+/**
+ * Overall comparison of a CI failure's jobs (annotated by compareWithBase):
+ * { status, label, buildNumber, buildUrl } of the jobs if they agree, a 'mixed'
+ * status otherwise, or null if none were compared.
+ */
+export function summarizeBaseComparison(jobs, baseBranch) {
+  const compared = jobs.filter(j => j.base).map(j => j.base);
+  if (compared.length === 0) return null;
+  if (compared.every(base => base.status === compared[0].status)) return compared[0];
+  const earlier = compared.find(base => base.buildNumber);
+  return {
+    status: 'mixed',
+    label: getBaseLabel('mixed', baseBranch),
+    buildNumber: earlier?.buildNumber || null,
+    buildUrl: earlier?.buildUrl || null,
+  };
+}
@@ -0,0 +1,317 @@
+/**
+ * Review Bot Registry - Which review bots PR Watcher recognizes and how to read them
+ *
+ * Each bot entry defines:
+ *   id            Unique key (stored on issues as `bot`)
+ *   logins        Login matchers - substrings (case-insensitive) or "/regex/" strings
+ *   icon, label, name   Display info (🤖 [CURSOR] / "Cursorbot Issues")
+ *   prComments    Also treat the bot's top-level PR comments as issues (default: false)
+ *   parse(body)   Returns { title, severity, suggestedFix, location }
+ *
+ * Built-in parsers: Cursorbot, Codex, CodeRabbit, Copilot. More bots (or overrides
+ * of built-ins, matched by id) can be configured in bots.json next to this file,
+ * or the file named by PR_WATCHER_BOTS. See bots.example.json.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync, existsSync } from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_CONFIG_FILE = join(__dirname, 'bots.json');
+export const SEVERITY_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * Extract a short title from a comment body (first heading, bold line, or first line)
+ */
+export function extractTitle(body, maxLength = 80) {
+  if (!body) return 'Issue';
+  const titleMatch = body.match(/^#+\s*(.+)$/m) || body.match(/^\*\*(.+?)\*\*/m);
+  const title = titleMatch ? titleMatch[1] : body.split('\n').find(line => line.trim());
+  return (title || 'Issue').trim().slice(0, maxLength);
+}
+
+/**
+ * Extract a GitHub ```suggestion block (or a ```diff block) as the suggested fix
+ */
+export function extractSuggestedFix(body) {
+  const match = body?.match(/```suggestion[^\n]*\n([\s\S]*?)```/) ||
+                body?.match(/```diff[^\n]*\n([\s\S]*?)```/);
+  return match ? match[1].replace(/\n$/, '') : null;
+}
+
+/**
+ * Severity from Cursorbot's "High Severity" marker
+ */
+function parseCursorSeverity(body) {
+  const match = body.match(/\*\*(High|Medium|Low)\s+Severity\*\*/i) ||
+                body.match(/(High|Medium|Low)\s+Severity/i);
+  if (!match) return null;
+  const level = match[1].toLowerCase();
+  return { level, label: level === 'high' ? 'HIGH' : level === 'medium' ? 'MED' : 'LOW' };
+}
+
+/**
+ * Severity from Codex's P0/P1/P2 badges
+ */
+function parseCodexSeverity(body) {
+  const match = body.match(/!\[(P[0-3]) Badge\]/i) || body.match(/[🔴🟡🟢]?\s*\b(P[0-3])\b/i);
+  if (!match) return null;
+  const label = match[1].toUpperCase();
+  return { level: label === 'P0' ? 'high' : label === 'P1' ? 'medium' : 'low', label };
+}
+
+// CodeRabbit's "_⚠️ Potential issue_ | _🟠 Major_" style markers, most severe first
+const CODERABBIT_SEVERITIES = [
+  { pattern: /_🔴 Critical_/, level: 'high', label: 'CRITICAL' },
+  { pattern: /_🟠 Major_/, level: 'high', label: 'MAJOR' },
+  { pattern: /_🟡 Minor_/, level: 'medium', label: 'MINOR' },
+  { pattern: /_⚠️ Potential issue_/, level: 'medium', label: 'ISSUE' },
+  { pattern: /_🛠️ Refactor suggestion_/, level: 'low', label: 'REFACTOR' },
+  { pattern: /_🧹 Nitpick_|_🔵 Trivial_/, level: 'low', label: 'NIT' },
+];
+
+/**
+ * Default parse: title, no severity, ```suggestion block
+ */
+function parseGeneric(body) {
+  return {
+    title: extractTitle(body),
+    severity: null,
+    suggestedFix: extractSuggestedFix(body),
+    location: null,
+  };
+}
+
+// Built-in bots. Order matters: the first matching entry wins, so the broad
+// 'cursor' substring comes last.
+const BUILT_IN_BOTS = [
+  {
+    id: 'codex',
+    logins: ['codex'],                  // chatgpt-codex-connector[bot]
+    icon: '🧠',
+    label: 'CODEX',
+    name: 'Codex Review',
+    parse(body) {
+      // Titles look like **<sub><sub>![P1 Badge](...)</sub></sub>  Title**
+      const titleMatch = body.match(/^\*\*(?:<sub>)*!\[P\d Badge\]\([^)]*\)(?:<\/sub>)*\s*(.+?)\*\*/m);
+      return {
+        ...parseGeneric(body),
+        title: titleMatch ? titleMatch[1].trim().slice(0, 80) : extractTitle(body),
+        severity: parseCodexSeverity(body),
+      };
+    },
+  },
+  {
+    id: 'coderabbit',
+    logins: ['coderabbit'],             // coderabbitai[bot]
+    icon: '🐰',
+    label: 'CODERABBIT',
+    name: 'CodeRabbit',
+    parse(body) {
+      const severity = CODERABBIT_SEVERITIES.find(s => s.pattern.test(body));
+      return {
+        ...parseGeneric(body),
+        // The marker line comes first; the title is the first bold line
+        title: body.match(/^\*\*(.+?)\*\*/m)?.[1].slice(0, 80) || extractTitle(body),
+        severity: severity ? { level: severity.level, label: severity.label } : null,
+      };
+    },
+  },
+  {
+    id: 'copilot',
+    logins: ['copilot'],                // copilot-pull-request-reviewer[bot], Copilot
+    icon: '✈️',
+    label: 'COPILOT',
+    name: 'Copilot Review',
+    parse(body) {
+      // Plain prose - use the first sentence as the title
+      const firstLine = body.split('\n').find(line => line.trim()) || '';
+      const sentence = firstLine.match(/^(.+?[.!?])(\s|$)/)?.[1] || firstLine;
+      return {
+        ...parseGeneric(body),
+        title: sentence.trim().slice(0, 80) || 'Issue',
+      };
+    },
+  },
+  {
+    id: 'cursor',
+    logins: ['cursor'],                 // cursor[bot]
+    icon: '🤖',
+    label: 'CURSOR',
+    name: 'Cursorbot',
+    prComments: true,
+    parse(body) {
+      return {
+        ...parseGeneric(body),
+        severity: parseCursorSeverity(body),
+      };
+    },
+  },
+];
+
+// Display info for unresolved threads from human reviewers (issue.bot === 'human').
+// Not a bot - it never matches a login.
+export const HUMAN_REVIEWER = {
+  id: 'human',
+  icon: '👤',
+  label: 'REVIEWER',
+  name: 'Reviewer',
+};
+
+/**
+ * Build a login matcher from "substring" or "/regex/flags"
+ */
+function compileLoginMatcher(matcher) {
+  if (typeof matcher !== 'string') {
+    throw new Error(`login matcher ${JSON.stringify(matcher)} is not a string`);
+  }
+  const regexMatch = matcher.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2] || 'i');
+    return login => regex.test(login);
+  }
+  const lower = matcher.toLowerCase();
+  return login => login.toLowerCase().includes(lower);
+}
+
+/**
+ * Build a parser from a config entry's regex patterns (falls back to the generic parser).
+ *   title:        regex, group 1 is the title
+ *   severity:     [{ pattern, level, label }] - first match wins; label defaults to group 1
+ *   suggestedFix: regex, group 1 is the fix
+ *   location:     regex with (?<path>...) and (?<line>...) groups (or groups 1 and 2)
+ * Throws on invalid patterns or severity levels.
+ */
+function compileConfigParser(entry, fallback) {
+  const compile = pattern => pattern ? new RegExp(pattern, 'im') : null;
+  const titlePattern = compile(entry.title);
+  const fixPattern = compile(entry.suggestedFix);
+  const locationPattern = compile(entry.location);
+  if (entry.severity !== undefined && !Array.isArray(entry.severity)) {
+    throw new Error('severity must be a list of { pattern, level, label }');
+  }
+  const severities = (entry.severity || []).map(s => {
+    if (s.level !== undefined && !SEVERITY_LEVELS.includes(s.level)) {
+      throw new Error(`unknown severity level "${s.level}" (expected ${SEVERITY_LEVELS.join(', ')})`);
+    }
+    if (!s.pattern) throw new Error('severity entry without a pattern');
+    return { ...s, regex: compile(s.pattern) };
+  });
+
+  return body => {
+    const parsed = fallback(body);
+
+    const title = titlePattern && body.match(titlePattern)?.[1];
+    if (title) parsed.title = title.trim().slice(0, 80);
+
+    for (const severity of severities) {
+      const match = body.match(severity.regex);
+      if (match) {
+        parsed.severity = { level: severity.level || 'medium', label: severity.label || (match[1] || '').toUpperCase() };
+        break;
+      }
+    }
+
+    const fix = fixPattern && body.match(fixPattern)?.[1];
+    if (fix) parsed.suggestedFix = fix;
+
+    const location = locationPattern && body.match(locationPattern);
+    if (location) {
+      const path = location.groups?.path || location[1];
+      const line = parseInt(location.groups?.line || location[2]) || null;
+      parsed.location = { path, line };
+    }
+
+    return parsed;
+  };
+}
+
+/**
+ * Load bot config entries from bots.json (or PR_WATCHER_BOTS)
+ */
+function loadConfigEntries() {
+  const file = process.env.PR_WATCHER_BOTS || DEFAULT_CONFIG_FILE;
+  if (!existsSync(file)) return [];
+
+  try {
+    const config = JSON.parse(readFileSync(file, 'utf-8'));
+    return Array.isArray(config) ? config : (config.bots || []);
+  } catch (e) {
+    console.error(`Could not load bot config ${file}:`, e.message);
+    return [];
+  }
+}
+
+let registry = null;
+
+/**
+ * Get all enabled bots (config entries first, so they take precedence when matching).
+ * Invalid config entries (bad patterns, unknown severity levels) are reported
+ * once and skipped - a built-in bot they override stays as it is.
+ */
+export function getBots() {
+  if (registry) return registry;
+
+  const configIds = new Set();
+  const bots = [];
+
+  for (const entry of loadConfigEntries()) {
+    if (!entry.id) continue;
+
+    // Entries with a built-in id override that bot's fields
+    const builtIn = BUILT_IN_BOTS.find(b => b.id === entry.id);
+    const base = builtIn || { icon: '💬', label: `${entry.id}`.toUpperCase(), name: entry.id, logins: [], parse: parseGeneric };
+    let bot;
+    try {
+      const logins = entry.logins || base.logins;
+      if (!Array.isArray(logins)) throw new Error('logins must be a list');
+      bot = {
+        ...base,
+        ...entry,
+        logins,
+        parse: compileConfigParser(entry, base.parse),
+        matchers: logins.map(compileLoginMatcher),
+      };
+    } catch (e) {
+      console.error(`Skipping bot "${entry.id}" in bot config: ${e.message}`);
+      continue;
+    }
+
+    configIds.add(entry.id);
+    if (bot.enabled !== false) bots.push(bot);
+  }
+
+  for (const builtIn of BUILT_IN_BOTS) {
+    if (!configIds.has(builtIn.id)) bots.push({ ...builtIn, matchers: builtIn.logins.map(compileLoginMatcher) });
+  }
+
+  registry = bots;
+  return registry;
+}
+
+/**
+ * Find the bot a login belongs to, or null
+ */
+export function findBot(login) {
+  if (!login) return null;
+  return getBots().find(bot => bot.matchers.some(matches => matches(login))) || null;
+}
+
+/**
+ * Get a bot's display info by id (HUMAN_REVIEWER for 'human'), or null
+ */
+export function getBot(id) {
+  if (id === HUMAN_REVIEWER.id) return HUMAN_REVIEWER;
+  return getBots().find(bot => bot.id === id) || null;
+}
+
+/**
+ * Parse a comment body with its bot's parser: { title, severity, suggestedFix, location }
+ */
+export function parseBotComment(bot, body) {
+  if (!body) return { title: 'Issue', severity: null, suggestedFix: null, location: null };
+  return (bot?.parse || parseGeneric)(body);
+}
@@ -3,24 +3,27 @@
 /**
  * Buildkite API integration for PR Watcher
  * 
- * Fetches build details and failure logs from Buildkite.
+ * Fetches build details and failure logs from Buildkite, and retries failed
+ * jobs. Also exported as a CI provider (see ci-providers.js).
  * 
  * Usage:
  *   node buildkite.js <buildkite-url>
  *   node buildkite.js https://buildkite.com/handshake/handshake/builds/494087
  */
 
-import { config } from 'dotenv';
+import './env.js';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-config({ path: join(__dirname, '.env') });
+import { extractTestFailures, formatTestFailures } from './test-failures.js';
 
 const BUILDKITE_TOKEN = process.env.BUILDKITE_TOKEN;
 const BUILDKITE_API = 'https://api.buildkite.com/v2';
 
+// Job states that count as failures
+const FAILED_JOB_STATES = ['failed', 'timed_out', 'canceled'];
+
+// Previous builds of the branch checked for a job's history
+const HISTORY_BUILDS = 10;
+
 const COLORS = {
   reset: '\x1b[0m',
   bright: '\x1b[1m',
@@ -83,16 +86,48 @@ export async function getBuildDetails(org, pipeline, buildNumber) {
   }
 }
 
+/**
+ * Fetch the most recent builds of a branch (newest first, with their jobs)
+ */
+export async function getBranchBuilds(org, pipeline, branch, limit = HISTORY_BUILDS) {
+  if (!BUILDKITE_TOKEN) {
+    return { error: 'BUILDKITE_TOKEN not set in .env file' };
+  }
+
+  try {
+    const response = await fetch(
+      `${BUILDKITE_API}/organizations/${org}/pipelines/${pipeline}/builds?branch=${encodeURIComponent(branch)}&per_page=${limit}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${BUILDKITE_TOKEN}`,
+        },
+      }
+    );
+
+    if (!response.ok) {
+      return { error: `Buildkite API error: ${response.status}` };
+    }
+
+    return { builds: await response.json() };
+  } catch (e) {
+    return { error: `Failed to fetch: ${e.message}` };
+  }
+}
+
+/**
+ * Key identifying the same job across retries and builds
+ */
+function getJobKey(job) {
+  return job.step_key || job.name || job.label;
+}
+
 /**
  * Get failing jobs from a build
  */
 export function getFailingJobs(build) {
   const jobs = build.jobs || [];
-  return jobs.filter(job => 
-    job.state === 'failed' || 
-    job.state === 'timed_out' ||
-    job.state === 'canceled'
-  );
+  // Retried attempts stay in the build - only the latest attempt counts
+  return jobs.filter(job => FAILED_JOB_STATES.includes(job.state) && !job.retried);
 }
 
 /**
@@ -124,6 +159,124 @@ export async function getJobLog(org, pipeline, buildNumber, jobId) {
   }
 }
 
+/**
+ * Open a job's log as plain text, for streaming: { stream } (the response body) or { error }.
+ * Unlike getJobLog, nothing is read into memory.
+ */
+export async function streamJobLog(org, pipeline, buildNumber, jobId) {
+  if (!BUILDKITE_TOKEN) {
+    return { error: 'BUILDKITE_TOKEN not set' };
+  }
+
+  try {
+    const response = await fetch(
+      `${BUILDKITE_API}/organizations/${org}/pipelines/${pipeline}/builds/${buildNumber}/jobs/${jobId}/log`,
+      {
+        headers: {
+          'Authorization': `Bearer ${BUILDKITE_TOKEN}`,
+          'Accept': 'text/plain',
+        },
+      }
+    );
+
+    if (!response.ok) {
+      return { error: `Failed to fetch log: ${response.status}` };
+    }
+
+    return { stream: response.body };
+  } catch (e) {
+    return { error: `Failed to fetch log: ${e.message}` };
+  }
+}
+
+/**
+ * Retry a failed job
+ */
+export async function retryJob(org, pipeline, buildNumber, jobId) {
+  if (!BUILDKITE_TOKEN) {
+    return { error: 'BUILDKITE_TOKEN not set' };
+  }
+
+  try {
+    const response = await fetch(
+      `${BUILDKITE_API}/organizations/${org}/pipelines/${pipeline}/builds/${buildNumber}/jobs/${jobId}/retry`,
+      {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${BUILDKITE_TOKEN}`,
+        },
+      }
+    );
+
+    if (!response.ok) {
+      if (response.status === 403) {
+        return { error: 'Token lacks write_builds permission' };
+      }
+      return { error: `Failed to retry job: ${response.status}` };
+    }
+
+    return { job: await response.json() };
+  } catch (e) {
+    return { error: `Failed to retry job: ${e.message}` };
+  }
+}
+
+/**
+ * List a job's artifacts
+ */
+export async function getJobArtifacts(org, pipeline, buildNumber, jobId) {
+  if (!BUILDKITE_TOKEN) {
+    return { error: 'BUILDKITE_TOKEN not set' };
+  }
+
+  try {
+    const response = await fetch(
+      `${BUILDKITE_API}/organizations/${org}/pipelines/${pipeline}/builds/${buildNumber}/jobs/${jobId}/artifacts?per_page=100`,
+      {
+        headers: {
+          'Authorization': `Bearer ${BUILDKITE_TOKEN}`,
+        },
+      }
+    );
+
+    if (!response.ok) {
+      if (response.status === 403) {
+        return { error: 'Token lacks read_artifacts permission' };
+      }
+      return { error: `Failed to list artifacts: ${response.status}` };
+    }
+
+    return { artifacts: await response.json() };
+  } catch (e) {
+    return { error: `Failed to list artifacts: ${e.message}` };
+  }
+}
+
+/**
+ * Download an artifact's content (download_url redirects to a signed S3 URL)
+ */
+export async function getArtifactContent(artifact) {
+  if (!BUILDKITE_TOKEN) {
+    return { error: 'BUILDKITE_TOKEN not set' };
+  }
+
+  try {
+    const response = await fetch(artifact.download_url, {
+      headers: {
+        'Authorization': `Bearer ${BUILDKITE_TOKEN}`,
+      },
+    });
+
+    if (!response.ok) {
+      return { error: `Failed to download ${artifact.path}: ${response.status}` };
+    }
+
+    return { content: Buffer.from(await response.arrayBuffer()) };
+  } catch (e) {
+    return { error: `Failed to download ${artifact.path}: ${e.message}` };
+  }
+}
+
 /**
  * Extract error summary from log content
  */
@@ -181,6 +334,11 @@ export function extractErrorSummary(logContent, maxLines = 50) {
     }
   }
   
+  // Keep an error block that runs to the end of the log
+  if (inErrorBlock && errorBlockLines.length > 0) {
+    errors.push(errorBlockLines.join('\n'));
+  }
+  
   // If we didn't find specific errors, get the last N lines
   if (errors.length === 0) {
     const lastLines = lines.slice(-maxLines).join('\n');
@@ -222,10 +380,11 @@ export function formatBuildDetails(build, failingJobs, jobLogs = {}) {
       // Show log content if we have it
       const logResult = jobLogs[job.id];
       if (logResult?.log) {
-        const errorSummary = extractErrorSummary(logResult.log);
+        const failures = extractTestFailures(logResult.log);
+        const errorSummary = failures.length > 0 ? formatTestFailures(failures) : extractErrorSummary(logResult.log);
         if (errorSummary) {
           output.push('');
-          output.push(`${COLORS.red}Error Output:${COLORS.reset}`);
+          output.push(`${COLORS.red}${failures.length > 0 ? 'Failures' : 'Error Output'}:${COLORS.reset}`);
           output.push(errorSummary);
         }
       } else if (logResult?.error) {
@@ -239,6 +398,116 @@ export function formatBuildDetails(build, failingJobs, jobLogs = {}) {
   return output.join('\n');
 }
 
+/**
+ * Build in the CI provider shape (see ci-providers.js)
+ */
+function normalizeBuild(ref, build) {
+  return {
+    ref,
+    number: build.number,
+    state: build.state,
+    branch: build.branch,
+    commit: build.commit,
+    pipeline: `${ref.org}/${ref.pipeline}`,
+    message: build.message,
+    url: build.web_url,
+    // Skip wait/block/trigger steps - only script jobs have logs
+    jobs: (build.jobs || []).filter(job => !job.type || job.type === 'script').map(job => ({
+      id: job.id,
+      key: getJobKey(job),
+      name: job.name || job.label || job.step_key,
+      state: job.state,
+      url: job.web_url,
+      retried: Boolean(job.retried),
+    })),
+  };
+}
+
+// Buildkite as a CI provider (see ci-providers.js for the interface)
+export const buildkiteProvider = {
+  id: 'buildkite',
+  name: 'Buildkite',
+  tokenEnv: 'BUILDKITE_TOKEN',
+
+  isConfigured() {
+    return Boolean(BUILDKITE_TOKEN);
+  },
+
+  matchUrl(url) {
+    return parseBuildkiteUrl(url || '');
+  },
+
+  async getBuild(ref) {
+    const { build, error } = await getBuildDetails(ref.org, ref.pipeline, ref.buildNumber);
+    if (error) return { error };
+    return { build: normalizeBuild(ref, build) };
+  },
+
+  async getBranchBuilds(ref, branch) {
+    const { builds, error } = await getBranchBuilds(ref.org, ref.pipeline, branch);
+    if (error) return { error };
+    return { builds: builds.map(build => normalizeBuild({ ...ref, buildNumber: `${build.number}` }, build)) };
+  },
+
+  getFailingJobs(build) {
+    return build.jobs.filter(job => FAILED_JOB_STATES.includes(job.state) && !job.retried);
+  },
+
+  getJobLog(ref, job) {
+    return getJobLog(ref.org, ref.pipeline, ref.buildNumber, job.id);
+  },
+
+  streamJobLog(ref, job) {
+    return streamJobLog(ref.org, ref.pipeline, ref.buildNumber, job.id);
+  },
+
+  async getJobHistory(ref, build, job, branchBuilds = null) {
+    // Earlier attempts of the job in this build (retries), then the same job on previous builds
+    const attempts = build.jobs
+      .filter(other => other.key === job.key && other.id !== job.id)
+      .map(other => ({ buildNumber: build.number, commit: build.commit, state: other.state, retry: true }));
+
+    let builds = branchBuilds;
+    if (!builds && build.branch) {
+      ({ builds } = await buildkiteProvider.getBranchBuilds(ref, build.branch));
+    }
+    for (const previous of (builds || []).filter(b => b.number < build.number)) {
+      for (const other of previous.jobs.filter(j => j.key === job.key)) {
+        attempts.push({ buildNumber: previous.number, commit: previous.commit, state: other.state, retry: other.retried });
+      }
+    }
+
+    return { attempts };
+  },
+
+  async listArtifacts(ref, job) {
+    const { artifacts, error } = await getJobArtifacts(ref.org, ref.pipeline, ref.buildNumber, job.id);
+    if (error) return { error };
+    return {
+      // Artifacts still uploading (or that failed to upload) can't be downloaded
+      artifacts: artifacts.filter(a => a.state === 'finished').map(a => ({
+        path: a.path,
+        size: a.file_size,
+        downloadUrl: a.download_url,
+      })),
+    };
+  },
+
+  downloadArtifact(artifact) {
+    return getArtifactContent({ path: artifact.path, download_url: artifact.downloadUrl });
+  },
+
+  async retry(ref, build) {
+    let retried = 0;
+    for (const job of this.getFailingJobs(build)) {
+      const { error } = await retryJob(ref.org, ref.pipeline, ref.buildNumber, job.id);
+      if (error) return { error, retried };
+      retried++;
+    }
+    return { retried };
+  },
+};
+
 /**
  * Main entry point for CLI usage
  */
@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+
+/**
+ * CI Providers - Pluggable CI integrations for PR Watcher
+ *
+ * Each provider implements:
+ *   id, name, tokenEnv         Identity, and the .env variable holding its token
+ *   isConfigured()             Whether its token(s) are set
+ *   matchUrl(url)              Build reference for a check/status URL, or null
+ *   getBuild(ref)              { build } or { error }
+ *                                build: { number, state, branch, commit, pipeline, message, url,
+ *                                         jobs: [{ id, key, name, state, url }] }
+ *   getFailingJobs(build)      Failing jobs of a build
+ *   getJobLog(ref, job)        { log } or { error }
+ *   streamJobLog(ref, job)     Optional - { stream } (a response body) or { error }, for saving
+ *                                logs too big to read into memory
+ *   retry(ref, build)          Retry the failing jobs: { retried } or { error }
+ *   cleanLog(log)              Optional - strip provider noise (default: ANSI codes)
+ *   summarizeLog(log, job)     Optional - summary saved ahead of the full log
+ *   listArtifacts(ref, job)    Optional - { artifacts: [{ path, size, downloadUrl }] } or { error }
+ *   downloadArtifact(artifact) Optional - { content } (a Buffer) or { error }
+ *   getJobHistory(ref, build, job, branchBuilds)  Optional - earlier attempts of the job (retries,
+ *                                previous builds of the branch - branchBuilds, from getBranchBuilds,
+ *                                when already fetched): { attempts: [{ buildNumber, commit, state, retry }] }
+ *   getBranchBuilds(ref, branch)  Optional - recent builds of the pipeline on a branch, newest
+ *                                first: { builds } (each with `ref`, for getJobLog) or { error }
+ *
+ * The first provider whose matchUrl accepts a URL handles it. Test failures
+ * come from a job's test report artifacts (JUnit XML, Jest/RSpec JSON) when it
+ * has any, else from its log (see test-failures.js). Flakiness comes from the
+ * job's history (see flaky.js), and the comparison with the PR's base branch
+ * from its recent builds (see base-compare.js). Saved logs are streamed to disk
+ * and indexed (see log-stream.js).
+ *
+ * Usage:
+ *   node ci-providers.js <ci-url> [--retry] [--download <dir>]
+ */
+
+import './env.js';
+import { fileURLToPath } from 'url';
+import { dirname, join, normalize } from 'path';
+import { mkdirSync, writeFileSync } from 'fs';
+import { buildkiteProvider, extractErrorSummary } from './buildkite.js';
+import { githubActionsProvider } from './github-actions.js';
+import { circleciProvider } from './circleci.js';
+import { jenkinsProvider } from './jenkins.js';
+import { extractTestFailures, isTestReportPath, parseTestReport, formatTestFailures } from './test-failures.js';
+import { checkFlakiness } from './flaky.js';
+import { compareWithBase } from './base-compare.js';
+import { streamLogToFile, stripAnsi } from './log-stream.js';
+import { rerequestCheckSuite } from './pr-data.js';
+
+export const CI_PROVIDERS = [
+  buildkiteProvider,
+  githubActionsProvider,
+  circleciProvider,
+  jenkinsProvider,
+];
+
+// Artifact download limits (per failing job)
+const MAX_ARTIFACTS_PER_JOB = 50;
+const MAX_ARTIFACT_BYTES = 50 * 1024 * 1024;
+
+const COLORS = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m',
+};
+
+/**
+ * Find the provider for a CI URL: { provider, ref } or null
+ */
+export function findCIProvider(url) {
+  if (!url) return null;
+  for (const provider of CI_PROVIDERS) {
+    const ref = provider.matchUrl(url);
+    if (ref) return { provider, ref };
+  }
+  return null;
+}
+
+/**
+ * The CI URL of a CI issue that a provider recognizes (details URL first -
+ * a check run's html_url is GitHub's page), or null
+ */
+export function getIssueCIUrl(issue) {
+  return [issue.detailsUrl, issue.url].find(url => findCIProvider(url)) || null;
+}
+
+/**
+ * Clean a log with the provider's cleaner (default: strip ANSI escape codes)
+ */
+export function cleanLog(provider, log) {
+  if (provider.cleanLog) return provider.cleanLog(log);
+  return (log || '').replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Relative path for an artifact inside a download directory (no "..", no leading "/")
+ */
+function safeArtifactPath(path) {
+  return normalize(path).split(/[\\/]+/).filter(part => part && part !== '.' && part !== '..').join('/');
+}
+
+/**
+ * Directory name for a job's artifacts
+ */
+function jobDirName(job) {
+  return `${job.name}`.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || `${job.id}`;
+}
+
+/**
+ * Stream a job's log into <logsDir>/<job>.log (see log-stream.js), cleaning it
+ * line by line. Returns { log, logFile, rawLog } or { error } - `log` is the whole
+ * clean log, or an excerpt of it when logFile.truncated; `rawLog` is the log as
+ * downloaded when the provider can't stream it (so it is in memory anyway), else null.
+ */
+async function saveJobLog(provider, ref, job, logsDir) {
+  const { stream, log, error } = provider.streamJobLog
+    ? await provider.streamJobLog(ref, job)
+    : await provider.getJobLog(ref, job);
+  if (error) return { error };
+
+  const path = join(logsDir, `${jobDirName(job)}.log`);
+  try {
+    mkdirSync(logsDir, { recursive: true });
+  } catch (e) {
+    return { error: `Failed to save log: ${e.message}` };
+  }
+  const { excerpt, error: saveError, ...logFile } = await streamLogToFile(stream ?? log, path, {
+    cleanLine: line => cleanLog(provider, stripAnsi(line)),
+  });
+  if (saveError) return { error: saveError };
+  return { log: excerpt, logFile: { path, ...logFile }, rawLog: stream ? null : log };
+}
+
+/**
+ * List a job's artifacts and fetch its test reports. With `artifactsDir`, every
+ * artifact (within the size limits) is also saved under <artifactsDir>/<job>/.
+ * Returns { artifacts: [{ path, size, localPath }], reports: [{ path, content }] }.
+ */
+async function getJobArtifacts(provider, ref, job, artifactsDir) {
+  if (!provider.listArtifacts) return { artifacts: [], reports: [] };
+
+  const { artifacts: listed, error } = await provider.listArtifacts(ref, job);
+  if (error) return { artifacts: [], reports: [] };
+
+  const artifacts = [];
+  const reports = [];
+  for (const artifact of listed.slice(0, MAX_ARTIFACTS_PER_JOB)) {
+    const isReport = isTestReportPath(artifact.path);
+    const entry = { path: artifact.path, size: artifact.size, localPath: null };
+    artifacts.push(entry);
+    if ((!artifactsDir && !isReport) || artifact.size > MAX_ARTIFACT_BYTES) continue;
+
+    const { content } = await provider.downloadArtifact(artifact);
+    if (!content) continue;
+
+    if (isReport) reports.push({ path: artifact.path, content: content.toString('utf-8') });
+    if (artifactsDir) {
+      const localPath = join(artifactsDir, jobDirName(job), safeArtifactPath(artifact.path));
+      try {
+        mkdirSync(dirname(localPath), { recursive: true });
+        writeFileSync(localPath, content);
+        entry.localPath = localPath;
+      } catch (e) {
+        // Leave localPath unset - the artifact is still listed
+      }
+    }
+  }
+
+  return { artifacts, reports };
+}
+
+/**
+ * Fetch a build's failing jobs with their logs.
+ * Returns { provider, build, baseBuild, jobs: [{ job, log, logFile, summary, failures, artifacts, flaky, base, error }] }
+ * or { error }.
+ * `log` is cleaned; `logFile` is the saved log with its index (see
+ * saveJobLog), or null; `summary` is the provider's summary (or null); `failures`
+ * are structured test failures (see test-failures.js), from the job's test
+ * reports when it has any, else from its log; `flaky` is why the job looks
+ * flaky (see flaky.js), or null; `base` is how the job compares with the base
+ * branch (see base-compare.js), or null. `baseBuild` is the base branch build
+ * compared against.
+ *
+ * Options:
+ *   artifactsDir   Download each failing job's artifacts into <artifactsDir>/<job>/
+ *   baseBranch     Compare the failures with recent builds of this branch
+ *   logsDir        Stream each failing job's log into <logsDir>/<job>.log instead of
+ *                  reading it into memory; `log` is then an excerpt for huge logs
+ */
+export async function fetchFailureLogs(url, { artifactsDir = null, baseBranch = null, logsDir = null } = {}) {
+  const match = findCIProvider(url);
+  if (!match) return { error: 'No CI provider recognizes this URL' };
+
+  const { provider, ref } = match;
+  if (!provider.isConfigured()) {
+    return { error: `${provider.tokenEnv} not set in .env file` };
+  }
+
+  const { build, error } = await provider.getBuild(ref);
+  if (error) return { error };
+
+  const failingJobs = provider.getFailingJobs(build);
+  const getBuilds = async branch => {
+    if (!provider.getBranchBuilds || !branch || failingJobs.length === 0) return null;
+    const { builds } = await provider.getBranchBuilds(ref, branch);
+    return builds || null;
+  };
+  // Recent builds of the build's branch (job history) - fetched once for all its failing jobs
+  const branchBuilds = provider.getJobHistory ? await getBuilds(build.branch) : null;
+
+  const jobs = [];
+  for (const job of failingJobs) {
+    const result = logsDir ? await saveJobLog(provider, ref, job, logsDir) : await provider.getJobLog(ref, job);
+    const { artifacts, reports } = await getJobArtifacts(provider, ref, job, artifactsDir);
+    const reportFailures = reports.flatMap(report => parseTestReport(report.content, report.path));
+    if (result.error) {
+      const flaky = await checkFlakiness(provider, ref, build, job, reportFailures, branchBuilds);
+      jobs.push({ job, log: null, logFile: null, summary: null, failures: reportFailures, artifacts, flaky, error: result.error });
+      continue;
+    }
+    const log = result.logFile ? result.log : cleanLog(provider, result.log);
+    const failures = reportFailures.length > 0 ? reportFailures : extractTestFailures(log);
+    jobs.push({
+      job,
+      log,
+      logFile: result.logFile || null,
+      // Summaries may need what cleaning strips (GitHub Actions matches steps by timestamp)
+      summary: provider.summarizeLog ? provider.summarizeLog(result.rawLog ?? result.log, job) : null,
+      failures,
+      artifacts,
+      flaky: await checkFlakiness(provider, ref, build, job, failures, branchBuilds),
+      error: null,
+    });
+  }
+
+  let baseBuild = null;
+  if (baseBranch && baseBranch !== build.branch) {
+    baseBuild = await compareWithBase(provider, jobs, await getBuilds(baseBranch), baseBranch);
+  }
+
+  return { provider, build, baseBuild, jobs: jobs.map(j => ({ base: null, ...j })) };
+}
+
+/**
+ * Retry the failing jobs of the build behind a CI URL: { provider, retried } or { error }
+ */
+export async function retryFailedJobs(url) {
+  const match = findCIProvider(url);
+  if (!match) return { error: 'No CI provider recognizes this URL' };
+
+  const { provider, ref } = match;
+  if (!provider.isConfigured()) {
+    return { error: `${provider.tokenEnv} not set in .env file` };
+  }
+
+  const { build, error } = await provider.getBuild(ref);
+  if (error) return { error };
+
+  const result = await provider.retry(ref, build);
+  return { provider, ...result };
+}
+
+/**
+ * Retry CI failures: failed jobs through their CI provider, else the GitHub
+ * check suite they belong to. Issues on the same build/suite are retried once.
+ * Returns [{ issueIds, target, retried, error }] - one entry per build/suite.
+ */
+export async function retryCIFailures(owner, repo, issues) {
+  const targets = new Map();
+  for (const issue of issues.filter(i => i.kind === 'ci')) {
+    const url = getIssueCIUrl(issue);
+    const match = url && findCIProvider(url);
+    const key = match
+      ? `${match.provider.id}:${JSON.stringify(match.ref)}`
+      : issue.checkSuiteId ? `suite:${issue.checkSuiteId}` : `none:${issue.id}`;
+    if (!targets.has(key)) targets.set(key, { url, issue, issueIds: [] });
+    targets.get(key).issueIds.push(issue.id);
+  }
+
+  const results = [];
+  for (const { url, issue, issueIds } of targets.values()) {
+    if (url) {
+      const { provider, retried, error } = await retryFailedJobs(url);
+      results.push({ issueIds, target: provider ? `${provider.name} ${url}` : url, retried: retried || 0, error: error || null });
+    } else if (issue.checkSuiteId) {
+      const { error } = await rerequestCheckSuite(owner, repo, issue.checkSuiteId);
+      results.push({ issueIds, target: `GitHub check suite ${issue.checkSuiteId}`, retried: error ? 0 : 1, error: error || null });
+    } else {
+      results.push({ issueIds, target: issue.url || issue.name, retried: 0, error: 'No supported CI provider or check suite to retry' });
+    }
+  }
+  return results;
+}
+
+/**
+ * Main entry point for CLI usage
+ */
+async function main() {
+  const url = process.argv[2];
+  const retry = process.argv.includes('--retry');
+  const downloadIndex = process.argv.indexOf('--download');
+  const artifactsDir = downloadIndex > 0 ? process.argv[downloadIndex + 1] : null;
+  const baseIndex = process.argv.indexOf('--base');
+  const baseBranch = baseIndex > 0 ? process.argv[baseIndex + 1] : null;
+
+  if (!url) {
+    console.error('Usage: node ci-providers.js <ci-url> [--retry] [--download <dir>] [--base <branch>]');
+    console.error('');
+    console.error(`Supported: ${CI_PROVIDERS.map(p => p.name).join(', ')}`);
+    console.error('');
+    console.error('Example:');
+    console.error('  node ci-providers.js https://app.circleci.com/pipelines/github/org/repo/123/workflows/<id>');
+    process.exit(1);
+  }
+
+  if (retry) {
+    const { provider, retried, error } = await retryFailedJobs(url);
+    if (error) {
+      console.error(`${COLORS.red}Error: ${error}${COLORS.reset}`);
+      process.exit(1);
+    }
+    console.log(`${COLORS.green}Retried ${retried} failing job(s) on ${provider.name}${COLORS.reset}`);
+    return;
+  }
+
+  console.log(`${COLORS.blue}Fetching build details...${COLORS.reset}\n`);
+
+  const { provider, build, baseBuild, jobs, error } = await fetchFailureLogs(url, { artifactsDir, baseBranch });
+  if (error) {
+    console.error(`${COLORS.red}Error: ${error}${COLORS.reset}`);
+    process.exit(1);
+  }
+
+  console.log(`${COLORS.bright}${provider.name} Build #${build.number}${COLORS.reset}`);
+  console.log(`${COLORS.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}State:${COLORS.reset} ${build.state}`);
+  if (build.branch) console.log(`${COLORS.blue}Branch:${COLORS.reset} ${build.branch}`);
+  if (build.message) console.log(`${COLORS.blue}Message:${COLORS.reset} ${build.message.split('\n')[0]}`);
+  console.log(`${COLORS.blue}URL:${COLORS.reset} ${build.url}`);
+  if (baseBuild) console.log(`${COLORS.blue}Compared with:${COLORS.reset} ${baseBranch} build #${baseBuild.number} (${baseBuild.state})`);
+  console.log('');
+
+  if (jobs.length === 0) {
+    console.log(`${COLORS.green}✅ No failing jobs${COLORS.reset}`);
+    return;
+  }
+
+  console.log(`${COLORS.red}❌ ${jobs.length} failing job(s):${COLORS.reset}\n`);
+  for (const { job, log, summary, failures, artifacts, flaky, base, error: logError } of jobs) {
+    console.log(`${COLORS.yellow}━━━ ${job.name} ━━━${COLORS.reset}`);
+    console.log(`${COLORS.blue}State:${COLORS.reset} ${job.state}`);
+    if (job.url) console.log(`${COLORS.blue}URL:${COLORS.reset} ${job.url}`);
+    if (flaky) console.log(`${COLORS.yellow}Likely flaky:${COLORS.reset} ${flaky}`);
+    if (base) console.log(`${COLORS.blue}Base branch:${COLORS.reset} ${base.label}${base.buildNumber ? ` (build #${base.buildNumber})` : ''}`);
+    if (artifacts.length > 0) {
+      console.log(`${COLORS.blue}Artifacts:${COLORS.reset}`);
+      for (const artifact of artifacts) console.log(`  ${artifact.localPath || artifact.path}`);
+    }
+
+    if (logError) {
+      console.log(`${COLORS.yellow}Could not fetch log: ${logError}${COLORS.reset}`);
+    }
+    if (failures.length > 0) {
+      console.log('');
+      console.log(`${COLORS.red}Failures:${COLORS.reset}`);
+      console.log(formatTestFailures(failures));
+    } else if (!logError) {
+      console.log('');
+      console.log(`${COLORS.red}Error Output:${COLORS.reset}`);
+      console.log(summary || extractErrorSummary(log));
+    }
+    console.log('');
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(console.error);
+}
@@ -0,0 +1,146 @@
+/**
+ * CI Timing - How long do checks usually take, and when will CI be done?
+ *
+ * Records the start and finish of each check run and commit status the
+ * watcher sees, and learns typical durations per check name (per repo) from
+ * recent successful runs (.state/ci-timings.json). Check runs carry their own
+ * start/finish times; commit statuses only have the time each state was
+ * posted, so a status is timed from when it was first seen pending.
+ *
+ * Estimates for running checks: remaining = typical duration - elapsed. CI as a
+ * whole is done when its slowest blocking check is. A check has "overrun" when
+ * it has run for OVERRUN_FACTOR times its typical duration, and at least
+ * MIN_OVERRUN_MS longer.
+ */
+
+import { join } from 'path';
+import { readFileSync, existsSync, writeFileSync, mkdirSync, renameSync } from 'fs';
+import { STATE_DIR } from './state.js';
+
+const TIMINGS_FILE = join(STATE_DIR, 'ci-timings.json');
+const MAX_SAMPLES_PER_CHECK = 20;      // Durations remembered per check
+const TIMING_RETENTION_DAYS = 30;
+const OVERRUN_FACTOR = 1.5;
+const MIN_OVERRUN_MS = 5 * 60 * 1000;
+
+/**
+ * Load timings: { checks: { [key]: [{ id, duration, finishedAt }] }, pending: { [key@sha]: startedAt } }
+ */
+function loadTimings() {
+  if (!existsSync(TIMINGS_FILE)) return { checks: {}, pending: {} };
+  try {
+    const timings = JSON.parse(readFileSync(TIMINGS_FILE, 'utf-8'));
+    return { checks: timings.checks || {}, pending: timings.pending || {} };
+  } catch (e) {
+    console.error(`Could not read CI timings ${TIMINGS_FILE}:`, e.message);
+    return { checks: {}, pending: {} };
+  }
+}
+
+/**
+ * Write timings (atomically), dropping old samples and stale pending starts
+ */
+function saveTimings(timings) {
+  const cutoff = Date.now() - TIMING_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [key, samples] of Object.entries(timings.checks)) {
+    const recent = samples.filter(s => new Date(s.finishedAt).getTime() > cutoff).slice(-MAX_SAMPLES_PER_CHECK);
+    if (recent.length > 0) timings.checks[key] = recent;
+    else delete timings.checks[key];
+  }
+  for (const [key, startedAt] of Object.entries(timings.pending)) {
+    if (new Date(startedAt).getTime() < cutoff) delete timings.pending[key];
+  }
+
+  try {
+    mkdirSync(STATE_DIR, { recursive: true });
+    writeFileSync(`${TIMINGS_FILE}.tmp`, JSON.stringify(timings, null, 2), 'utf-8');
+    renameSync(`${TIMINGS_FILE}.tmp`, TIMINGS_FILE);
+  } catch (e) {
+    console.error(`Could not save CI timings ${TIMINGS_FILE}:`, e.message);
+  }
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Record the checks of a commit and estimate when the running ones finish.
+ * checks: [{ id, name, kind: 'check-run' | 'status', state: 'pending' | 'success' | 'failure',
+ *            blocking, startedAt, completedAt }] - startedAt/completedAt are ISO
+ *   strings (for statuses, when the current state was posted), or null.
+ * Returns { checks: [{ name, blocking, started, elapsed, typical, remaining, overrun }] for
+ *   the pending ones, finishAt, longest, complete } - durations in ms, typical and
+ *   remaining null without history; finishAt (a Date) is when the slowest
+ *   blocking check should be done, longest its name, and complete whether every
+ *   pending blocking check had an estimate.
+ */
+export function updateCITimings(repo, sha, checks, now = Date.now()) {
+  const timings = loadTimings();
+  const estimates = [];
+
+  for (const check of checks) {
+    const key = `${repo}:${check.name}`;
+    const pendingKey = `${key}@${sha}`;
+    let startedAt = check.kind === 'check-run' ? check.startedAt : timings.pending[pendingKey];
+
+    if (check.state === 'pending') {
+      if (check.kind === 'status' && !startedAt && check.startedAt) {
+        startedAt = timings.pending[pendingKey] = check.startedAt;
+      }
+      const samples = timings.checks[key] || [];
+      const elapsed = startedAt ? Math.max(0, now - new Date(startedAt).getTime()) : 0;
+      const typical = samples.length > 0 ? median(samples.map(s => s.duration)) : null;
+      estimates.push({
+        name: check.name,
+        blocking: check.blocking,
+        started: Boolean(startedAt),
+        elapsed,
+        typical,
+        remaining: typical === null ? null : Math.max(0, typical - elapsed),
+        overrun: typical !== null && elapsed > Math.max(typical * OVERRUN_FACTOR, typical + MIN_OVERRUN_MS),
+      });
+      continue;
+    }
+
+    // Finished: learn from successful runs (failures often stop early)
+    delete timings.pending[pendingKey];
+    if (check.state !== 'success' || !startedAt || !check.completedAt) continue;
+    const samples = timings.checks[key] || [];
+    const id = `${check.id}`;
+    if (samples.some(s => s.id === id)) continue;
+    const duration = new Date(check.completedAt).getTime() - new Date(startedAt).getTime();
+    if (duration > 0) {
+      samples.push({ id, duration, finishedAt: check.completedAt });
+      timings.checks[key] = samples;
+    }
+  }
+
+  saveTimings(timings);
+
+  const blocking = estimates.filter(e => e.blocking);
+  const known = blocking.filter(e => e.remaining !== null);
+  const longest = known.reduce((slowest, e) => (!slowest || e.remaining > slowest.remaining ? e : slowest), null);
+  return {
+    checks: estimates,
+    finishAt: longest ? new Date(now + longest.remaining) : null,
+    longest: longest?.name || null,
+    complete: known.length === blocking.length,
+  };
+}
+
+/**
+ * Short human-readable duration: 45s, 12m, 1h05m
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
@@ -0,0 +1,229 @@
+/**
+ * CircleCI integration for PR Watcher
+ *
+ * CI provider (see ci-providers.js) for CircleCI workflows: looks up the
+ * workflow behind a status URL, its failing jobs and their step output, and
+ * re-runs failed jobs. Uses CIRCLECI_TOKEN (a personal API token).
+ *
+ * Recognized URLs:
+ *   https://app.circleci.com/pipelines/github/org/repo/123/workflows/<workflow-id>[/jobs/456]
+ *   https://circleci.com/gh/org/repo/456   (legacy job URL)
+ */
+
+const CIRCLECI_TOKEN = process.env.CIRCLECI_TOKEN;
+const CIRCLECI_API = 'https://circleci.com/api';
+
+// Job statuses that count as failures
+const FAILED_JOB_STATES = ['failed', 'error', 'infrastructure_fail', 'timedout', 'canceled'];
+
+// URL VCS names -> project slug prefix / v1.1 API VCS type
+const VCS_TYPES = {
+  github: { slug: 'gh', v1: 'github' },
+  gh: { slug: 'gh', v1: 'github' },
+  bitbucket: { slug: 'bb', v1: 'bitbucket' },
+  bb: { slug: 'bb', v1: 'bitbucket' },
+};
+
+/**
+ * Parse a CircleCI URL into { vcs, org, repo, slug, pipelineNumber, workflowId, jobNumber }
+ */
+export function parseCircleCIUrl(url) {
+  const appMatch = url?.match(/app\.circleci\.com\/pipelines\/(github|gh|bitbucket|bb)\/([^/]+)\/([^/]+)\/(\d+)\/workflows\/([0-9a-f-]+)(?:\/jobs\/(\d+))?/);
+  if (appMatch) {
+    const vcs = VCS_TYPES[appMatch[1]];
+    return {
+      vcs: vcs.v1,
+      org: appMatch[2],
+      repo: appMatch[3],
+      slug: `${vcs.slug}/${appMatch[2]}/${appMatch[3]}`,
+      pipelineNumber: appMatch[4],
+      workflowId: appMatch[5],
+      jobNumber: appMatch[6] || null,
+    };
+  }
+
+  const legacyMatch = url?.match(/circleci\.com\/(gh|bb)\/([^/]+)\/([^/]+)\/(\d+)/);
+  if (legacyMatch) {
+    const vcs = VCS_TYPES[legacyMatch[1]];
+    return {
+      vcs: vcs.v1,
+      org: legacyMatch[2],
+      repo: legacyMatch[3],
+      slug: `${vcs.slug}/${legacyMatch[2]}/${legacyMatch[3]}`,
+      pipelineNumber: null,
+      workflowId: null,
+      jobNumber: legacyMatch[4],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Call the CircleCI API. Returns { data } or { error }.
+ */
+async function circleRequest(path, options = {}) {
+  if (!CIRCLECI_TOKEN) {
+    return { error: 'CIRCLECI_TOKEN not set in .env file' };
+  }
+
+  try {
+    const response = await fetch(`${CIRCLECI_API}${path}`, {
+      ...options,
+      headers: {
+        'Circle-Token': CIRCLECI_TOKEN,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        return { error: 'Invalid CircleCI token' };
+      }
+      if (response.status === 404) {
+        return { error: 'Not found on CircleCI' };
+      }
+      return { error: `CircleCI API error: ${response.status}` };
+    }
+
+    return { data: await response.json() };
+  } catch (e) {
+    return { error: `Failed to fetch: ${e.message}` };
+  }
+}
+
+/**
+ * Fetch a workflow and all of its jobs. Returns { workflow, jobs } or { error }.
+ */
+export async function getWorkflow(workflowId) {
+  const { data: workflow, error } = await circleRequest(`/v2/workflow/${workflowId}`);
+  if (error) return { error };
+
+  const jobs = [];
+  let pageToken = null;
+  do {
+    const query = pageToken ? `?page-token=${encodeURIComponent(pageToken)}` : '';
+    const page = await circleRequest(`/v2/workflow/${workflowId}/job${query}`);
+    if (page.error) return { error: page.error };
+    jobs.push(...(page.data.items || []));
+    pageToken = page.data.next_page_token;
+  } while (pageToken);
+
+  return { workflow, jobs };
+}
+
+/**
+ * Find the workflow a job belongs to (for legacy job URLs)
+ */
+async function getJobWorkflowId(slug, jobNumber) {
+  const { data: job, error } = await circleRequest(`/v2/project/${slug}/job/${jobNumber}`);
+  if (error) return { error };
+  return { workflowId: job.latest_workflow?.id, pipelineNumber: job.pipeline?.number ?? null };
+}
+
+/**
+ * Fetch a job's step output (every step, in order). Steps are separated by
+ * "--- <step name>" lines.
+ */
+export async function getCircleCIJobLog(vcs, org, repo, jobNumber) {
+  const { data: job, error } = await circleRequest(`/v1.1/project/${vcs}/${org}/${repo}/${jobNumber}`);
+  if (error) return { error };
+
+  let log = '';
+  try {
+    for (const step of job.steps || []) {
+      for (const action of step.actions || []) {
+        log += `--- ${step.name}${action.status && action.status !== 'success' ? ` (${action.status})` : ''}\n`;
+        if (!action.output_url) continue;
+
+        // Output URLs are pre-signed - no token needed
+        const response = await fetch(action.output_url);
+        if (!response.ok) {
+          log += `Could not fetch step output: ${response.status}\n`;
+          continue;
+        }
+        const messages = await response.json();
+        log += messages.map(m => m.message).join('');
+        if (!log.endsWith('\n')) log += '\n';
+      }
+    }
+  } catch (e) {
+    return { error: `Failed to fetch log: ${e.message}` };
+  }
+
+  return { log };
+}
+
+/**
+ * Re-run a workflow from its failed jobs
+ */
+export async function rerunWorkflowFromFailed(workflowId) {
+  const { error } = await circleRequest(`/v2/workflow/${workflowId}/rerun`, {
+    method: 'POST',
+    body: JSON.stringify({ from_failed: true }),
+  });
+  return error ? { error } : { ok: true };
+}
+
+// CircleCI as a CI provider (see ci-providers.js for the interface)
+export const circleciProvider = {
+  id: 'circleci',
+  name: 'CircleCI',
+  tokenEnv: 'CIRCLECI_TOKEN',
+
+  isConfigured() {
+    return Boolean(CIRCLECI_TOKEN);
+  },
+
+  matchUrl(url) {
+    return parseCircleCIUrl(url);
+  },
+
+  async getBuild(ref) {
+    let { workflowId, pipelineNumber } = ref;
+    if (!workflowId) {
+      const result = await getJobWorkflowId(ref.slug, ref.jobNumber);
+      if (result.error) return { error: result.error };
+      ({ workflowId, pipelineNumber } = result);
+    }
+
+    const { workflow, jobs, error } = await getWorkflow(workflowId);
+    if (error) return { error };
+
+    // Web app URLs spell out the VCS (github/...), unlike API project slugs (gh/...)
+    const workflowUrl = `https://app.circleci.com/pipelines/${ref.vcs}/${ref.org}/${ref.repo}/${workflow.pipeline_number ?? pipelineNumber}/workflows/${workflowId}`;
+    return {
+      build: {
+        number: workflow.pipeline_number ?? pipelineNumber,
+        state: workflow.status,
+        branch: null,
+        message: workflow.name,
+        url: workflowUrl,
+        workflowId,
+        // Approval jobs have no number (and no logs)
+        jobs: jobs.filter(job => job.job_number).map(job => ({
+          id: job.job_number,
+          name: job.name,
+          state: job.status,
+          url: `${workflowUrl}/jobs/${job.job_number}`,
+        })),
+      },
+    };
+  },
+
+  getFailingJobs(build) {
+    return build.jobs.filter(job => FAILED_JOB_STATES.includes(job.state));
+  },
+
+  getJobLog(ref, job) {
+    return getCircleCIJobLog(ref.vcs, ref.org, ref.repo, job.id);
+  },
+
+  async retry(ref, build) {
+    const failing = this.getFailingJobs(build);
+    if (failing.length === 0) return { retried: 0 };
+    const { error } = await rerunWorkflowFromFailed(build.workflowId);
+    return error ? { error, retried: 0 } : { retried: failing.length };
+  },
+};
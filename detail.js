@@ -7,15 +7,9 @@
  * Or via alias: prdetail <issue-id>
  */
 
-import { config } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-config({ path: join(__dirname, '.env') });
-
-import { Octokit } from 'octokit';
+import './env.js';
+import { parsePRReference, parseIssueId, getIssueById, getPRIssues, formatLocation } from './pr-data.js';
+import { getBot, HUMAN_REVIEWER } from './bots.js';
 
 const COLORS = {
   reset: '\x1b[0m',
@@ -28,17 +22,23 @@ const COLORS = {
   cyan: '\x1b[36m',
 };
 
-const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+/**
+ * Fetch an issue in the shared issue model. Commit statuses can only be found
+ * through the PR's issue list, so they need a PR number.
+ */
+async function fetchIssue(owner, repo, prNumber, issueId) {
+  const issue = await getIssueById(owner, repo, issueId);
+  if (issue || !prNumber) return issue;
+  
+  const { issues } = await getPRIssues(owner, repo, prNumber);
+  return issues.find(i => i.id === issueId) || null;
+}
 
 async function getIssueDetail(issueId, prRef) {
   // Parse the issue ID
-  const reviewMatch = issueId.match(/^review-(\d+)$/);
-  const issueMatch = issueId.match(/^issue-(\d+)$/);
-  const ciMatch = issueId.match(/^ci-(\d+)$/);
-  
-  if (!reviewMatch && !issueMatch && !ciMatch) {
+  if (!parseIssueId(issueId)) {
     console.error(`${COLORS.red}Invalid issue ID format.${COLORS.reset}`);
-    console.error('Expected: review-<number>, issue-<number>, or ci-<number>');
+    console.error('Expected: review-<number>, issue-<number>, ci-<number>, or status-<number>');
     process.exit(1);
   }
   
@@ -46,11 +46,11 @@ async function getIssueDetail(issueId, prRef) {
   let owner, repo, prNumber;
   
   if (prRef) {
-    const match = prRef.match(/([^/]+)\/([^#]+)#(\d+)/);
-    if (match) {
-      owner = match[1];
-      repo = match[2];
-      prNumber = parseInt(match[3]);
+    const parsed = parsePRReference(prRef);
+    if (parsed) {
+      owner = parsed.owner;
+      repo = parsed.repo;
+      prNumber = parsed.number;
     }
   }
   
@@ -87,85 +87,71 @@ async function getIssueDetail(issueId, prRef) {
   console.log(`\n${COLORS.bright}Issue Details: ${issueId}${COLORS.reset}`);
   console.log(`${COLORS.blue}${'━'.repeat(70)}${COLORS.reset}\n`);
   
-  if (reviewMatch) {
-    const commentId = reviewMatch[1];
+  let issue;
+  try {
+    issue = await fetchIssue(owner, repo, prNumber, issueId);
+  } catch (e) {
+    console.error(`${COLORS.red}Error fetching issue:${COLORS.reset}`, e.message);
+    process.exit(1);
+  }
+  
+  if (!issue) {
+    console.error(`${COLORS.red}Issue ${issueId} not found.${COLORS.reset}`);
+    if (!prNumber) console.error('Provide the PR reference: prdetail <id> owner/repo#123');
+    process.exit(1);
+  }
+  
+  if (issue.kind === 'ci') {
+    console.log(`${COLORS.cyan}Type:${COLORS.reset} CI Check${issue.blocking ? '' : ` ${COLORS.yellow}(non-blocking)${COLORS.reset}`}`);
+    console.log(`${COLORS.cyan}Name:${COLORS.reset} ${issue.name}`);
+    if (issue.required !== null && issue.required !== undefined) {
+      console.log(`${COLORS.cyan}Required:${COLORS.reset} ${issue.required ? 'yes (branch protection / ruleset)' : 'no'}`);
+    }
+    if (issue.status) console.log(`${COLORS.cyan}Status:${COLORS.reset} ${issue.status}`);
+    console.log(`${COLORS.cyan}Conclusion:${COLORS.reset} ${COLORS.red}${issue.conclusion}${COLORS.reset}`);
+    console.log(`${COLORS.cyan}URL:${COLORS.reset} ${issue.url}`);
+    if (issue.detailsUrl && issue.detailsUrl !== issue.url) {
+      console.log(`${COLORS.cyan}Details:${COLORS.reset} ${issue.detailsUrl}`);
+    }
     
-    try {
-      const { data: comment } = await octokit.rest.pulls.getReviewComment({
-        owner,
-        repo,
-        comment_id: commentId,
-      });
-      
-      // Extract severity
-      const severityMatch = comment.body?.match(/\*\*(High|Medium|Low)\s+Severity\*\*/i);
-      const severity = severityMatch ? severityMatch[1] : 'Unknown';
-      const severityColor = severity.toLowerCase() === 'high' ? COLORS.red : 
-                           severity.toLowerCase() === 'medium' ? COLORS.yellow : COLORS.blue;
-      
-      console.log(`${COLORS.cyan}Type:${COLORS.reset} Review Comment`);
-      console.log(`${COLORS.cyan}Author:${COLORS.reset} ${comment.user?.login}`);
-      console.log(`${COLORS.cyan}Severity:${COLORS.reset} ${severityColor}${severity}${COLORS.reset}`);
-      console.log(`${COLORS.cyan}File:${COLORS.reset} ${comment.path}:${comment.line || comment.original_line}`);
-      console.log(`${COLORS.cyan}URL:${COLORS.reset} ${comment.html_url}`);
-      console.log(`${COLORS.cyan}Created:${COLORS.reset} ${comment.created_at}`);
-      console.log(`\n${COLORS.cyan}Content:${COLORS.reset}\n`);
-      console.log(comment.body);
-      
-      // Show diff hunk if available
-      if (comment.diff_hunk) {
-        console.log(`\n${COLORS.cyan}Code Context:${COLORS.reset}\n`);
-        console.log(`${COLORS.blue}${comment.diff_hunk}${COLORS.reset}`);
-      }
-    } catch (e) {
-      console.error(`${COLORS.red}Error fetching comment:${COLORS.reset}`, e.message);
+    if (issue.description) {
+      console.log(`\n${COLORS.cyan}Description:${COLORS.reset} ${issue.description}`);
     }
-  } else if (issueMatch) {
-    const commentId = issueMatch[1];
     
-    try {
-      const { data: comment } = await octokit.rest.issues.getComment({
-        owner,
-        repo,
-        comment_id: commentId,
-      });
-      
-      console.log(`${COLORS.cyan}Type:${COLORS.reset} Issue Comment`);
-      console.log(`${COLORS.cyan}Author:${COLORS.reset} ${comment.user?.login}`);
-      console.log(`${COLORS.cyan}URL:${COLORS.reset} ${comment.html_url}`);
-      console.log(`${COLORS.cyan}Created:${COLORS.reset} ${comment.created_at}`);
-      console.log(`\n${COLORS.cyan}Content:${COLORS.reset}\n`);
-      console.log(comment.body);
-    } catch (e) {
-      console.error(`${COLORS.red}Error fetching comment:${COLORS.reset}`, e.message);
+    if (issue.output) {
+      console.log(`\n${COLORS.cyan}Summary:${COLORS.reset}\n`);
+      console.log(issue.output);
     }
-  } else if (ciMatch) {
-    const runId = ciMatch[1];
     
-    try {
-      const { data: run } = await octokit.rest.checks.get({
-        owner,
-        repo,
-        check_run_id: runId,
-      });
-      
-      console.log(`${COLORS.cyan}Type:${COLORS.reset} CI Check`);
-      console.log(`${COLORS.cyan}Name:${COLORS.reset} ${run.name}`);
-      console.log(`${COLORS.cyan}Status:${COLORS.reset} ${run.status}`);
-      console.log(`${COLORS.cyan}Conclusion:${COLORS.reset} ${COLORS.red}${run.conclusion}${COLORS.reset}`);
-      console.log(`${COLORS.cyan}URL:${COLORS.reset} ${run.html_url || run.details_url}`);
-      
-      if (run.output?.summary) {
-        console.log(`\n${COLORS.cyan}Summary:${COLORS.reset}\n`);
-        console.log(run.output.summary);
-      }
-      
-      if (run.output?.text) {
-        console.log(`\n${COLORS.cyan}Details:${COLORS.reset}\n`);
-        console.log(run.output.text.slice(0, 2000));
-      }
-    } catch (e) {
-      console.error(`${COLORS.red}Error fetching CI run:${COLORS.reset}`, e.message);
+    if (issue.outputText) {
+      console.log(`\n${COLORS.cyan}Details:${COLORS.reset}\n`);
+      console.log(issue.outputText.slice(0, 2000));
+    }
+  } else {
+    const botInfo = getBot(issue.bot);
+    const severityColor = issue.severity?.level === 'high' ? COLORS.red :
+                          issue.severity?.level === 'medium' ? COLORS.yellow : COLORS.blue;
+    
+    console.log(`${COLORS.cyan}Type:${COLORS.reset} ${issue.kind === 'review' ? 'Review Comment' : 'Issue Comment'}${botInfo ? ` (${botInfo.icon} ${botInfo.name})` : ''}`);
+    console.log(`${COLORS.cyan}Author:${COLORS.reset} ${issue.author}`);
+    if (issue.severity || (issue.kind === 'review' && issue.bot !== HUMAN_REVIEWER.id)) {
+      console.log(`${COLORS.cyan}Severity:${COLORS.reset} ${severityColor}${issue.severity?.label || 'Unknown'}${COLORS.reset}`);
+    }
+    if (issue.location) console.log(`${COLORS.cyan}File:${COLORS.reset} ${formatLocation(issue)}`);
+    console.log(`${COLORS.cyan}URL:${COLORS.reset} ${issue.url}`);
+    console.log(`${COLORS.cyan}Created:${COLORS.reset} ${issue.createdAt}`);
+    console.log(`\n${COLORS.cyan}Content:${COLORS.reset}\n`);
+    console.log(issue.body);
+    
+    // Show diff hunk if available
+    if (issue.diffHunk) {
+      console.log(`\n${COLORS.cyan}Code Context:${COLORS.reset}\n`);
+      console.log(`${COLORS.blue}${issue.diffHunk}${COLORS.reset}`);
+    }
+    
+    if (issue.suggestedFix) {
+      console.log(`\n${COLORS.cyan}Suggested Fix:${COLORS.reset}\n`);
+      console.log(`${COLORS.green}${issue.suggestedFix}${COLORS.reset}`);
     }
   }
   
@@ -0,0 +1,16 @@
+/**
+ * Load the .env file from this directory.
+ *
+ * Import it first in entry points (`import './env.js';`) - ES imports run before
+ * the importing module's body, and some modules read their tokens when they load.
+ * Modules are evaluated once per process, so .env is only read once. quiet keeps
+ * dotenv's log line off stdout, which is the MCP server's protocol channel.
+ */
+
+import { config } from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+config({ path: join(__dirname, '.env'), quiet: true });
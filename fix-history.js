@@ -0,0 +1,122 @@
+/**
+ * Fix History - Did a push fix anything?
+ *
+ * Snapshots a PR's blocking issues at each head commit (in its .state/ file,
+ * see state.js) and compares every push with the commit before it:
+ *   fixed       Issues of the previous commit that are gone
+ *   persisted   Issues that are still there
+ *   introduced  Issues that weren't there before
+ *   pending     CI failures of the previous commit whose check is running
+ *               again - not known yet
+ * A commit's snapshot keeps updating while it is the head (CI results and bot
+ * reviews arrive after the push), so each push is compared with the final
+ * state of the commit before it.
+ *
+ * CI issue IDs change with every commit (check run and status IDs), so CI
+ * failures are matched by check name, review comments by ID.
+ */
+
+import { loadPRState, updatePRState } from './state.js';
+import { formatLocation } from './pr-data.js';
+
+const MAX_PUSHES = 20;   // Commits remembered per PR
+
+/**
+ * Snapshot entry for an issue: { key, id, kind, bot, title, location }
+ */
+function toSnapshotIssue(issue) {
+  return {
+    key: issue.kind === 'ci' ? `ci:${(issue.name || issue.title || '').toLowerCase()}` : issue.id,
+    id: issue.id,
+    kind: issue.kind,
+    bot: issue.bot || null,
+    title: issue.kind === 'ci' ? issue.name || issue.title : issue.title,
+    location: formatLocation(issue) || null,
+  };
+}
+
+/**
+ * Compare a commit's snapshot with the one before it
+ */
+function diffPushes(previous, current) {
+  const currentKeys = new Set(current.issues.map(i => i.key));
+  const previousKeys = new Set(previous.issues.map(i => i.key));
+  const running = new Set(current.pendingChecks.map(name => `ci:${name.toLowerCase()}`));
+
+  const gone = previous.issues.filter(i => !currentKeys.has(i.key));
+  return {
+    sha: current.sha,
+    previousSha: previous.sha,
+    firstSeenAt: current.firstSeenAt,
+    updatedAt: current.updatedAt,
+    fixed: gone.filter(i => !running.has(i.key)),
+    pending: gone.filter(i => running.has(i.key)),
+    persisted: current.issues.filter(i => previousKeys.has(i.key)),
+    introduced: current.issues.filter(i => !previousKeys.has(i.key)),
+    ciRunning: current.pendingChecks.length > 0,
+  };
+}
+
+/**
+ * Reports for a PR's recorded pushes, newest first. The oldest commit has
+ * nothing to compare with: its report only has `issues` (open when first seen).
+ */
+function buildHistory(pushes) {
+  return pushes.map((push, i) => (i === 0
+    ? { sha: push.sha, previousSha: null, firstSeenAt: push.firstSeenAt, updatedAt: push.updatedAt, issues: push.issues }
+    : diffPushes(pushes[i - 1], push))).reverse();
+}
+
+/**
+ * Record the blocking issues open at a PR's head commit. `pendingChecks` are
+ * the names of blocking checks still running on it.
+ * Returns the PR's push history (see getPushHistory).
+ */
+export function recordPushSnapshot(pr, sha, issues, { pendingChecks = [] } = {}) {
+  const { pushes } = loadPRState(pr);
+  if (!sha) return buildHistory(pushes);
+
+  const snapshot = {
+    issues: issues.filter(i => i.blocking).map(toSnapshotIssue),
+    pendingChecks: [...new Set(pendingChecks)],
+  };
+  const latest = pushes[pushes.length - 1];
+  if (latest?.sha === sha && JSON.stringify([latest.issues, latest.pendingChecks]) === JSON.stringify([snapshot.issues, snapshot.pendingChecks])) {
+    return buildHistory(pushes);
+  }
+
+  // The MCP server and watcher may both record - start from what's on disk
+  const state = updatePRState(pr, s => {
+    const now = new Date().toISOString();
+    const last = s.pushes[s.pushes.length - 1];
+    if (last?.sha === sha) {
+      Object.assign(last, snapshot, { updatedAt: now });
+    } else {
+      s.pushes.push({ sha, firstSeenAt: now, updatedAt: now, ...snapshot });
+    }
+    s.pushes = s.pushes.slice(-MAX_PUSHES);
+  });
+  return buildHistory(state.pushes);
+}
+
+/**
+ * A PR's push history, newest first: [{ sha, previousSha, firstSeenAt, updatedAt,
+ * fixed, persisted, introduced, pending, ciRunning }] - issue lists of snapshot
+ * entries ({ key, id, kind, bot, title, location }). See buildHistory for the oldest.
+ */
+export function getPushHistory(pr) {
+  return buildHistory(loadPRState(pr).pushes);
+}
+
+/**
+ * One-line summary of a push: "fixed 3, new 1, 2 remaining"
+ */
+export function formatPushSummary(report) {
+  if (!report.previousSha) return `${report.issues.length} blocking issue(s) when first seen`;
+
+  let text = `fixed ${report.fixed.length}, new ${report.introduced.length}`;
+  if (report.persisted.length > 0) text += `, ${report.persisted.length} remaining`;
+  if (report.pending.length > 0) text += `, ${report.pending.length} waiting on CI`;
+  else if (report.ciRunning) text += ' (CI running)';
+  return text;
+}
@@ -0,0 +1,134 @@
+/**
+ * Fix Prompt - Ready-to-paste prompts for fixing PR issues
+ *
+ * Used by watcher.js (copied to the clipboard with each notification) and
+ * index.js (MCP prompts), so both hand agents the same context: review
+ * comments grouped by bot with their suggested fixes, and CI failures with
+ * their test failures, flakiness, base branch comparison and saved logs.
+ */
+
+import { getBots, HUMAN_REVIEWER } from './bots.js';
+import { formatLocation } from './pr-data.js';
+import { formatFailureLocation } from './test-failures.js';
+import { formatBytes } from './log-stream.js';
+
+export const LARGE_LOG_BYTES = 1024 * 1024; // Point agents at the log file's index rather than the whole log
+
+const MAX_PROMPT_FAILURES = 10;   // Test failures listed per CI issue in the fix prompt
+const MAX_PROMPT_ARTIFACTS = 8;   // Artifact paths listed per CI issue in the fix prompt
+const MAX_DIFF_HUNK_LINES = 20;   // Last lines of a review comment's diff hunk (the commented line is last)
+
+// What a base branch comparison (see base-compare.js) means for the fix
+const BASE_PROMPT_HINTS = {
+  'also-failing': ' - likely not caused by this PR, check whether it needs fixing here',
+  fixed: ' - rebase onto the base branch to pick up the fix',
+  mixed: ' - fix the failures marked new in this PR',
+};
+
+/**
+ * The end of a review comment's diff hunk, indented for the prompt
+ */
+function formatDiffHunk(diffHunk) {
+  const lines = diffHunk.split('\n');
+  const shown = lines.length > MAX_DIFF_HUNK_LINES ? lines.slice(-MAX_DIFF_HUNK_LINES) : lines;
+  return `  Diff:\n  \`\`\`diff\n${shown.join('\n').replace(/^/gm, '  ')}\n  \`\`\`\n`;
+}
+
+/**
+ * Saved logs of a CI issue: the watcher's combined log file (localLogFile), or
+ * one log per failing job (jobLogs: [{ name, path, lines, bytes }])
+ */
+function formatCILogs(issue) {
+  if (issue.localLogFile) {
+    const large = issue.logSize > LARGE_LOG_BYTES ? ` (${formatBytes(issue.logSize)} - start from the index of steps and errors at the top)` : '';
+    return `  Logs: ${issue.localLogFile}${large}\n`;
+  }
+  let text = '  Logs:\n';
+  for (const log of issue.jobLogs) {
+    const large = log.bytes > LARGE_LOG_BYTES ? ' - search it for the errors rather than reading it whole' : '';
+    text += `    ${log.name}: ${log.path} (${log.lines} lines, ${formatBytes(log.bytes)}${large})\n`;
+  }
+  return text;
+}
+
+/**
+ * Generate a ready-to-paste prompt for Cursor to fix the issues.
+ * Options: intro (first line), outro (last line), diffHunks (include review
+ * comments' diff hunks)
+ */
+export function generateFixPrompt(issues, { intro = 'Fix these PR issues:', outro = 'After fixing, commit and push the changes.', diffHunks = false } = {}) {
+  const reviewIssues = issues.filter(i => i.kind !== 'ci');
+  const ciIssues = issues.filter(i => i.kind === 'ci');
+
+  let prompt = `${intro}\n\n`;
+
+  // Group review issues by bot (human reviewer threads last)
+  for (const bot of [...getBots(), HUMAN_REVIEWER]) {
+    const botIssues = reviewIssues.filter(i => i.bot === bot.id);
+    if (botIssues.length === 0) continue;
+
+    prompt += `**${bot.name} Issues:**\n`;
+    for (const issue of botIssues) {
+      const location = formatLocation(issue);
+      const severity = issue.severity ? `[${issue.severity.label}] ` : '';
+
+      prompt += `- ${severity}${issue.title}\n`;
+      if (location) prompt += `  File: ${location}\n`;
+      if (issue.bot === HUMAN_REVIEWER.id) {
+        prompt += `  Comment by @${issue.author}: ${issue.body.replace(/\s+/g, ' ').slice(0, 300)}\n`;
+      }
+      if (diffHunks && issue.diffHunk) {
+        prompt += formatDiffHunk(issue.diffHunk);
+      }
+      if (issue.suggestedFix) {
+        prompt += `  Suggested fix:\n  \`\`\`\n${issue.suggestedFix.replace(/^/gm, '  ')}\n  \`\`\`\n`;
+      }
+    }
+    prompt += `\n`;
+  }
+
+  // Only include blocking CI failures in the prompt
+  const blockingCIIssues = ciIssues.filter(i => i.blocking);
+  const nonBlockingCIIssues = ciIssues.filter(i => !i.blocking);
+
+  if (blockingCIIssues.length > 0) {
+    prompt += `**CI Failures:**\n`;
+    for (const issue of blockingCIIssues) {
+      const ciName = issue.name || issue.source || 'CI';
+      prompt += `- ${ciName}: ${issue.description || 'Build failed'}\n`;
+      if (issue.flaky) {
+        prompt += `  Likely flaky (${issue.flaky.reason}) - consider retrying before changing code\n`;
+      }
+      if (issue.base) {
+        prompt += `  Compared with the base branch: ${issue.base.label}${BASE_PROMPT_HINTS[issue.base.status] || ''}\n`;
+      }
+      for (const failure of (issue.testFailures || []).slice(0, MAX_PROMPT_FAILURES)) {
+        const location = formatFailureLocation(failure);
+        const message = failure.message.split('\n').find(line => line.trim()) || '';
+        const base = failure.base && issue.base?.status === 'mixed' ? ` [${failure.base.label}]` : '';
+        prompt += `  - [${failure.tool}] ${failure.test || location}${location && failure.test ? ` (${location})` : ''}${base}: ${message.trim().slice(0, 200)}\n`;
+      }
+      if (issue.testFailures?.length > MAX_PROMPT_FAILURES) {
+        prompt += `  - ... and ${issue.testFailures.length - MAX_PROMPT_FAILURES} more (see logs)\n`;
+      }
+      if (issue.localLogFile || issue.jobLogs?.length > 0) {
+        prompt += formatCILogs(issue);
+        if (issue.artifactsDir) {
+          const paths = issue.artifacts.slice(0, MAX_PROMPT_ARTIFACTS).map(a => a.localPath);
+          const more = issue.artifacts.length > MAX_PROMPT_ARTIFACTS ? `, ... (${issue.artifacts.length} total)` : '';
+          prompt += `  Artifacts (test reports, screenshots, etc.): ${paths.join(', ')}${more}\n`;
+        }
+      } else if (issue.url) {
+        prompt += `  URL: ${issue.url}\n`;
+      }
+    }
+  }
+
+  if (nonBlockingCIIssues.length > 0) {
+    prompt += `\n*Note: ${nonBlockingCIIssues.length} non-blocking CI failure(s) (Slack notifications, etc.) - these won't prevent merge.*\n`;
+  }
+
+  prompt += `\n${outro}`;
+
+  return prompt;
+}
@@ -0,0 +1,162 @@
+/**
+ * Flaky Detection - Is a failing CI job likely flaky?
+ *
+ * Uses the job's history from its CI provider (retries in the same build and
+ * previous builds of the same branch, see getJobHistory in ci-providers.js)
+ * plus a local record of which tests failed in which builds
+ * (.state/ci-history.json). A failure is "likely flaky" when:
+ *   - the job passed on another attempt of the same commit (e.g. on retry)
+ *   - the job flipped between passed and failed FLIP_THRESHOLD times recently
+ *   - one of its failing tests failed in 2+ earlier builds, with passing builds
+ *     in between (the same test keeps coming back)
+ */
+
+import { join } from 'path';
+import { readFileSync, existsSync, writeFileSync, mkdirSync, renameSync } from 'fs';
+import { STATE_DIR } from './state.js';
+
+const HISTORY_FILE = join(STATE_DIR, 'ci-history.json');
+const MAX_ENTRIES_PER_JOB = 20;        // Failures remembered per job
+const HISTORY_RETENTION_DAYS = 30;
+const FLIP_THRESHOLD = 3;              // Pass/fail changes of a job that count as flaky
+const TEST_FLIP_THRESHOLD = 2;         // ...of a single test (a stronger signal)
+
+/**
+ * Load the failure history: { [jobKey]: [{ buildNumber, commit, tests, at }] }
+ */
+function loadHistory() {
+  if (!existsSync(HISTORY_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(HISTORY_FILE, 'utf-8'));
+  } catch (e) {
+    console.error(`Could not read CI history ${HISTORY_FILE}:`, e.message);
+    return {};
+  }
+}
+
+/**
+ * Write the failure history (atomically), dropping old entries
+ */
+function saveHistory(history) {
+  const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [key, entries] of Object.entries(history)) {
+    const recent = entries.filter(e => new Date(e.at).getTime() > cutoff).slice(-MAX_ENTRIES_PER_JOB);
+    if (recent.length > 0) history[key] = recent;
+    else delete history[key];
+  }
+
+  try {
+    mkdirSync(STATE_DIR, { recursive: true });
+    writeFileSync(`${HISTORY_FILE}.tmp`, JSON.stringify(history, null, 2), 'utf-8');
+    renameSync(`${HISTORY_FILE}.tmp`, HISTORY_FILE);
+  } catch (e) {
+    console.error(`Could not save CI history ${HISTORY_FILE}:`, e.message);
+  }
+}
+
+/**
+ * History key for a job: provider, pipeline, branch and job
+ */
+export function getJobHistoryKey(provider, build, job) {
+  return [provider.id, build.pipeline || '', build.branch || '', job.key || job.name].join(':');
+}
+
+/**
+ * Remember which tests failed in this build of the job
+ */
+function recordFailure(history, key, build, failures) {
+  const entries = (history[key] || []).filter(e => e.buildNumber !== build.number);
+  entries.push({
+    buildNumber: build.number,
+    commit: build.commit || null,
+    tests: [...new Set(failures.map(f => f.test).filter(Boolean))],
+    at: new Date().toISOString(),
+  });
+  history[key] = entries;
+}
+
+/**
+ * Count pass/fail changes in a list of states (oldest first)
+ */
+function countFlips(states) {
+  let flips = 0;
+  for (let i = 1; i < states.length; i++) {
+    if (states[i] !== states[i - 1]) flips++;
+  }
+  return flips;
+}
+
+/**
+ * Why a failing job looks flaky, or null.
+ * attempts: [{ buildNumber, commit, state, retry }] from the provider;
+ * entries: recorded failures of the job in earlier builds.
+ */
+export function assessFlakiness(build, attempts, failures, entries = []) {
+  // Passed on another attempt of the same commit
+  const passedSameCommit = attempts.find(a => a.state === 'passed' && build.commit && a.commit === build.commit);
+  if (passedSameCommit) {
+    return passedSameCommit.buildNumber === build.number
+      ? 'passed on retry'
+      : `passed on build #${passedSameCommit.buildNumber} of the same commit`;
+  }
+
+  // Final result of the job per build, oldest first, ending with this failure
+  const results = new Map();
+  for (const attempt of attempts.filter(a => !a.retry && a.buildNumber !== build.number)) {
+    if (['passed', 'failed'].includes(attempt.state)) results.set(attempt.buildNumber, attempt.state);
+  }
+  const ordered = [...results.entries()].sort((a, b) => a[0] - b[0]);
+  const states = [...ordered.map(([, state]) => state), 'failed'];
+  const flips = countFlips(states);
+  if (flips >= FLIP_THRESHOLD) {
+    return `flipped between passed and failed ${flips} times in the last ${states.length} builds`;
+  }
+
+  // A failing test that failed before, then passed (the job passed), and failed again
+  for (const test of new Set(failures.map(f => f.test).filter(Boolean))) {
+    const failedIn = new Set(entries.filter(e => e.tests.includes(test)).map(e => e.buildNumber));
+    const testStates = ordered
+      .filter(([number, state]) => state === 'passed' || failedIn.has(number))
+      .map(([, state]) => state);
+    const testFlips = countFlips([...testStates, 'failed']);
+    if (failedIn.size >= 2 && testFlips >= TEST_FLIP_THRESHOLD) {
+      return `${test} has failed intermittently (${failedIn.size + 1} failures in recent builds)`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a failing job is likely flaky, and record its failing tests
+ * for next time. `branchBuilds` are the recent builds of the build's branch
+ * (from getBranchBuilds), so a build's failing jobs share one fetch.
+ * Returns the reason, or null (also when the provider has no job history).
+ */
+export async function checkFlakiness(provider, ref, build, job, failures, branchBuilds = null) {
+  if (!provider.getJobHistory) return null;
+
+  const { attempts = [] } = await provider.getJobHistory(ref, build, job, branchBuilds);
+  const history = loadHistory();
+  const key = getJobHistoryKey(provider, build, job);
+  const reason = assessFlakiness(build, attempts, failures, (history[key] || []).filter(e => e.buildNumber !== build.number));
+
+  recordFailure(history, key, build, failures);
+  saveHistory(history);
+  return reason;
+}
+
+/**
+ * Overall flakiness of a CI failure's jobs (annotated by checkFlakiness):
+ * { reason, all } when any failing job looks flaky - reason is the first
+ * flaky job's (prefixed with its name when there are several jobs), all
+ * whether every job does - or null.
+ */
+export function summarizeFlakiness(jobs) {
+  const flakyJobs = jobs.filter(j => j.flaky);
+  if (flakyJobs.length === 0) return null;
+  return {
+    reason: jobs.length > 1 ? `${flakyJobs[0].job.name}: ${flakyJobs[0].flaky}` : flakyJobs[0].flaky,
+    all: flakyJobs.length === jobs.length,
+  };
+}
@@ -432,4 +432,14 @@ bklog() {
     (cd "$PR_WATCHER_DIR" && node buildkite.js "$@")
 }
 
-echo "✓ PR Watcher commands: gp, gpw, prwatch, prwatchfg, prstatus, prlog, prstop, prdetail, bklog"
+# GitHub Actions log viewer
+ghalog() {
+    (cd "$PR_WATCHER_DIR" && node github-actions.js "$@")
+}
+
+# Any CI provider (Buildkite, GitHub Actions, CircleCI, Jenkins)
+cilog() {
+    (cd "$PR_WATCHER_DIR" && node ci-providers.js "$@")
+}
+
+echo "✓ PR Watcher commands: gp, gpw, prwatch, prwatchfg, prstatus, prlog, prstop, prdetail, bklog, ghalog, cilog"
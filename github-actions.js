@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub Actions integration for PR Watcher
+ *
+ * Resolves failed check runs to their workflow jobs and fetches job logs,
+ * extracting the output of the failing steps. Also exported as a CI provider
+ * (see ci-providers.js).
+ *
+ * Usage:
+ *   node github-actions.js <actions-url>
+ *   node github-actions.js https://github.com/owner/repo/actions/runs/123/job/456
+ *   node github-actions.js https://github.com/owner/repo/actions/runs/123
+ */
+
+import './env.js';
+import { fileURLToPath } from 'url';
+import { octokit } from './github-client.js';
+import { extractErrorSummary } from './buildkite.js';
+import { extractTestFailures, formatTestFailures } from './test-failures.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m',
+};
+
+// Job/step conclusions that count as failures
+const FAILED_CONCLUSIONS = ['failure', 'cancelled', 'timed_out'];
+
+/**
+ * Parse an Actions URL to extract owner, repo, run ID and (optional) job ID.
+ * For Actions, a check run's ID is its workflow job ID, so check run URLs work too.
+ */
+export function parseActionsUrl(url) {
+  // https://github.com/owner/repo/actions/runs/123/job/456
+  const match = url?.match(/github\.com\/([^/]+)\/([^/]+)\/actions\/runs\/(\d+)(?:\/jobs?\/(\d+))?/);
+  if (match) {
+    return {
+      owner: match[1],
+      repo: match[2],
+      runId: match[3],
+      jobId: match[4] || null,
+    };
+  }
+  return null;
+}
+
+/**
+ * Fetch a workflow job (also works with the ID of an Actions check run)
+ */
+export async function getWorkflowJob(owner, repo, jobId) {
+  try {
+    const { data: job } = await octokit.rest.actions.getJobForWorkflowRun({
+      owner,
+      repo,
+      job_id: jobId,
+    });
+    return { job };
+  } catch (e) {
+    if (e.status === 404) {
+      return { error: 'Job not found (is this a GitHub Actions check?)' };
+    }
+    return { error: `GitHub API error: ${e.message}` };
+  }
+}
+
+/**
+ * Fetch the jobs of a workflow run (latest attempt)
+ */
+export async function getWorkflowRunJobs(owner, repo, runId) {
+  try {
+    const jobs = await octokit.paginate(octokit.rest.actions.listJobsForWorkflowRun, {
+      owner,
+      repo,
+      run_id: runId,
+      filter: 'latest',
+      per_page: 100,
+    });
+    return { jobs };
+  } catch (e) {
+    return { error: `GitHub API error: ${e.message}` };
+  }
+}
+
+/**
+ * Fetch the failing jobs of a workflow run (latest attempt)
+ */
+export async function getFailingWorkflowJobs(owner, repo, runId) {
+  const { jobs, error } = await getWorkflowRunJobs(owner, repo, runId);
+  if (error) return { error };
+  return { jobs: jobs.filter(job => FAILED_CONCLUSIONS.includes(job.conclusion)) };
+}
+
+/**
+ * Re-run a failed job (and the jobs that depend on it)
+ */
+export async function rerunWorkflowJob(owner, repo, jobId) {
+  try {
+    await octokit.rest.actions.reRunJobForWorkflowRun({
+      owner,
+      repo,
+      job_id: jobId,
+    });
+    return { ok: true };
+  } catch (e) {
+    return { error: `Failed to re-run job: ${e.message}` };
+  }
+}
+
+/**
+ * Get the failing steps of a job (from the API's step list)
+ */
+export function getFailingSteps(job) {
+  return (job.steps || []).filter(step => FAILED_CONCLUSIONS.includes(step.conclusion));
+}
+
+/**
+ * Download a job's log (plain text)
+ */
+export async function getWorkflowJobLog(owner, repo, jobId) {
+  try {
+    const { data } = await octokit.rest.actions.downloadJobLogsForWorkflowRun({
+      owner,
+      repo,
+      job_id: jobId,
+    });
+    return { log: typeof data === 'string' ? data : Buffer.from(data).toString('utf-8') };
+  } catch (e) {
+    if (e.status === 410) {
+      return { error: 'Log has expired' };
+    }
+    return { error: `Failed to fetch log: ${e.message}` };
+  }
+}
+
+/**
+ * Clean a job log: strip per-line timestamps and ANSI escape codes
+ */
+export function cleanWorkflowLog(log) {
+  return (log || '')
+    .replace(/\x1b\[[0-9;]*m/g, '')
+    .replace(/^\uFEFF?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z ?/gm, '');
+}
+
+/**
+ * Find the step a log section belongs to: the step that was running when the
+ * section started (log lines are timestamped), or without timestamps the step
+ * named after its command ("Run <command>" is the default name of run steps).
+ * Null if none matches.
+ */
+function findStepForSection(section, steps) {
+  const named = step => step.name === `Run ${section.command}` || step.name === section.command;
+  if (!section.startedAt) return steps.find(named) || null;
+
+  // Step times are whole seconds, so a step that ends in the same second as
+  // the next starts matches too - prefer the named one, else the later one
+  const started = Math.floor(section.startedAt / 1000) * 1000;
+  const running = steps.filter(step => step.started_at && step.completed_at
+    && new Date(step.started_at).getTime() <= started
+    && started <= new Date(step.completed_at).getTime());
+  return running.find(named) || running[running.length - 1] || steps.find(named) || null;
+}
+
+/**
+ * Split a job log into per-step sections and summarize the ones that failed.
+ * Steps start with "##[group]Run <command>"; a step failed if its section has
+ * an "##[error]" line. Sections are matched with the job's steps by name, or by
+ * the time they started (see findStepForSection), to get their names. The
+ * summary lists the step's test failures when they can be parsed (see
+ * test-failures.js), else an error excerpt.
+ * Returns [{ name, command, errors, failures, summary }]
+ */
+export function extractFailingSteps(log, job = {}) {
+  const sections = [];
+  let current = { command: 'Set up job', startedAt: null, lines: [] };
+
+  for (const rawLine of (log || '').split('\n')) {
+    const timestamp = rawLine.match(/^\uFEFF?(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z)/)?.[1];
+    const line = cleanWorkflowLog(rawLine);
+    const stepStart = line.match(/^##\[group\]Run (.+)$/);
+    if (stepStart) {
+      sections.push(current);
+      current = { command: stepStart[1].trim(), startedAt: null, lines: [] };
+    }
+    if (timestamp && current.startedAt === null) current.startedAt = new Date(timestamp).getTime();
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  const steps = job.steps || [];
+  const failed = sections.filter(section => section.lines.some(line => line.startsWith('##[error]')));
+
+  return failed.map(section => {
+    // Drop the step's input group (with:/env:) - it's just configuration
+    const output = [];
+    let inGroup = false;
+    for (const line of section.lines) {
+      if (line.startsWith('##[group]')) inGroup = true;
+      else if (line.startsWith('##[endgroup]')) inGroup = false;
+      else if (!inGroup) output.push(line);
+    }
+
+    const step = findStepForSection(section, steps);
+    const stepOutput = output.filter(line => !line.startsWith('##[error]')).join('\n');
+    const failures = extractTestFailures(stepOutput);
+    return {
+      name: step?.name || section.command,
+      command: section.command,
+      errors: output.filter(line => line.startsWith('##[error]')).map(line => line.slice('##[error]'.length)),
+      failures,
+      summary: failures.length > 0 ? formatTestFailures(failures, { stack: false }) : extractErrorSummary(stepOutput),
+    };
+  });
+}
+
+/**
+ * Plain-text summary of failing steps (for saved log files)
+ */
+export function formatFailingSteps(steps) {
+  let text = '';
+  for (const step of steps) {
+    text += `--- Failing step: ${step.name} ---\n`;
+    if (step.command !== step.name) text += `Run: ${step.command}\n`;
+    for (const error of step.errors) text += `Error: ${error}\n`;
+    if (step.summary) text += `\n${step.summary}\n`;
+    text += '\n';
+  }
+  return text;
+}
+
+/**
+ * Format job details and failing steps for display
+ */
+export function formatJobDetails(job, steps, logError = null) {
+  const output = [];
+
+  output.push(`${COLORS.bright}GitHub Actions: ${job.workflow_name ? `${job.workflow_name} / ` : ''}${job.name}${COLORS.reset}`);
+  output.push(`${COLORS.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  output.push(`${COLORS.blue}Conclusion:${COLORS.reset} ${job.conclusion || job.status}`);
+  output.push(`${COLORS.blue}Branch:${COLORS.reset} ${job.head_branch || 'N/A'}`);
+  output.push(`${COLORS.blue}URL:${COLORS.reset} ${job.html_url}`);
+  output.push('');
+
+  if (logError) {
+    output.push(`${COLORS.yellow}Could not fetch log: ${logError}${COLORS.reset}`);
+    const failingSteps = getFailingSteps(job);
+    if (failingSteps.length > 0) {
+      output.push(`${COLORS.red}Failing step(s):${COLORS.reset} ${failingSteps.map(s => s.name).join(', ')}`);
+    }
+  } else if (steps.length === 0) {
+    output.push(`${COLORS.green}✅ No failing steps found in log${COLORS.reset}`);
+  } else {
+    output.push(`${COLORS.red}❌ ${steps.length} failing step(s):${COLORS.reset}`);
+    output.push('');
+
+    for (const step of steps) {
+      output.push(`${COLORS.yellow}━━━ ${step.name} ━━━${COLORS.reset}`);
+      if (step.command !== step.name) {
+        output.push(`${COLORS.blue}Run:${COLORS.reset} ${step.command}`);
+      }
+      for (const error of step.errors) {
+        output.push(`${COLORS.red}Error:${COLORS.reset} ${error}`);
+      }
+      if (step.summary) {
+        output.push('');
+        output.push(`${COLORS.red}Error Output:${COLORS.reset}`);
+        output.push(step.summary);
+      }
+      output.push('');
+    }
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Normalize a workflow job for the CI provider interface
+ */
+function normalizeWorkflowJob(job) {
+  return {
+    id: job.id,
+    name: job.workflow_name ? `${job.workflow_name} / ${job.name}` : job.name,
+    state: job.conclusion || job.status,
+    url: job.html_url,
+    steps: job.steps || [],
+  };
+}
+
+// GitHub Actions as a CI provider (see ci-providers.js for the interface).
+// A job URL (what check runs link to) is treated as a one-job build, so each
+// failing check run only covers its own job.
+export const githubActionsProvider = {
+  id: 'github-actions',
+  name: 'GitHub Actions',
+  tokenEnv: 'GITHUB_TOKEN',
+
+  isConfigured() {
+    return Boolean(process.env.GITHUB_TOKEN);
+  },
+
+  matchUrl(url) {
+    return parseActionsUrl(url);
+  },
+
+  async getBuild(ref) {
+    let jobs;
+    if (ref.jobId) {
+      const { job, error } = await getWorkflowJob(ref.owner, ref.repo, ref.jobId);
+      if (error) return { error };
+      jobs = [job];
+    } else {
+      const result = await getWorkflowRunJobs(ref.owner, ref.repo, ref.runId);
+      if (result.error) return { error: result.error };
+      jobs = result.jobs;
+    }
+
+    const first = jobs[0] || {};
+    return {
+      build: {
+        number: ref.runId,
+        state: jobs.some(job => FAILED_CONCLUSIONS.includes(job.conclusion)) ? 'failed' : (first.conclusion || first.status),
+        branch: first.head_branch,
+        message: first.workflow_name,
+        url: `https://github.com/${ref.owner}/${ref.repo}/actions/runs/${ref.runId}`,
+        jobs: jobs.map(normalizeWorkflowJob),
+      },
+    };
+  },
+
+  getFailingJobs(build) {
+    return build.jobs.filter(job => FAILED_CONCLUSIONS.includes(job.state));
+  },
+
+  getJobLog(ref, job) {
+    return getWorkflowJobLog(ref.owner, ref.repo, job.id);
+  },
+
+  async retry(ref, build) {
+    let retried = 0;
+    for (const job of this.getFailingJobs(build)) {
+      const { error } = await rerunWorkflowJob(ref.owner, ref.repo, job.id);
+      if (error) return { error, retried };
+      retried++;
+    }
+    return { retried };
+  },
+
+  cleanLog(log) {
+    return cleanWorkflowLog(log);
+  },
+
+  summarizeLog(log, job) {
+    return formatFailingSteps(extractFailingSteps(log, job));
+  },
+};
+
+/**
+ * Main entry point for CLI usage
+ */
+async function main() {
+  const url = process.argv[2];
+
+  if (!url) {
+    console.error('Usage: node github-actions.js <actions-url>');
+    console.error('');
+    console.error('Example:');
+    console.error('  node github-actions.js https://github.com/owner/repo/actions/runs/123/job/456');
+    console.error('  node github-actions.js https://github.com/owner/repo/actions/runs/123');
+    process.exit(1);
+  }
+
+  if (!process.env.GITHUB_TOKEN) {
+    console.error(`${COLORS.red}Error: GITHUB_TOKEN not set${COLORS.reset}`);
+    console.error('Reading Actions logs requires a token with access to the repo (actions: read).');
+    process.exit(1);
+  }
+
+  const parsed = parseActionsUrl(url);
+  if (!parsed) {
+    console.error('Invalid GitHub Actions URL');
+    process.exit(1);
+  }
+
+  console.log(`${COLORS.blue}Fetching job details...${COLORS.reset}\n`);
+
+  let jobs;
+  if (parsed.jobId) {
+    const { job, error } = await getWorkflowJob(parsed.owner, parsed.repo, parsed.jobId);
+    if (error) {
+      console.error(`${COLORS.red}Error: ${error}${COLORS.reset}`);
+      process.exit(1);
+    }
+    jobs = [job];
+  } else {
+    const { jobs: failingJobs, error } = await getFailingWorkflowJobs(parsed.owner, parsed.repo, parsed.runId);
+    if (error) {
+      console.error(`${COLORS.red}Error: ${error}${COLORS.reset}`);
+      process.exit(1);
+    }
+    if (failingJobs.length === 0) {
+      console.log(`${COLORS.green}✅ No failing jobs${COLORS.reset}`);
+      return;
+    }
+    jobs = failingJobs;
+  }
+
+  for (const job of jobs) {
+    console.log(`${COLORS.blue}Fetching log for: ${job.name}...${COLORS.reset}`);
+    const { log, error } = await getWorkflowJobLog(parsed.owner, parsed.repo, job.id);
+    console.log('');
+    console.log(formatJobDetails(job, log ? extractFailingSteps(log, job) : [], error));
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(console.error);
+}
@@ -0,0 +1,176 @@
+/**
+ * GitHub Client - Shared Octokit instance with request caching
+ *
+ * Wraps every request to:
+ * - Dedupe identical reads within a poll cycle (call startPollCycle() at the start of each poll)
+ * - Send If-None-Match with the last ETag so unchanged REST resources return 304,
+ *   which doesn't count against the rate limit
+ * - Track the rate limit from response headers (getRateLimit())
+ * - Back off instead of retrying when rate limited (getBackoffUntil())
+ */
+
+import { Octokit } from 'octokit';
+
+const CYCLE_CACHE_TTL_MS = 15000;  // Reads are reused for at most this long, even without a new cycle
+const MAX_ETAG_ENTRIES = 500;      // Oldest ETag entries are evicted past this
+
+// When rate limited, no requests should be made before this time
+let backoffUntil = null;
+
+/**
+ * Record a rate limit hit. Returning false tells Octokit not to retry - the
+ * watcher waits for the backoff before its next poll instead of blocking.
+ */
+function onRateLimited(retryAfter) {
+  const until = new Date(Date.now() + retryAfter * 1000);
+  if (!backoffUntil || until > backoffUntil) {
+    backoffUntil = until;
+  }
+  return false;
+}
+
+// GitHub client (uses GITHUB_TOKEN env var)
+export const octokit = new Octokit({
+  auth: process.env.GITHUB_TOKEN,
+  throttle: {
+    onRateLimit: onRateLimited,
+    onSecondaryRateLimit: onRateLimited,
+  },
+});
+
+// Reads made during the current poll cycle: key -> { promise, time }
+const cycleCache = new Map();
+
+// Last successful response per resource: key -> { etag, response }
+const etagCache = new Map();
+
+// Latest rate limit info seen in response headers
+let rateLimit = null;
+
+/**
+ * Start a new poll cycle - later reads go to GitHub again (conditionally, via ETag)
+ */
+export function startPollCycle() {
+  cycleCache.clear();
+}
+
+/**
+ * Time until which requests should be avoided after a rate limit (Date), or null
+ */
+export function getBackoffUntil() {
+  if (backoffUntil && backoffUntil <= new Date()) {
+    backoffUntil = null;
+  }
+  return backoffUntil;
+}
+
+/**
+ * Latest known rate limit: { limit, remaining, reset (Date), resource } or null
+ */
+export function getRateLimit() {
+  return rateLimit;
+}
+
+/**
+ * Record rate limit info from response headers
+ */
+function updateRateLimit(headers) {
+  if (!headers?.['x-ratelimit-remaining']) return;
+  rateLimit = {
+    limit: parseInt(headers['x-ratelimit-limit']),
+    remaining: parseInt(headers['x-ratelimit-remaining']),
+    reset: new Date(parseInt(headers['x-ratelimit-reset']) * 1000),
+    resource: headers['x-ratelimit-resource'] || 'core',
+  };
+}
+
+/**
+ * Cache key for a request, or null if it must not be cached (writes, mutations)
+ */
+function getCacheKey(parsed) {
+  // Job logs are large and downloaded once - don't keep them in memory
+  if (parsed.url.endsWith('/logs')) {
+    return null;
+  }
+
+  if (parsed.method === 'GET') {
+    return `GET ${parsed.url}`;
+  }
+
+  // GraphQL queries are POSTs; dedupe them but never mutations
+  if (parsed.method === 'POST' && parsed.url.endsWith('/graphql')) {
+    const body = typeof parsed.body === 'string' ? parsed.body : JSON.stringify(parsed.body);
+    if (!/^\s*mutation\b/.test(JSON.parse(body).query || '')) {
+      return `GRAPHQL ${body}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Copy a cached response for a caller - octokit.paginate rewrites response.data in place
+ */
+function cloneResponse(response) {
+  return { ...response, headers: { ...response.headers }, data: structuredClone(response.data) };
+}
+
+/**
+ * Make a request, using If-None-Match when we have an ETag for it
+ */
+async function conditionalRequest(request, options, key) {
+  const cached = key.startsWith('GET ') ? etagCache.get(key) : null;
+  if (cached) {
+    options.headers = { ...options.headers, 'if-none-match': cached.etag };
+  }
+
+  try {
+    const response = await request(options);
+    updateRateLimit(response.headers);
+
+    if (response.headers.etag) {
+      etagCache.delete(key);
+      etagCache.set(key, { etag: response.headers.etag, response });
+      if (etagCache.size > MAX_ETAG_ENTRIES) {
+        etagCache.delete(etagCache.keys().next().value);
+      }
+    }
+
+    return response;
+  } catch (e) {
+    updateRateLimit(e.response?.headers);
+
+    // Not modified - reuse the cached response (costs no quota)
+    if (e.status === 304 && cached) {
+      return cached.response;
+    }
+    throw e;
+  }
+}
+
+octokit.hook.wrap('request', async (request, options) => {
+  const key = getCacheKey(octokit.request.endpoint.parse(options));
+  if (!key) {
+    try {
+      const response = await request(options);
+      updateRateLimit(response.headers);
+      return response;
+    } catch (e) {
+      updateRateLimit(e.response?.headers);
+      throw e;
+    }
+  }
+
+  const inCycle = cycleCache.get(key);
+  if (inCycle && Date.now() - inCycle.time < CYCLE_CACHE_TTL_MS) {
+    return cloneResponse(await inCycle.promise);
+  }
+
+  const promise = conditionalRequest(request, options, key);
+  cycleCache.set(key, { promise, time: Date.now() });
+
+  // Don't keep failures around for other callers in the cycle
+  promise.catch(() => cycleCache.delete(key));
+
+  return cloneResponse(await promise);
+});
@@ -4,211 +4,749 @@
  * PR Watcher MCP Server
  * 
  * Watches GitHub PRs for:
- * - Cursorbot review comments
+ * - Review bot comments (Cursorbot, Codex)
  * - Buildkite/Trunk CI failures
  * 
  * Tools:
- * - watch_pr: Configure which PR to watch
+ * - watch_pr: Add a PR to the watched set
+ * - unwatch_pr / list_watched_prs: Manage watched PRs
  * - check_for_issues: Poll for new issues
  * - get_issue_details: Get full context for an issue
  * - mark_issue_handled: Track handled issues
+ * - retry_ci: Retry failed CI jobs
+ * - get_ci_logs: Summarize a CI failure's logs, and page through them by job and line
+ * - get_push_history: What each push fixed, kept and introduced
+ * - reply_to_issue / resolve_thread / react_to_issue: Answer review comments on
+ *   GitHub (each needs confirm: true, otherwise it only previews)
+ *
+ * Resources:
+ * - pr://owner/repo/123/issues: A PR's unhandled issues, CI and merge queue
+ *   state (JSON). Any PR can be read; watched PRs are listed.
+ *
+ * Prompts (built from a watched PR's unhandled issues when requested):
+ * - fix-all-blocking / fix-review-comments: Fix prompts with diff hunks and
+ *   saved CI logs, filtered by severity and bot
+ * - investigate-ci-failure: A CI failure's failing jobs, errors and saved logs
+ * - triage-flaky: Retry or fix, for each CI failure
+ *
+ * Watched PRs are also polled in the background (every MCP_POLL_SECONDS,
+ * default 60, 0 turns it off). When something changes the server sends
+ * notifications/resources/updated to subscribers of the PR's resource, and a
+ * log message (notifications/message) for new blocking issues, CI results and
+ * merge queue changes - so clients can react without calling check_for_issues.
  */
 
-// Load .env file from the same directory as this script
-import { config } from 'dotenv';
+// Load .env file from the same directory as this script (before modules read tokens)
+import './env.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { rmSync } from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-config({ path: join(__dirname, '.env') });
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  SetLevelRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { Octokit } from 'octokit';
+import {
+  parsePRReference, getPRIssues, formatLocation, summarizeCI, getMergeQueueEntry,
+  replyToIssue, resolveIssueThread, reactToIssue, REACTIONS,
+} from './pr-data.js';
+import { getBots, getBot, HUMAN_REVIEWER } from './bots.js';
+import { retryCIFailures, fetchFailureLogs, getIssueCIUrl } from './ci-providers.js';
+import { extractErrorSummary } from './buildkite.js';
+import { formatTestFailures } from './test-failures.js';
+import { formatLogIndex, formatBytes, readLogLines } from './log-stream.js';
+import { recordPushSnapshot, getPushHistory, formatPushSummary } from './fix-history.js';
+import { generateFixPrompt } from './fix-prompt.js';
+import { summarizeFlakiness } from './flaky.js';
+import { summarizeBaseComparison } from './base-compare.js';
+import { startPollCycle, getBackoffUntil } from './github-client.js';
+import { loadPRState, updatePRState, setPRClosed, pruneExpiredPRStates } from './state.js';
 
-// State
-let watchedPR = null;
-let handledIssueIds = new Set();
-let lastCheckTime = null;
+const DEFAULT_POLL_SECONDS = 60;
+const MIN_POLL_SECONDS = 15;
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const RESOURCE_URI_PATTERN = /^pr:\/\/([^/]+)\/([^/]+)\/(\d+)\/issues$/;
+// Logs saved by get_ci_logs - per process, as several servers may run at once
+const CI_LOGS_DIR = join(__dirname, '.ci-logs', `mcp-${process.pid}`);
+const MAX_CACHED_CI_LOGS = 10;     // CI failures whose logs are kept on disk
+const DEFAULT_LOG_PAGE_LINES = 200;
+const MAX_LOG_PAGE_LINES = 1000;
+const MAX_LOG_LINE_CHARS = 1000;   // Longer lines are cut in pages
+const SEVERITY_RANKS = { low: 1, medium: 2, high: 3 };
 
-// GitHub client (uses GITHUB_TOKEN env var)
-const octokit = new Octokit({ 
-  auth: process.env.GITHUB_TOKEN 
-});
+// State: watched PRs keyed by "owner/repo#number"
+const watchedPRs = new Map();
+const subscriptions = new Set();   // Subscribed resource URIs
+let logLevel = 'info';             // Lowest level sent as log messages (logging/setLevel)
+let pollTimer = null;              // Next background poll
+let polling = false;               // A background poll is running
+const ciLogs = new Map();          // Issue ID -> fetched failure logs (see getCILogs)
+
+/**
+ * Key for a watched PR (owner/repo#number)
+ */
+function getPRKey(pr) {
+  return `${pr.owner}/${pr.repo}#${pr.number}`;
+}
+
+/**
+ * Whether two PR references are the same PR (GitHub owner and repo names are case-insensitive)
+ */
+function isSamePR(a, b) {
+  return a.number === b.number
+    && a.owner.toLowerCase() === b.owner.toLowerCase()
+    && a.repo.toLowerCase() === b.repo.toLowerCase();
+}
 
 /**
- * Parse PR URL or reference into owner/repo/number
+ * Resolve an optional PR reference to the watched PR(s) it refers to.
+ * With no reference, returns every watched PR.
+ * Returns { prs } or { error }.
  */
-function parsePRReference(ref) {
-  // Handle full URL: https://github.com/owner/repo/pull/123
-  const urlMatch = ref.match(/github\.com\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
-  if (urlMatch) {
-    return { owner: urlMatch[1], repo: urlMatch[2], number: parseInt(urlMatch[3]) };
+function resolveWatchedPRs(ref) {
+  if (watchedPRs.size === 0) {
+    return { error: 'No PR being watched. Use watch_pr first.' };
   }
   
-  // Handle short form: owner/repo#123
-  const shortMatch = ref.match(/([^/]+)\/([^#]+)#(\d+)/);
-  if (shortMatch) {
-    return { owner: shortMatch[1], repo: shortMatch[2], number: parseInt(shortMatch[3]) };
+  if (!ref) {
+    return { prs: [...watchedPRs.values()] };
   }
   
-  // Handle just number (requires repo context)
-  const numMatch = ref.match(/^#?(\d+)$/);
-  if (numMatch) {
-    return { number: parseInt(numMatch[1]) };
+  const parsed = parsePRReference(String(ref));
+  if (!parsed) {
+    return { error: `Invalid PR reference: ${ref}. Use URL, owner/repo#number or #number.` };
   }
   
-  return null;
+  // A bare number matches any watched PR with that number
+  const matches = [...watchedPRs.values()].filter(pr =>
+    parsed.owner ? isSamePR(pr, parsed) : pr.number === parsed.number
+  );
+  
+  if (matches.length === 0) {
+    return { error: `Not watching ${ref}. Use list_watched_prs to see watched PRs.` };
+  }
+  if (matches.length > 1) {
+    return { error: `${ref} matches more than one watched PR (${matches.map(getPRKey).join(', ')}). Use owner/repo#number.` };
+  }
+  
+  return { prs: matches };
 }
 
 /**
- * Fetch cursorbot review comments (excludes outdated/resolved)
+ * Fetch a PR's issues and summary from GitHub, without touching the PR object,
+ * its state file or the client. The snapshot ({ issues, title, url, state,
+ * headSha, baseBranch, ci }) is null if the PR couldn't be loaded.
  */
-async function getCursorbotComments(owner, repo, prNumber) {
-  const comments = [];
+async function fetchPRSnapshot(pr) {
+  const { issues, pr: prData, changesRequested, checkRuns, statuses, requiredChecks } = await getPRIssues(pr.owner, pr.repo, pr.number);
+  if (!prData) {
+    return { issues, changesRequested, snapshot: null };
+  }
+  // Per-check timings are for the watcher's ETAs - not part of the resource
+  const { checks, ...ci } = summarizeCI(checkRuns, statuses, requiredChecks);
+  return {
+    issues,
+    changesRequested,
+    snapshot: {
+      issues,
+      title: prData.title,
+      url: prData.html_url,
+      state: prData.merged ? 'merged' : prData.state,
+      headSha: prData.head.sha,
+      baseBranch: prData.base.ref,
+      ci,
+    },
+  };
+}
+
+/**
+ * Take in a fetch of a watched PR: refresh its handled set from disk (the state
+ * file is shared with other MCP server instances), record its closed state and
+ * push history, and tell the client what changed (see publishChanges)
+ */
+function observePR(pr, { changesRequested, snapshot }) {
+  pr.changesRequested = changesRequested;
+  pr.handledIssueIds = loadPRState(pr).handledIssueIds;
+  if (!snapshot) return;
   
-  // Get review comments (inline code comments)
-  const { data: reviewComments } = await octokit.rest.pulls.listReviewComments({
-    owner,
-    repo,
-    pull_number: prNumber,
-  });
+  setPRClosed(pr, snapshot.state !== 'open');
+  pr.baseBranch = snapshot.baseBranch;
+  recordPushSnapshot(pr, snapshot.headSha, snapshot.issues, { pendingChecks: snapshot.ci.pendingChecks });
+  publishChanges(pr, { ...snapshot, mergeQueue: pr.mergeQueue || null });
+}
+
+/**
+ * Get all issues for a watched PR, observing the fetch (see observePR)
+ */
+async function getAllIssues(pr) {
+  const fetched = await fetchPRSnapshot(pr);
+  observePR(pr, fetched);
+  return fetched.issues;
+}
+
+/**
+ * Resource URI for a PR's issues (pr://owner/repo/123/issues)
+ */
+function getResourceUri(pr) {
+  return `pr://${pr.owner}/${pr.repo}/${pr.number}/issues`;
+}
+
+/**
+ * Content of a PR's resource, from its last snapshot (see publishChanges)
+ */
+function buildResource(pr, snapshot) {
+  const unhandled = snapshot.issues.filter(i => !pr.handledIssueIds.has(i.id));
+  return {
+    pr: getPRKey(pr),
+    title: snapshot.title,
+    url: snapshot.url,
+    state: snapshot.state,
+    headSha: snapshot.headSha,
+    ci: snapshot.ci,
+    mergeQueue: snapshot.mergeQueue,
+    changesRequested: pr.changesRequested.map(r => r.author),
+    handledCount: snapshot.issues.length - unhandled.length,
+    issues: unhandled.map(i => ({
+      id: i.id,
+      kind: i.kind,
+      label: getIssueLabel(i),
+      title: i.title,
+      blocking: i.blocking,
+      source: i.source || i.author || null,
+      location: formatLocation(i) || null,
+      url: i.url,
+    })),
+  };
+}
+
+/**
+ * Send a log message to the client, if it's at or above the level it asked for
+ */
+function sendLog(level, data) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel)) return;
+  server.sendLoggingMessage({ level, logger: 'pr-watcher', data })
+    .catch(e => console.error('Could not send log message:', e.message));
+}
+
+/**
+ * Rebuild a PR's resource and tell subscribers if it changed
+ */
+function refreshResource(pr) {
+  if (!pr.snapshot) return;
+  const resource = JSON.stringify(buildResource(pr, pr.snapshot));
+  if (resource === pr.snapshot.resource) return;
   
-  // Filter for cursorbot comments
-  const cursorbotComments = reviewComments.filter(
-    c => c.user?.login === 'cursor' || c.user?.login?.includes('cursor')
-  );
+  const isFirst = pr.snapshot.resource === undefined;
+  pr.snapshot.resource = resource;
+  const uri = getResourceUri(pr);
+  if (!isFirst && subscriptions.has(uri)) {
+    server.sendResourceUpdated({ uri })
+      .catch(e => console.error('Could not send resource update:', e.message));
+  }
+}
+
+/**
+ * Describe what changed between two snapshots of a PR: [{ level, text }]
+ */
+function describeChanges(pr, previous, current) {
+  const key = getPRKey(pr);
+  const changes = [];
+  
+  const newBlocking = current.issues.filter(i =>
+    i.blocking && !previous.issues.some(p => p.id === i.id) && !pr.handledIssueIds.has(i.id));
+  if (newBlocking.length > 0) {
+    const list = newBlocking.map(i => `- ${getIssueLabel(i)}: ${i.title} (${i.id})`).join('\n');
+    changes.push({ level: 'warning', text: `${newBlocking.length} new blocking issue(s) on ${key}:\n${list}` });
+  }
   
-  for (const comment of cursorbotComments) {
-    // Skip outdated comments (position is null when code has changed)
-    if (comment.position === null && comment.original_position !== null) {
-      continue;
+  const { ci } = current;
+  if (ci.state !== previous.ci.state || current.headSha !== previous.headSha) {
+    if (ci.state === 'failed') {
+      const running = ci.pending > 0 ? `, ${ci.pending} still running` : '';
+      changes.push({ level: 'warning', text: `CI failed on ${key}: ${ci.failed} blocking check(s) failed${running}` });
+    } else if (ci.state === 'passed') {
+      const ready = current.issues.some(i => i.blocking && !pr.handledIssueIds.has(i.id)) || pr.changesRequested.length > 0
+        ? '' : ' - ready to merge';
+      changes.push({ level: 'notice', text: `CI passed on ${key} (${ci.passed} blocking check(s))${ready}` });
+    } else if (ci.state === 'pending' && current.headSha !== previous.headSha) {
+      changes.push({ level: 'info', text: `New commit ${current.headSha.slice(0, 7)} on ${key} - CI running (${ci.pending} check(s))` });
     }
-    
-    comments.push({
-      id: `review-${comment.id}`,
-      type: 'cursorbot',
-      source: 'review_comment',
-      path: comment.path,
-      line: comment.line || comment.original_line,
-      body: comment.body,
-      url: comment.html_url,
-      createdAt: comment.created_at,
-      outdated: comment.position === null,
-    });
   }
   
-  // Also check PR review summaries
-  const { data: reviews } = await octokit.rest.pulls.listReviews({
-    owner,
-    repo,
-    pull_number: prNumber,
-  });
+  const queued = current.mergeQueue?.state || null;
+  const wasQueued = previous.mergeQueue?.state || null;
+  if (current.state === 'merged' && previous.state !== 'merged') {
+    changes.push({ level: 'notice', text: `${key} was merged` });
+  } else if (current.state === 'closed' && previous.state !== 'closed') {
+    changes.push({ level: 'notice', text: `${key} was closed` });
+  } else if (queued && !wasQueued) {
+    const ahead = current.mergeQueue.position ? ` (${current.mergeQueue.position} PR(s) ahead)` : '';
+    changes.push({ level: 'notice', text: `${key} was added to the merge queue${ahead}` });
+  } else if (!queued && wasQueued && current.state === 'open') {
+    changes.push({ level: 'warning', text: `${key} was removed from the merge queue` });
+  } else if (queued !== wasQueued) {
+    changes.push({ level: 'info', text: `Merge queue state of ${key}: ${queued}` });
+  }
   
-  const cursorbotReviews = reviews.filter(
-    r => r.user?.login === 'cursor' || r.user?.login?.includes('cursor')
-  );
+  return changes;
+}
+
+/**
+ * Record fresh data for a PR ({ issues, title, url, state, headSha, ci, mergeQueue })
+ * and notify the client of what changed since the last look: a log message per
+ * change, and resources/updated for subscribers. The first look only records it.
+ */
+function publishChanges(pr, current) {
+  const previous = pr.snapshot;
+  pr.snapshot = { ...current, resource: previous?.resource };
   
-  for (const review of cursorbotReviews) {
-    if (review.body) {
-      comments.push({
-        id: `review-summary-${review.id}`,
-        type: 'cursorbot',
-        source: 'review_summary',
-        body: review.body,
-        state: review.state,
-        url: review.html_url,
-        createdAt: review.submitted_at,
-      });
+  if (previous) {
+    for (const { level, text } of describeChanges(pr, previous, current)) {
+      sendLog(level, text);
     }
   }
+  refreshResource(pr);
+}
+
+/**
+ * Seconds between background polls (MCP_POLL_SECONDS), or null when turned off
+ */
+function getPollInterval() {
+  const seconds = parseFloat(process.env.MCP_POLL_SECONDS);
+  if (seconds === 0) return null;
+  return Math.max(MIN_POLL_SECONDS, Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_POLL_SECONDS);
+}
+
+/**
+ * Fetch a PR's merge queue entry (picked up by its next getAllIssues).
+ * Closed and merged PRs can't be queued.
+ */
+async function refreshMergeQueue(pr) {
+  pr.mergeQueue = !pr.snapshot || pr.snapshot.state === 'open'
+    ? await getMergeQueueEntry(pr.owner, pr.repo, pr.number)
+    : null;
+}
+
+/**
+ * Check every watched PR, including its merge queue entry (open PRs only)
+ */
+async function pollWatchedPRs() {
+  // Rate limited: wait for the next poll
+  if (getBackoffUntil()) return;
   
-  return comments;
+  startPollCycle();
+  for (const pr of [...watchedPRs.values()]) {
+    await refreshMergeQueue(pr);
+    const issues = await getAllIssues(pr);
+    pr.lastIssueIds = new Set(issues.map(i => i.id));
+    pr.lastCheckTime = new Date().toISOString();
+  }
 }
 
 /**
- * Fetch CI status (check runs)
+ * Schedule the next background poll, while any PR is watched
  */
-async function getCIStatus(owner, repo, prNumber) {
-  const issues = [];
+function schedulePoll() {
+  const interval = getPollInterval();
+  if (pollTimer || polling || interval === null || watchedPRs.size === 0) return;
   
-  // Get PR to find the head SHA
-  const { data: pr } = await octokit.rest.pulls.get({
-    owner,
-    repo,
-    pull_number: prNumber,
-  });
+  pollTimer = setTimeout(async () => {
+    pollTimer = null;
+    polling = true;
+    try {
+      await pollWatchedPRs();
+    } catch (e) {
+      console.error('Background poll failed:', e.message);
+    }
+    polling = false;
+    schedulePoll();
+  }, interval * 1000);
+  // Don't keep the process alive once the client is gone
+  pollTimer.unref();
+}
+
+/**
+ * Tell the client the resource list changed (a PR was watched or unwatched)
+ */
+function sendResourceListChanged() {
+  server.sendResourceListChanged()
+    .catch(e => console.error('Could not send resource list change:', e.message));
+}
+
+/**
+ * Get a display label for an issue (e.g. "🤖 Cursorbot" or "❌ CI Failure")
+ */
+function getIssueLabel(issue) {
+  if (issue.kind === 'ci') {
+    if (!issue.blocking) return '⚠️ CI Failure (non-blocking)';
+    return issue.required ? '❌ CI Failure (required)' : '❌ CI Failure';
+  }
+  const info = getBot(issue.bot);
+  const optional = issue.blocking ? '' : ' (non-blocking)';
+  return info ? `${info.icon} ${info.name}${optional}` : '💬 Comment';
+}
+
+/**
+ * Format a watched PR's summary line
+ */
+function formatWatchedPR(pr) {
+  return `${getPRKey(pr)} - last check: ${pr.lastCheckTime || 'never'}, handled issues: ${pr.handledIssueIds.size}`;
+}
+
+/**
+ * Fetch a CI issue's failing jobs and stream their logs to disk (kept for the
+ * last MAX_CACHED_CI_LOGS issues, so paging doesn't refetch them).
+ * Returns { provider, build, baseBuild, jobs } (see fetchFailureLogs) or { error }.
+ */
+async function getCILogs(pr, issue, refresh = false) {
+  if (ciLogs.has(issue.id) && !refresh) return ciLogs.get(issue.id);
   
-  const headSha = pr.head.sha;
+  const url = getIssueCIUrl(issue);
+  if (!url) {
+    return { error: `No supported CI provider recognizes ${issue.id} (${issue.detailsUrl || issue.url || 'no URL'}). Use get_issue_details for its GitHub check output.` };
+  }
   
-  // Get check runs for the commit
-  const { data: checkRuns } = await octokit.rest.checks.listForRef({
-    owner,
-    repo,
-    ref: headSha,
-  });
+  const logsDir = join(CI_LOGS_DIR, issue.id);
+  rmSync(logsDir, { recursive: true, force: true });
+  const result = await fetchFailureLogs(url, { baseBranch: pr.baseBranch, logsDir });
+  if (result.error) return { error: result.error };
   
-  for (const run of checkRuns.check_runs) {
-    if (run.conclusion === 'failure' || run.conclusion === 'cancelled') {
-      issues.push({
-        id: `ci-${run.id}`,
-        type: 'ci_failure',
-        source: run.app?.name || 'CI',
-        name: run.name,
-        status: run.status,
-        conclusion: run.conclusion,
-        url: run.html_url || run.details_url,
-        output: run.output?.summary || run.output?.text,
-        completedAt: run.completed_at,
-      });
-    }
+  ciLogs.delete(issue.id);
+  ciLogs.set(issue.id, result);
+  for (const issueId of [...ciLogs.keys()].slice(0, -MAX_CACHED_CI_LOGS)) {
+    ciLogs.delete(issueId);
+    rmSync(join(CI_LOGS_DIR, issueId), { recursive: true, force: true });
   }
+  return result;
+}
+
+/**
+ * Find a failing job by number (1-based) or name (exact, else a unique substring).
+ * Returns { entry } or { error }.
+ */
+function findFailingJob(jobs, ref) {
+  const names = jobs.map((j, i) => `${i + 1}. ${j.job.name}`).join(', ');
+  const index = /^\d+$/.test(ref) ? parseInt(ref) - 1 : -1;
+  if (jobs[index]) return { entry: jobs[index] };
   
-  // Also check commit statuses (older API)
-  const { data: statuses } = await octokit.rest.repos.listCommitStatusesForRef({
-    owner,
-    repo,
-    ref: headSha,
-  });
+  const name = ref.toLowerCase();
+  const exact = jobs.filter(j => j.job.name.toLowerCase() === name);
+  const matches = exact.length > 0 ? exact : jobs.filter(j => j.job.name.toLowerCase().includes(name));
+  if (matches.length === 1) return { entry: matches[0] };
+  return { error: `${matches.length === 0 ? 'No' : 'More than one'} failing job matches "${ref}". Failing jobs: ${names}` };
+}
+
+/**
+ * Overview of a CI failure: each failing job with its error summary (provider
+ * summary, test failures, else error lines) and the index of its saved log
+ */
+function formatCILogSummary(pr, issue, { provider, build, baseBuild, jobs }) {
+  let text = `CI failure ${issue.id} (${issue.name || issue.source}) on ${getPRKey(pr)}\n`;
+  text += `Provider: ${provider.name}\nBuild: #${build.number} (${build.state}) ${build.url}\n`;
+  if (baseBuild) text += `Compared with: ${pr.baseBranch} build #${baseBuild.number} (${baseBuild.state}) ${baseBuild.url}\n`;
+  if (jobs.length === 0) return `${text}\nNo failing jobs found.`;
   
-  for (const status of statuses) {
-    if (status.state === 'failure' || status.state === 'error') {
-      const statusId = `status-${status.id}`;
-      // Avoid duplicates with check runs
-      if (!issues.some(i => i.url === status.target_url)) {
-        issues.push({
-          id: statusId,
-          type: 'ci_failure',
-          source: status.context,
-          name: status.context,
-          status: status.state,
-          conclusion: status.state,
-          description: status.description,
-          url: status.target_url,
-          createdAt: status.created_at,
-        });
-      }
+  jobs.forEach(({ job, log, logFile, summary, failures, flaky, base, error }, i) => {
+    text += `\n=== Job ${i + 1}: ${job.name} (${job.state}) ===\n`;
+    if (job.url) text += `Job URL: ${job.url}\n`;
+    if (flaky) text += `Likely flaky: ${flaky}\n`;
+    if (base) text += `Base branch: ${base.label}${base.buildNumber ? ` (build #${base.buildNumber})` : ''}\n`;
+    if (error) {
+      text += `Could not fetch log: ${error}\n`;
+      return;
     }
+    const overview = summary || formatTestFailures(failures) || extractErrorSummary(log);
+    if (overview) text += `\n${overview.trim()}\n`;
+    text += `\n${formatLogIndex('Log', logFile, { line: 1, byte: 0 })}`;
+  });
+  
+  return `${text}\nUse get_ci_logs with job (number or name) and start_line to read a job's full log.`;
+}
+
+/**
+ * A page of a failing job's saved log, with line numbers
+ */
+async function formatCILogPage({ job, logFile }, startLine, lineCount) {
+  if (startLine > logFile.lines) {
+    return `${job.name}: the log has ${logFile.lines} lines.`;
   }
   
-  return issues;
+  const anchors = [...logFile.sections, ...logFile.errors];
+  const lines = await readLogLines(logFile.path, startLine, lineCount, anchors);
+  const endLine = startLine + lines.length - 1;
+  const width = String(endLine).length;
+  const body = lines.map((line, i) => {
+    const text = line.length > MAX_LOG_LINE_CHARS ? `${line.slice(0, MAX_LOG_LINE_CHARS)}... [${line.length} chars]` : line;
+    return `${String(startLine + i).padStart(width)}  ${text}`;
+  }).join('\n');
+  const next = endLine < logFile.lines ? `\n\nMore: start_line ${endLine + 1}` : '';
+  
+  return `${job.name} (${job.state}) - lines ${startLine}-${endLine} of ${logFile.lines} (${formatBytes(logFile.bytes)})\n\n${body}${next}`;
 }
 
 /**
- * Get all issues for a PR
+ * Format a push's issue list for get_push_history
  */
-async function getAllIssues(owner, repo, prNumber) {
-  const [cursorbotIssues, ciIssues] = await Promise.all([
-    getCursorbotComments(owner, repo, prNumber),
-    getCIStatus(owner, repo, prNumber),
-  ]);
+function formatPushIssues(heading, issues) {
+  if (issues.length === 0) return '';
+  const lines = issues.map(i => `  - ${i.id} ${i.kind === 'ci' ? '[CI] ' : ''}${i.title}${i.location ? ` (${i.location})` : ''}`);
+  return `\n${heading}:\n${lines.join('\n')}`;
+}
+
+/**
+ * Find an issue by ID on the watched PR(s). Returns { pr, issue } or { error }.
+ */
+async function findWatchedIssue(issueId, ref) {
+  const { prs, error } = resolveWatchedPRs(ref);
+  if (error) return { error };
   
-  return [...cursorbotIssues, ...ciIssues];
+  for (const pr of prs) {
+    const issue = (await getAllIssues(pr)).find(i => i.id === issueId);
+    if (issue) return { pr, issue };
+  }
+  return { error: `Issue ${issueId} not found.` };
+}
+
+/**
+ * One-line description of an issue, for confirmations
+ */
+function describeIssue(issue) {
+  const location = formatLocation(issue);
+  return `${issue.id} (${getIssueLabel(issue)}: ${issue.title}${location ? `, ${location}` : ''})`;
+}
+
+/**
+ * Preview of an action that needs confirm: true
+ */
+function confirmationResult(tool, action) {
+  return {
+    content: [{
+      type: 'text',
+      text: `${action}\n\nNothing was posted. Call ${tool} again with confirm: true to do it.`,
+    }],
+  };
+}
+
+/**
+ * Error result helper
+ */
+function errorResult(text) {
+  return {
+    content: [{ type: 'text', text }],
+    isError: true,
+  };
+}
+
+// Optional PR argument shared by tools that act on watched PRs
+const PR_ARGUMENT = {
+  type: 'string',
+  description: 'Watched PR (URL, owner/repo#123 or #123). Optional when only one PR is watched.',
+};
+
+// Optional PR argument shared by prompts
+const PROMPT_PR_ARGUMENT = {
+  name: 'pr',
+  description: PR_ARGUMENT.description,
+  required: false,
+};
+
+// Filters shared by the fix prompts (see parseIssueFilters)
+const PROMPT_FILTER_ARGUMENTS = [
+  {
+    name: 'severity',
+    description: 'Only review comments at least this severe: high, medium or low. Comments without a severity are left out.',
+    required: false,
+  },
+  {
+    name: 'bot',
+    description: 'Only issues from these sources, comma-separated: bot IDs (e.g. cursor, codex), human for reviewer threads, ci for CI failures',
+    required: false,
+  },
+];
+
+const PROMPTS = [
+  {
+    name: 'fix-all-blocking',
+    description: 'Fix the unhandled blocking issues on a watched PR: review comments with their diff hunks, CI failures with their test failures and saved logs',
+    arguments: [PROMPT_PR_ARGUMENT, ...PROMPT_FILTER_ARGUMENTS],
+  },
+  {
+    name: 'fix-review-comments',
+    description: 'Address the unhandled review comments on a watched PR, with their diff hunks and suggested fixes',
+    arguments: [PROMPT_PR_ARGUMENT, ...PROMPT_FILTER_ARGUMENTS],
+  },
+  {
+    name: 'investigate-ci-failure',
+    description: 'Find the root cause of a CI failure on a watched PR from its failing jobs, errors and saved logs',
+    arguments: [
+      PROMPT_PR_ARGUMENT,
+      { name: 'issue_id', description: 'The CI failure (defaults to the first blocking one)', required: false },
+    ],
+  },
+  {
+    name: 'triage-flaky',
+    description: 'Decide for each CI failure on a watched PR whether to retry it (likely flaky, or failing on the base branch too) or fix it',
+    arguments: [PROMPT_PR_ARGUMENT],
+  },
+];
+
+const FIX_REVIEW_OUTRO = 'Fix the comments that are right. After fixing, commit and push the changes, then reply to each comment and resolve its thread (reply_to_issue with resolve: true). For comments you disagree with, reply explaining why instead.';
+const TRIAGE_OUTRO = `For each failure, decide:
+- Retry it (retry_ci with its issue ID) when it's likely flaky, or fails the same way on the base branch
+- Fix it when its failures are new in this PR - read its saved logs first
+Say which you chose for each failure and why. Don't change code for failures you retry.`;
+
+/**
+ * Parse the severity and bot prompt arguments: { severity, sources }.
+ * Throws on unknown values.
+ */
+function parseIssueFilters(args) {
+  const severity = args.severity?.trim().toLowerCase() || null;
+  if (severity && !SEVERITY_RANKS[severity]) {
+    throw new Error(`Unknown severity "${args.severity}" (expected high, medium or low).`);
+  }
+  
+  const known = [...getBots().map(b => b.id.toLowerCase()), HUMAN_REVIEWER.id, 'ci'];
+  const sources = (args.bot || '').split(',').map(b => b.trim().toLowerCase()).filter(Boolean);
+  const unknown = sources.filter(b => !known.includes(b));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown bot ${unknown.join(', ')} (expected ${known.join(', ')}).`);
+  }
+  return { severity, sources };
+}
+
+/**
+ * Whether an issue passes the prompt filters. CI failures have no severity, so
+ * the severity filter only applies to review comments.
+ */
+function matchesIssueFilters(issue, { severity, sources }) {
+  if (sources.length > 0 && !sources.includes(issue.kind === 'ci' ? 'ci' : issue.bot?.toLowerCase())) return false;
+  if (!severity || issue.kind === 'ci') return true;
+  return Boolean(issue.severity) && SEVERITY_RANKS[issue.severity.level] >= SEVERITY_RANKS[severity];
+}
+
+/**
+ * A CI issue with what its logs tell (see fix-prompt.js): testFailures, flaky,
+ * base and jobLogs (the saved log of each failing job). Without logs the issue
+ * is returned as is, and the prompt links its URL.
+ */
+async function withCIDetails(pr, issue) {
+  const logs = await getCILogs(pr, issue);
+  if (logs.error) return issue;
+  return {
+    ...issue,
+    testFailures: logs.jobs.flatMap(j => j.failures || []),
+    flaky: summarizeFlakiness(logs.jobs),
+    base: summarizeBaseComparison(logs.jobs, pr.baseBranch),
+    jobLogs: logs.jobs
+      .filter(j => !j.error && j.logFile)
+      .map(({ job, logFile }) => ({ name: job.name, path: logFile.path, lines: logFile.lines, bytes: logFile.bytes })),
+  };
+}
+
+/**
+ * Issue IDs listed at the end of a prompt, for the follow-up tools
+ */
+function formatPromptIssueIds(pr, issues) {
+  const lines = issues.map(i => `- ${i.id}: ${i.kind === 'ci' ? `[CI] ${i.name || i.source || 'CI'}` : i.title}`);
+  return `\n\nIssue IDs on ${getPRKey(pr)} (for get_issue_details, get_ci_logs and mark_issue_handled):\n${lines.join('\n')}`;
+}
+
+/**
+ * Prompt for one CI failure: its jobs' summary and saved logs
+ */
+async function buildInvestigatePrompt(pr, heading, issue) {
+  const logs = await getCILogs(pr, issue);
+  if (logs.error) {
+    return `Investigate why CI failed on ${heading}: ${issue.name || issue.source} (${issue.id}), ${issue.description || 'Build failed'}\n\nIts logs could not be fetched (${logs.error}). See ${issue.url} and get_issue_details.`;
+  }
+  
+  let text = `Investigate why CI failed on ${heading}, and fix the root cause.\n\n${formatCILogSummary(pr, issue, logs)}\n`;
+  const saved = logs.jobs.filter(j => !j.error && j.logFile);
+  if (saved.length > 0) {
+    text += `\nSaved logs (complete, one per failing job):\n`;
+    text += saved.map(({ job, logFile }) => `  ${job.name}: ${logFile.path} (${logFile.lines} lines, ${formatBytes(logFile.bytes)})`).join('\n');
+    text += '\n';
+  }
+  text += `\nRead the errors in the saved logs before changing code - the summary only has the first of them. Work out whether this PR's changes cause the failure (the base branch comparison above tells whether the base branch fails the same way), then fix it and run the failing tests locally. If it's flaky or failing on the base branch too, say so instead of changing code - retry_ci retries it.`;
+  return text;
+}
+
+/**
+ * Build a prompt's text from a watched PR's unhandled issues (see PROMPTS).
+ * Throws on bad arguments.
+ */
+async function buildPrompt(name, args) {
+  const filters = parseIssueFilters(args);
+  const { prs, error } = resolveWatchedPRs(args.pr);
+  if (error) throw new Error(error);
+  if (prs.length > 1) {
+    throw new Error(`Watching ${prs.length} PRs. Specify pr: ${prs.map(getPRKey).join(', ')}`);
+  }
+  
+  const pr = prs[0];
+  const issues = (await getAllIssues(pr)).filter(i => !pr.handledIssueIds.has(i.id));
+  const heading = pr.snapshot ? `${getPRKey(pr)} (${pr.snapshot.title}, ${pr.snapshot.url})` : getPRKey(pr);
+  const filtered = filters.severity || filters.sources.length > 0 ? ' matching the filters' : '';
+  
+  switch (name) {
+    case 'fix-all-blocking': {
+      const selected = issues.filter(i => i.blocking && matchesIssueFilters(i, filters));
+      if (selected.length === 0) return `No unhandled blocking issues on ${heading}${filtered}. Nothing to fix.`;
+      
+      const detailed = [];
+      for (const issue of selected) {
+        detailed.push(issue.kind === 'ci' ? await withCIDetails(pr, issue) : issue);
+      }
+      return generateFixPrompt(detailed, { intro: `Fix these blocking issues on ${heading}:`, diffHunks: true })
+        + formatPromptIssueIds(pr, selected);
+    }
+    
+    case 'fix-review-comments': {
+      const selected = issues.filter(i => i.kind !== 'ci' && matchesIssueFilters(i, filters));
+      if (selected.length === 0) return `No unhandled review comments on ${heading}${filtered}. Nothing to address.`;
+      
+      return generateFixPrompt(selected, { intro: `Address these review comments on ${heading}:`, outro: FIX_REVIEW_OUTRO, diffHunks: true })
+        + formatPromptIssueIds(pr, selected);
+    }
+    
+    case 'investigate-ci-failure': {
+      const ciIssues = issues.filter(i => i.kind === 'ci');
+      const issue = args.issue_id
+        ? ciIssues.find(i => i.id === args.issue_id)
+        : ciIssues.find(i => i.blocking) || ciIssues[0];
+      if (args.issue_id && !issue) {
+        throw new Error(`No unhandled CI failure ${args.issue_id} on ${getPRKey(pr)}.`);
+      }
+      if (!issue) return `No unhandled CI failures on ${heading}. Nothing to investigate.`;
+      return buildInvestigatePrompt(pr, heading, issue);
+    }
+    
+    case 'triage-flaky': {
+      const selected = issues.filter(i => i.kind === 'ci' && i.blocking);
+      if (selected.length === 0) return `No unhandled blocking CI failures on ${heading}. Nothing to triage.`;
+      
+      const detailed = [];
+      for (const issue of selected) {
+        detailed.push(await withCIDetails(pr, issue));
+      }
+      return generateFixPrompt(detailed, { intro: `Triage the CI failures on ${heading} - retry or fix?`, outro: TRIAGE_OUTRO })
+        + formatPromptIssueIds(pr, selected);
+    }
+  }
 }
 
 // Create MCP server
@@ -220,6 +758,9 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: { subscribe: true, listChanged: true },
+      prompts: {},
+      logging: {},
     },
   }
 );
@@ -230,7 +771,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     tools: [
       {
         name: 'watch_pr',
-        description: 'Start watching a GitHub PR for cursorbot issues and CI failures. Provide a PR URL or reference like "owner/repo#123".',
+        description: 'Start watching a GitHub PR for review bot issues and CI failures. Provide a PR URL or reference like "owner/repo#123". Multiple PRs can be watched at once.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -250,12 +791,31 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ['pr'],
         },
       },
+      {
+        name: 'unwatch_pr',
+        description: 'Stop watching a PR (its handled issues are kept on disk)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pr: PR_ARGUMENT,
+          },
+        },
+      },
+      {
+        name: 'list_watched_prs',
+        description: 'List all PRs currently being watched',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
       {
         name: 'check_for_issues',
-        description: 'Check the watched PR for new cursorbot comments or CI failures. Returns only issues that haven\'t been handled yet.',
+        description: 'Check watched PRs for new review bot comments or CI failures. Checks every watched PR unless one is given. Returns only issues that haven\'t been handled yet.',
         inputSchema: {
           type: 'object',
           properties: {
+            pr: PR_ARGUMENT,
             include_handled: {
               type: 'boolean',
               description: 'Include already-handled issues in results',
@@ -274,6 +834,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'The issue ID from check_for_issues',
             },
+            pr: PR_ARGUMENT,
           },
           required: ['issue_id'],
         },
@@ -288,13 +849,151 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'The issue ID to mark as handled',
             },
+            pr: PR_ARGUMENT,
+          },
+          required: ['issue_id'],
+        },
+      },
+      {
+        name: 'retry_ci',
+        description: 'Retry failed CI on a watched PR: re-runs the failed jobs through the CI provider (Buildkite, GitHub Actions, CircleCI, Jenkins), or re-runs the GitHub check suite. Retries every unhandled blocking CI failure unless issue_id is given.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            issue_id: {
+              type: 'string',
+              description: 'A CI issue ID from check_for_issues (optional)',
+            },
+            pr: PR_ARGUMENT,
+          },
+        },
+      },
+      {
+        name: 'get_ci_logs',
+        description: 'Get a CI failure\'s logs from its CI provider (Buildkite, GitHub Actions, CircleCI, Jenkins): the failing jobs with their error summaries and an index of each log\'s steps and errors. Give job (and start_line) to page through a job\'s full log.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            issue_id: {
+              type: 'string',
+              description: 'A CI issue ID from check_for_issues (ci-... or status-...)',
+            },
+            pr: PR_ARGUMENT,
+            job: {
+              type: 'string',
+              description: 'Failing job number (from the summary) or name, to read its log',
+            },
+            start_line: {
+              type: 'number',
+              description: 'First log line to return (1-based, with job)',
+              default: 1,
+            },
+            line_count: {
+              type: 'number',
+              description: `Lines to return (with job, max ${MAX_LOG_PAGE_LINES})`,
+              default: DEFAULT_LOG_PAGE_LINES,
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Fetch the logs again instead of using the ones already saved',
+              default: false,
+            },
           },
           required: ['issue_id'],
         },
       },
+      {
+        name: 'get_push_history',
+        description: 'Show what each push to a watched PR did: which blocking issues of the previous commit it fixed, which persisted and which it introduced. Use it after pushing a fix to check it worked.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pr: PR_ARGUMENT,
+            limit: {
+              type: 'number',
+              description: 'Number of pushes to show, newest first',
+              default: 5,
+            },
+          },
+        },
+      },
+      {
+        name: 'reply_to_issue',
+        description: 'Reply on GitHub to a review comment\'s thread (or, for a PR comment, post a PR comment quoting it), e.g. "Fixed in abc1234". Optionally resolves the thread too. Only posts with confirm: true - otherwise returns a preview.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            issue_id: {
+              type: 'string',
+              description: 'A review-... or issue-... ID from check_for_issues',
+            },
+            body: {
+              type: 'string',
+              description: 'Reply text (Markdown)',
+            },
+            resolve: {
+              type: 'boolean',
+              description: 'Also resolve the review thread',
+              default: false,
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'Must be true to post; ask the user first',
+              default: false,
+            },
+            pr: PR_ARGUMENT,
+          },
+          required: ['issue_id', 'body'],
+        },
+      },
+      {
+        name: 'resolve_thread',
+        description: 'Resolve a review comment\'s thread on GitHub, so it stops showing as an issue. Only resolves with confirm: true - otherwise returns a preview.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            issue_id: {
+              type: 'string',
+              description: 'A review-... ID from check_for_issues',
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'Must be true to resolve; ask the user first',
+              default: false,
+            },
+            pr: PR_ARGUMENT,
+          },
+          required: ['issue_id'],
+        },
+      },
+      {
+        name: 'react_to_issue',
+        description: 'Add a reaction on GitHub to a review comment or PR comment (e.g. +1 when fixed, -1 for a false positive). Only reacts with confirm: true - otherwise returns a preview.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            issue_id: {
+              type: 'string',
+              description: 'A review-... or issue-... ID from check_for_issues',
+            },
+            reaction: {
+              type: 'string',
+              enum: REACTIONS,
+              description: 'Reaction to add',
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'Must be true to react; ask the user first',
+              default: false,
+            },
+            pr: PR_ARGUMENT,
+          },
+          required: ['issue_id', 'reaction'],
+        },
+      },
       {
         name: 'get_watched_pr',
-        description: 'Get information about the currently watched PR',
+        description: 'Get information about the currently watched PR(s)',
         inputSchema: {
           type: 'object',
           properties: {},
@@ -302,10 +1001,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'clear_handled',
-        description: 'Clear the list of handled issues to see all issues again',
+        description: 'Clear the list of handled issues to see all issues again. Clears every watched PR unless one is given.',
         inputSchema: {
           type: 'object',
-          properties: {},
+          properties: {
+            pr: PR_ARGUMENT,
+          },
         },
       },
     ],
@@ -316,137 +1017,354 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
   
+  // Each tool call sees fresh data (unchanged resources are still served via ETag)
+  startPollCycle();
+  
   switch (name) {
     case 'watch_pr': {
       const parsed = parsePRReference(args.pr);
       if (!parsed) {
-        return {
-          content: [{ type: 'text', text: 'Invalid PR reference. Use URL or owner/repo#number format.' }],
-          isError: true,
-        };
+        return errorResult('Invalid PR reference. Use URL or owner/repo#number format.');
       }
       
-      watchedPR = {
+      const pr = {
         owner: parsed.owner || args.owner,
         repo: parsed.repo || args.repo,
         number: parsed.number,
       };
       
-      if (!watchedPR.owner || !watchedPR.repo) {
-        return {
-          content: [{ type: 'text', text: 'Could not determine repository. Please provide owner and repo.' }],
-          isError: true,
-        };
+      if (!pr.owner || !pr.repo) {
+        return errorResult('Could not determine repository. Please provide owner and repo.');
       }
       
-      handledIssueIds.clear();
-      lastCheckTime = new Date().toISOString();
+      // Handled issues are restored from disk, so re-watching (or a restart) keeps them
+      const existing = [...watchedPRs.values()].find(watched => isSamePR(watched, pr));
+      const key = getPRKey(existing || pr);
+      const watchedPR = existing || { ...pr, handledIssueIds: loadPRState(pr).handledIssueIds, lastIssueIds: new Set() };
+      watchedPR.lastCheckTime = new Date().toISOString();
+      watchedPRs.set(key, watchedPR);
       
       // Do initial check
-      const issues = await getAllIssues(watchedPR.owner, watchedPR.repo, watchedPR.number);
+      const issues = await getAllIssues(watchedPR);
+      watchedPR.lastIssueIds = new Set(issues.map(i => i.id));
+      
+      if (!existing) sendResourceListChanged();
+      schedulePoll();
+      
+      const others = [...watchedPRs.keys()].filter(k => k !== key);
+      const othersNote = others.length > 0 ? `\n\nAlso watching: ${others.join(', ')}` : '';
       
       return {
         content: [{
           type: 'text',
-          text: `Now watching PR #${watchedPR.number} in ${watchedPR.owner}/${watchedPR.repo}\n\nFound ${issues.length} existing issue(s):\n${issues.map(i => `- [${i.type}] ${i.name || i.path || 'Review'}: ${(i.body || i.description || '').slice(0, 100)}...`).join('\n') || 'None'}\n\nUse check_for_issues to poll for new issues.`,
+          text: `${existing ? 'Already watching' : 'Now watching'} PR #${pr.number} in ${pr.owner}/${pr.repo}\n\nFound ${issues.length} existing issue(s):\n${issues.map(i => `- [${i.bot || i.kind}] ${i.title}${formatLocation(i) ? ` (${formatLocation(i)})` : ''}: ${(i.body || i.description || '').slice(0, 100)}...`).join('\n') || 'None'}${othersNote}\n\nUse check_for_issues to poll for new issues.`,
         }],
       };
     }
     
-    case 'check_for_issues': {
-      if (!watchedPR) {
+    case 'unwatch_pr': {
+      const { prs, error } = resolveWatchedPRs(args?.pr);
+      if (error) return errorResult(error);
+      if (prs.length > 1) {
+        return errorResult(`Watching ${prs.length} PRs. Specify which to unwatch: ${prs.map(getPRKey).join(', ')}`);
+      }
+      
+      const key = getPRKey(prs[0]);
+      watchedPRs.delete(key);
+      sendResourceListChanged();
+      if (watchedPRs.size === 0 && pollTimer) {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Stopped watching ${key}. ${watchedPRs.size} PR(s) still watched.`,
+        }],
+      };
+    }
+    
+    case 'list_watched_prs':
+    case 'get_watched_pr': {
+      if (watchedPRs.size === 0) {
         return {
-          content: [{ type: 'text', text: 'No PR being watched. Use watch_pr first.' }],
-          isError: true,
+          content: [{ type: 'text', text: 'No PR currently being watched.' }],
         };
       }
       
-      const allIssues = await getAllIssues(watchedPR.owner, watchedPR.repo, watchedPR.number);
-      const includeHandled = args?.include_handled || false;
+      const lines = [...watchedPRs.values()].map(pr => `- ${formatWatchedPR(pr)}`);
       
-      const issues = includeHandled 
-        ? allIssues 
-        : allIssues.filter(i => !handledIssueIds.has(i.id));
+      return {
+        content: [{
+          type: 'text',
+          text: `Watching ${watchedPRs.size} PR(s):\n${lines.join('\n')}`,
+        }],
+      };
+    }
+    
+    case 'check_for_issues': {
+      const { prs, error } = resolveWatchedPRs(args?.pr);
+      if (error) return errorResult(error);
       
-      lastCheckTime = new Date().toISOString();
+      const includeHandled = args?.include_handled || false;
+      const sections = [];
+      let total = 0;
       
-      if (issues.length === 0) {
-        return {
-          content: [{
-            type: 'text',
-            text: `✅ No ${includeHandled ? '' : 'new '}issues found on PR #${watchedPR.number}`,
-          }],
-        };
+      for (const pr of prs) {
+        const allIssues = await getAllIssues(pr);
+        pr.lastIssueIds = new Set(allIssues.map(i => i.id));
+        pr.lastCheckTime = new Date().toISOString();
+        
+        const issues = includeHandled 
+          ? allIssues 
+          : allIssues.filter(i => !pr.handledIssueIds.has(i.id));
+        total += issues.length;
+        
+        const changesNote = pr.changesRequested.length > 0
+          ? `\n⛔ Changes requested by ${pr.changesRequested.map(r => `@${r.author}`).join(', ')} - not ready to merge until they re-review`
+          : '';
+        
+        if (issues.length === 0) {
+          sections.push(`✅ No ${includeHandled ? '' : 'new '}issues found on ${getPRKey(pr)}${changesNote}`);
+          continue;
+        }
+        
+        const issueList = issues.map(i => {
+          const location = formatLocation(i);
+          const preview = (i.body || i.description || i.output || '').slice(0, 200);
+          return `\n### ${getIssueLabel(i)}: ${i.title}\n- **ID:** ${i.id}\n- **Source:** ${i.source || i.author}\n${i.severity ? `- **Severity:** ${i.severity.label}\n` : ''}${location ? `- **File:** ${location}\n` : ''}- **Details:** ${preview}${preview.length >= 200 ? '...' : ''}\n- **URL:** ${i.url}`;
+        }).join('\n');
+        
+        sections.push(`Found ${issues.length} issue(s) on ${getPRKey(pr)}:${changesNote}\n${issueList}`);
       }
       
-      const issueList = issues.map(i => {
-        const location = i.path ? `${i.path}${i.line ? `:${i.line}` : ''}` : '';
-        const preview = (i.body || i.description || i.output || '').slice(0, 200);
-        return `\n### ${i.type === 'cursorbot' ? '🤖 Cursorbot' : '❌ CI Failure'}: ${i.name || location || 'Issue'}\n- **ID:** ${i.id}\n- **Source:** ${i.source}\n${location ? `- **File:** ${location}\n` : ''}- **Details:** ${preview}${preview.length >= 200 ? '...' : ''}\n- **URL:** ${i.url}`;
-      }).join('\n');
+      const footer = total > 0
+        ? '\n\nWould you like me to fix any of these? Use mark_issue_handled to dismiss issues.'
+        : '';
       
       return {
         content: [{
           type: 'text',
-          text: `Found ${issues.length} issue(s) on PR #${watchedPR.number}:\n${issueList}\n\nWould you like me to fix any of these? Use mark_issue_handled to dismiss issues.`,
+          text: `${sections.join('\n\n')}${footer}`,
         }],
       };
     }
     
     case 'get_issue_details': {
-      if (!watchedPR) {
-        return {
-          content: [{ type: 'text', text: 'No PR being watched. Use watch_pr first.' }],
-          isError: true,
-        };
+      const { prs, error } = resolveWatchedPRs(args.pr);
+      if (error) return errorResult(error);
+      
+      for (const pr of prs) {
+        const allIssues = await getAllIssues(pr);
+        const issue = allIssues.find(i => i.id === args.issue_id);
+        
+        if (issue) {
+          const logsHint = issue.kind === 'ci' ? '\n\nUse get_ci_logs for the failing jobs\' logs.' : '';
+          return {
+            content: [{
+              type: 'text',
+              text: `${JSON.stringify({ pr: getPRKey(pr), ...issue }, null, 2)}${logsHint}`,
+            }],
+          };
+        }
       }
       
-      const allIssues = await getAllIssues(watchedPR.owner, watchedPR.repo, watchedPR.number);
-      const issue = allIssues.find(i => i.id === args.issue_id);
+      return errorResult(`Issue ${args.issue_id} not found.`);
+    }
+    
+    case 'mark_issue_handled': {
+      const { prs, error } = resolveWatchedPRs(args.pr);
+      if (error) return errorResult(error);
       
-      if (!issue) {
-        return {
-          content: [{ type: 'text', text: `Issue ${args.issue_id} not found.` }],
-          isError: true,
-        };
+      // Without a PR reference, use the PR whose last check returned this issue
+      let target = prs.length === 1 ? prs[0] : prs.find(pr => pr.lastIssueIds.has(args.issue_id));
+      if (!target) {
+        return errorResult(`Could not tell which PR ${args.issue_id} belongs to. Specify pr: ${prs.map(getPRKey).join(', ')}`);
       }
       
+      target.handledIssueIds = updatePRState(target, state => {
+        state.handledIssueIds.add(args.issue_id);
+      }).handledIssueIds;
+      refreshResource(target);
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(issue, null, 2),
+          text: `Marked ${args.issue_id} as handled on ${getPRKey(target)}. It won't appear in future checks.`,
         }],
       };
     }
     
-    case 'mark_issue_handled': {
-      handledIssueIds.add(args.issue_id);
+    case 'retry_ci': {
+      const { prs, error } = resolveWatchedPRs(args?.pr);
+      if (error) return errorResult(error);
+      if (!args?.issue_id && prs.length > 1) {
+        return errorResult(`Watching ${prs.length} PRs. Specify which to retry: ${prs.map(getPRKey).join(', ')}`);
+      }
+      
+      for (const pr of prs) {
+        const ciFailures = (await getAllIssues(pr)).filter(i => i.kind === 'ci');
+        // Like the watcher's t key: without an issue ID, only unhandled blocking failures
+        const toRetry = args?.issue_id
+          ? ciFailures.filter(i => i.id === args.issue_id)
+          : ciFailures.filter(i => i.blocking && !pr.handledIssueIds.has(i.id));
+        if (args?.issue_id && toRetry.length === 0) continue;
+        if (toRetry.length === 0) {
+          return { content: [{ type: 'text', text: `No unhandled blocking CI failures on ${getPRKey(pr)}.` }] };
+        }
+        
+        const results = await retryCIFailures(pr.owner, pr.repo, toRetry);
+        const lines = results.map(r => r.error
+          ? `- ✗ ${r.target} (${r.issueIds.join(', ')}): ${r.error}`
+          : `- ↻ ${r.target} (${r.issueIds.join(', ')}): retried ${r.retried} job(s)`);
+        const failed = results.filter(r => r.error).length;
+        
+        return {
+          content: [{
+            type: 'text',
+            text: `Retried CI on ${getPRKey(pr)}:\n${lines.join('\n')}${failed < results.length ? '\n\nUse check_for_issues later to see the new results.' : ''}`,
+          }],
+          isError: failed === results.length,
+        };
+      }
+      
+      return errorResult(`CI issue ${args.issue_id} not found.`);
+    }
+    
+    case 'get_ci_logs': {
+      const { prs, error } = resolveWatchedPRs(args.pr);
+      if (error) return errorResult(error);
+      
+      for (const pr of prs) {
+        const issue = (await getAllIssues(pr)).find(i => i.id === args.issue_id);
+        if (!issue) continue;
+        if (issue.kind !== 'ci') {
+          return errorResult(`${args.issue_id} is not a CI failure. Use get_issue_details.`);
+        }
+        
+        const logs = await getCILogs(pr, issue, args.refresh);
+        if (logs.error) return errorResult(logs.error);
+        if (!args.job) {
+          return { content: [{ type: 'text', text: formatCILogSummary(pr, issue, logs) }] };
+        }
+        
+        const { entry, error: jobError } = findFailingJob(logs.jobs, String(args.job));
+        if (jobError) return errorResult(jobError);
+        if (entry.error) return errorResult(`Could not fetch the log of ${entry.job.name}: ${entry.error}`);
+        
+        const startLine = Math.max(1, parseInt(args.start_line) || 1);
+        const lineCount = Math.min(MAX_LOG_PAGE_LINES, Math.max(1, parseInt(args.line_count) || DEFAULT_LOG_PAGE_LINES));
+        return { content: [{ type: 'text', text: await formatCILogPage(entry, startLine, lineCount) }] };
+      }
+      
+      return errorResult(`CI issue ${args.issue_id} not found.`);
+    }
+    
+    case 'get_push_history': {
+      const { prs, error } = resolveWatchedPRs(args?.pr);
+      if (error) return errorResult(error);
+      if (prs.length > 1) {
+        return errorResult(`Watching ${prs.length} PRs. Specify which: ${prs.map(getPRKey).join(', ')}`);
+      }
+      
+      // Records the current head first, so the latest push is up to date
+      const pr = prs[0];
+      await getAllIssues(pr);
+      const history = getPushHistory(pr).slice(0, Math.max(1, parseInt(args?.limit) || 5));
+      if (history.length === 0) {
+        return errorResult(`No pushes recorded for ${getPRKey(pr)} yet.`);
+      }
+      
+      const sections = history.map(push => {
+        const header = `### ${push.sha.slice(0, 7)} (first seen ${push.firstSeenAt}): ${formatPushSummary(push)}`;
+        if (!push.previousSha) return `${header}${formatPushIssues('Open', push.issues)}`;
+        return header
+          + formatPushIssues('Fixed', push.fixed)
+          + formatPushIssues('New', push.introduced)
+          + formatPushIssues('Still open', push.persisted)
+          + formatPushIssues('Waiting on CI (check running again)', push.pending);
+      });
+      
       return {
         content: [{
           type: 'text',
-          text: `Marked ${args.issue_id} as handled. It won't appear in future checks.`,
+          text: `Push history of ${getPRKey(pr)}, newest first:\n\n${sections.join('\n\n')}`,
         }],
       };
     }
     
-    case 'get_watched_pr': {
-      if (!watchedPR) {
-        return {
-          content: [{ type: 'text', text: 'No PR currently being watched.' }],
-        };
+    case 'reply_to_issue': {
+      const { pr, issue, error } = await findWatchedIssue(args.issue_id, args.pr);
+      if (error) return errorResult(error);
+      if (!args.body?.trim()) return errorResult('Reply body is empty.');
+      if (args.resolve && !issue.threadId) {
+        return errorResult(`${issue.id} has no review thread to resolve.`);
+      }
+      
+      const resolveNote = args.resolve ? ' and resolve its thread' : '';
+      if (args.confirm !== true) {
+        return confirmationResult('reply_to_issue', `Would reply to ${describeIssue(issue)} on ${getPRKey(pr)}${resolveNote}:\n\n${args.body}`);
+      }
+      
+      const reply = await replyToIssue(pr.owner, pr.repo, pr.number, issue, args.body);
+      if (reply.error) return errorResult(reply.error);
+      if (args.resolve) {
+        const { error: resolveError } = await resolveIssueThread(issue);
+        if (resolveError) return errorResult(`Replied (${reply.url}), but the thread is still open. ${resolveError}`);
       }
       
       return {
         content: [{
           type: 'text',
-          text: `Watching: ${watchedPR.owner}/${watchedPR.repo}#${watchedPR.number}\nLast check: ${lastCheckTime}\nHandled issues: ${handledIssueIds.size}`,
+          text: `Replied to ${issue.id}${args.resolve ? ' and resolved its thread' : ''}: ${reply.url}`,
         }],
       };
     }
     
+    case 'resolve_thread': {
+      const { pr, issue, error } = await findWatchedIssue(args.issue_id, args.pr);
+      if (error) return errorResult(error);
+      if (args.confirm !== true) {
+        return confirmationResult('resolve_thread', `Would resolve the review thread of ${describeIssue(issue)} on ${getPRKey(pr)}.`);
+      }
+      
+      const { error: resolveError } = await resolveIssueThread(issue);
+      if (resolveError) return errorResult(resolveError);
+      return {
+        content: [{ type: 'text', text: `Resolved the review thread of ${issue.id}. It won't appear in future checks.` }],
+      };
+    }
+    
+    case 'react_to_issue': {
+      const { pr, issue, error } = await findWatchedIssue(args.issue_id, args.pr);
+      if (error) return errorResult(error);
+      if (!REACTIONS.includes(args.reaction)) {
+        return errorResult(`Unknown reaction "${args.reaction}" (expected ${REACTIONS.join(', ')}).`);
+      }
+      if (args.confirm !== true) {
+        return confirmationResult('react_to_issue', `Would react ${args.reaction} to ${describeIssue(issue)} on ${getPRKey(pr)}.`);
+      }
+      
+      const { error: reactError } = await reactToIssue(pr.owner, pr.repo, issue, args.reaction);
+      if (reactError) return errorResult(reactError);
+      return {
+        content: [{ type: 'text', text: `Reacted ${args.reaction} to ${issue.id}.` }],
+      };
+    }
+    
     case 'clear_handled': {
-      const count = handledIssueIds.size;
-      handledIssueIds.clear();
+      const { prs, error } = resolveWatchedPRs(args?.pr);
+      if (error) return errorResult(error);
+      
+      let count = 0;
+      for (const pr of prs) {
+        pr.handledIssueIds = updatePRState(pr, state => {
+          count += state.handledIssueIds.size;
+          state.handledIssueIds.clear();
+        }).handledIssueIds;
+        refreshResource(pr);
+      }
+      
       return {
         content: [{
           type: 'text',
@@ -456,15 +1374,105 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
     
     default:
-      return {
-        content: [{ type: 'text', text: `Unknown tool: ${name}` }],
-        isError: true,
-      };
+      return errorResult(`Unknown tool: ${name}`);
   }
 });
 
+// List watched PRs as resources
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  return {
+    resources: [...watchedPRs.values()].map(pr => ({
+      uri: getResourceUri(pr),
+      name: `${getPRKey(pr)} issues`,
+      description: `Unhandled review comments and CI failures on ${getPRKey(pr)}, with CI and merge queue state`,
+      mimeType: 'application/json',
+    })),
+  };
+});
+
+// Any PR can be read, watched or not
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return {
+    resourceTemplates: [{
+      uriTemplate: 'pr://{owner}/{repo}/{number}/issues',
+      name: 'PR issues',
+      description: 'Unhandled review comments and CI failures on a PR, with CI and merge queue state',
+      mimeType: 'application/json',
+    }],
+  };
+});
+
+// Read a PR's issues (always fresh)
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const match = uri.match(RESOURCE_URI_PATTERN);
+  if (!match) {
+    throw new Error(`Unknown resource: ${uri}. Use pr://owner/repo/123/issues.`);
+  }
+  
+  // A read only fetches: observing (state files, change notifications) is
+  // left to the poller, so reading an unwatched PR leaves no trace
+  const ref = { owner: match[1], repo: match[2], number: parseInt(match[3]) };
+  startPollCycle();
+  const { changesRequested, snapshot } = await fetchPRSnapshot(ref);
+  if (!snapshot) {
+    throw new Error(`Could not load ${getPRKey(ref)}.`);
+  }
+  const mergeQueue = snapshot.state === 'open' ? await getMergeQueueEntry(ref.owner, ref.repo, ref.number) : null;
+  const pr = { ...ref, handledIssueIds: loadPRState(ref).handledIssueIds, changesRequested };
+  
+  return {
+    contents: [{
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify({ ...buildResource(pr, { ...snapshot, mergeQueue }), checkedAt: new Date().toISOString() }, null, 2),
+    }],
+  };
+});
+
+// Subscribers get notifications/resources/updated when a watched PR's resource changes
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  subscriptions.add(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  subscriptions.delete(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+  logLevel = request.params.level;
+  return {};
+});
+
+// Fix prompts, built from a watched PR's unhandled issues when requested
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  return { prompts: PROMPTS };
+});
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  if (!PROMPTS.some(p => p.name === name)) {
+    throw new Error(`Unknown prompt: ${name}. Available: ${PROMPTS.map(p => p.name).join(', ')}`);
+  }
+  
+  startPollCycle();
+  const text = await buildPrompt(name, args);
+  return {
+    description: PROMPTS.find(p => p.name === name).description,
+    messages: [{ role: 'user', content: { type: 'text', text } }],
+  };
+});
+
 // Start server
 async function main() {
+  pruneExpiredPRStates();
+  // Saved CI logs are only for this session
+  process.on('exit', () => rmSync(CI_LOGS_DIR, { recursive: true, force: true }));
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => process.exit(0));
+  }
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('PR Watcher MCP server running');
@@ -0,0 +1,203 @@
+/**
+ * Jenkins integration for PR Watcher
+ *
+ * CI provider (see ci-providers.js) for Jenkins builds: looks up the build
+ * behind a status URL, its console log and failed pipeline stages, and
+ * re-triggers failed builds with the same parameters.
+ *
+ * Jenkins runs on your own host, so URLs are only recognized under JENKINS_URL.
+ * Authenticates with JENKINS_USER + JENKINS_TOKEN (an API token, which also
+ * skips Jenkins' CSRF crumb for POSTs).
+ *
+ * Recognized URLs:
+ *   $JENKINS_URL/job/folder/job/pipeline/123/...
+ *   $JENKINS_URL/blue/organizations/jenkins/folder%2Fpipeline/detail/branch/123/...
+ */
+
+const JENKINS_URL = process.env.JENKINS_URL?.replace(/\/+$/, '');
+const JENKINS_USER = process.env.JENKINS_USER;
+const JENKINS_TOKEN = process.env.JENKINS_TOKEN;
+
+// Build results that count as failures (UNSTABLE = test failures)
+const FAILED_RESULTS = ['failure', 'unstable', 'aborted'];
+
+/**
+ * Parse a Jenkins build URL into { jobPath, buildNumber }.
+ * jobPath is the classic path (/job/a/job/b) relative to JENKINS_URL.
+ */
+export function parseJenkinsUrl(url) {
+  if (!JENKINS_URL || !url?.startsWith(`${JENKINS_URL}/`)) return null;
+  const path = url.slice(JENKINS_URL.length);
+
+  const classicMatch = path.match(/^((?:\/job\/[^/]+)+)\/(\d+)(?:\/|$)/);
+  if (classicMatch) {
+    return { jobPath: classicMatch[1], buildNumber: classicMatch[2] };
+  }
+
+  // Blue Ocean: folders are %2F-separated in the pipeline name; for multibranch
+  // pipelines the detail segment is the branch job (its name keeps an encoded "/")
+  const blueMatch = path.match(/^\/blue\/organizations\/jenkins\/([^/]+)\/detail\/([^/]+)\/(\d+)(?:\/|$)/);
+  if (blueMatch) {
+    const folders = blueMatch[1].split(/%2F/i);
+    const isBranch = folders[folders.length - 1] !== blueMatch[2];
+    const jobs = isBranch ? [...folders, encodeURIComponent(blueMatch[2])] : folders;
+    return { jobPath: jobs.map(name => `/job/${name}`).join(''), buildNumber: blueMatch[3] };
+  }
+
+  return null;
+}
+
+/**
+ * Call Jenkins. Returns { response } or { error }.
+ */
+async function jenkinsRequest(path, options = {}) {
+  if (!JENKINS_URL || !JENKINS_USER || !JENKINS_TOKEN) {
+    return { error: 'JENKINS_URL, JENKINS_USER and JENKINS_TOKEN must be set in .env file' };
+  }
+
+  try {
+    const response = await fetch(`${JENKINS_URL}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${JENKINS_USER}:${JENKINS_TOKEN}`).toString('base64')}`,
+      },
+    });
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        return { error: 'Invalid Jenkins credentials' };
+      }
+      if (response.status === 404) {
+        return { error: 'Not found on Jenkins' };
+      }
+      return { error: `Jenkins API error: ${response.status}` };
+    }
+
+    return { response };
+  } catch (e) {
+    return { error: `Failed to fetch: ${e.message}` };
+  }
+}
+
+/**
+ * Fetch a build's details
+ */
+export async function getJenkinsBuild(jobPath, buildNumber) {
+  const tree = 'number,result,building,url,fullDisplayName,description,actions[parameters[name,value]]';
+  const { response, error } = await jenkinsRequest(`${jobPath}/${buildNumber}/api/json?tree=${tree}`);
+  if (error) return { error };
+  try {
+    return { build: await response.json() };
+  } catch (e) {
+    // e.g. a login page from a proxy in front of Jenkins
+    return { error: `Unexpected response from Jenkins (not JSON): ${e.message}` };
+  }
+}
+
+/**
+ * Names of failed stages of a Pipeline build ([] for freestyle builds)
+ */
+export async function getFailedStages(jobPath, buildNumber) {
+  const { response, error } = await jenkinsRequest(`${jobPath}/${buildNumber}/wfapi/describe`);
+  if (error) return [];
+  let run;
+  try {
+    run = await response.json();
+  } catch (e) {
+    return [];
+  }
+  return (run.stages || [])
+    .filter(stage => ['FAILED', 'UNSTABLE', 'ABORTED'].includes(stage.status))
+    .map(stage => stage.name);
+}
+
+/**
+ * Fetch a build's console log
+ */
+export async function getJenkinsLog(jobPath, buildNumber) {
+  const { response, error } = await jenkinsRequest(`${jobPath}/${buildNumber}/consoleText`);
+  if (error) return { error };
+  return { log: await response.text() };
+}
+
+/**
+ * Open a build's console log for streaming: { stream } (the response body) or { error }
+ */
+export async function streamJenkinsLog(jobPath, buildNumber) {
+  const { response, error } = await jenkinsRequest(`${jobPath}/${buildNumber}/consoleText`);
+  if (error) return { error };
+  return { stream: response.body };
+}
+
+/**
+ * Trigger a new build of a job, with the given parameters ({ name: value })
+ */
+export async function triggerJenkinsBuild(jobPath, parameters = {}) {
+  const query = new URLSearchParams(parameters).toString();
+  const path = query ? `${jobPath}/buildWithParameters?${query}` : `${jobPath}/build`;
+  const { error } = await jenkinsRequest(path, { method: 'POST' });
+  return error ? { error } : { ok: true };
+}
+
+// Jenkins as a CI provider (see ci-providers.js for the interface).
+// Jenkins logs are per build, so a build is a single "job".
+export const jenkinsProvider = {
+  id: 'jenkins',
+  name: 'Jenkins',
+  tokenEnv: 'JENKINS_TOKEN',
+
+  isConfigured() {
+    return Boolean(JENKINS_URL && JENKINS_USER && JENKINS_TOKEN);
+  },
+
+  matchUrl(url) {
+    return parseJenkinsUrl(url);
+  },
+
+  async getBuild(ref) {
+    const { build, error } = await getJenkinsBuild(ref.jobPath, ref.buildNumber);
+    if (error) return { error };
+
+    const state = build.building ? 'running' : (build.result || 'unknown').toLowerCase();
+    const failedStages = FAILED_RESULTS.includes(state) ? await getFailedStages(ref.jobPath, ref.buildNumber) : [];
+    const parameters = {};
+    for (const action of build.actions || []) {
+      for (const param of action?.parameters || []) parameters[param.name] = param.value;
+    }
+
+    return {
+      build: {
+        number: build.number,
+        state,
+        branch: null,
+        message: build.description,
+        url: build.url,
+        parameters,
+        jobs: [{
+          id: build.number,
+          name: failedStages.length > 0 ? `${build.fullDisplayName} (stages: ${failedStages.join(', ')})` : build.fullDisplayName,
+          state,
+          url: `${build.url}console`,
+        }],
+      },
+    };
+  },
+
+  getFailingJobs(build) {
+    return build.jobs.filter(job => FAILED_RESULTS.includes(job.state));
+  },
+
+  getJobLog(ref) {
+    return getJenkinsLog(ref.jobPath, ref.buildNumber);
+  },
+
+  streamJobLog(ref) {
+    return streamJenkinsLog(ref.jobPath, ref.buildNumber);
+  },
+
+  async retry(ref, build) {
+    if (this.getFailingJobs(build).length === 0) return { retried: 0 };
+    const { error } = await triggerJenkinsBuild(ref.jobPath, build.parameters);
+    return error ? { error, retried: 0 } : { retried: 1 };
+  },
+};
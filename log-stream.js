@@ -0,0 +1,297 @@
+/**
+ * Log Streaming - Save huge CI logs to disk without holding them in memory
+ *
+ * Job logs are streamed to a file line by line. Lines are only cleaned once
+ * they are complete, so ANSI codes (and Buildkite timestamps) split across
+ * network chunks are still stripped. While streaming, the log is indexed:
+ *   sections   Buildkite section markers (--- / +++ / ~~~) and GitHub Actions
+ *              groups - the job's steps
+ *   errors     Lines that look like errors (see ERROR_LINE_PATTERNS)
+ * each with its line and byte offset.
+ *
+ * Logs up to MAX_LOG_IN_MEMORY are also returned whole. Bigger ones are only
+ * returned as an excerpt - the lines around detected errors plus the end of the
+ * log - which is what failure extraction and summaries then work from.
+ */
+
+import { createReadStream, renameSync, unlinkSync } from 'fs';
+import { open } from 'fs/promises';
+import { createInterface } from 'readline';
+
+const MAX_LOG_IN_MEMORY = 5 * 1024 * 1024;   // Bigger logs are kept as an excerpt
+const MAX_EXCERPT_BYTES = 2 * 1024 * 1024;   // Error context kept from a big log
+const MAX_LINE_BYTES = 1024 * 1024;          // Longer lines (no newline in sight) are split
+const ERROR_CONTEXT_BEFORE = 5;              // Excerpt lines kept before an error...
+const ERROR_CONTEXT_AFTER = 40;              // ...and after it
+const TAIL_LINES = 300;                      // Last lines of a big log kept in the excerpt
+const MAX_INDEXED_SECTIONS = 500;
+const MAX_INDEXED_ERRORS = 100;
+const MAX_HEADER_SECTIONS = 40;              // Steps listed in a log file header
+const MAX_HEADER_ERRORS = 30;                // Errors listed in a log file header
+
+const SECTION_PATTERN = /^(---|\+\+\+|~~~) (.+)$/;
+const GROUP_PATTERN = /^##\[group\](.+)$/;
+const ERROR_LINE_PATTERNS = [
+  /^##\[error\]/,
+  /\berror\b(?:\[\w+\])?:/i,
+  /^\s*\w*(?:Error|Exception):\s/,
+  /\berror TS\d+/i,
+  /^\s*(?:FAIL|FAILED)\b/,
+  /^--- FAIL:/,
+  /^panic:/,
+  /^Traceback \(most recent call last\)/,
+  /[✖✗❌]/,
+  /exit(?:ed with)? (?:code|status) [1-9]/i,
+];
+
+/**
+ * Strip ANSI escape codes (colors, cursor moves, Buildkite timestamps) from a
+ * line. Carriage returns redraw the line (progress bars), so only the text
+ * after the last one is kept.
+ */
+export function stripAnsi(line) {
+  const text = line
+    .replace(/\x1b[_\]P^][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+    .replace(/\x1b\[[0-9;?]*[ -/]*[@-~]/g, '')
+    .replace(/\x1b[()][0-9A-Za-z]|\x1b[=>]/g, '')
+    .replace(/\r+$/, '');
+  return text.slice(text.lastIndexOf('\r') + 1);
+}
+
+/**
+ * Whether a (clean) log line looks like an error
+ */
+export function isErrorLine(line) {
+  return ERROR_LINE_PATTERNS.some(pattern => pattern.test(line));
+}
+
+/**
+ * Join excerpt lines ([{ line, text }], in order), marking skipped lines
+ */
+function joinExcerpt(lines) {
+  const output = [];
+  let previous = 0;
+  for (const { line, text } of lines) {
+    if (line > previous + 1) output.push(`... [lines ${previous + 1}-${line - 1} omitted] ...`);
+    output.push(text);
+    previous = line;
+  }
+  return output.join('\n');
+}
+
+/**
+ * Stream a log to a file, cleaning and indexing each line.
+ * `source` is a response body (or any async iterable of chunks) or a string.
+ * Returns { bytes, lines, sections, errors, errorCount, truncated, excerpt } or { error }:
+ *   sections   [{ marker, title, line, byte, errors }] (errors = error lines in the section)
+ *   errors     [{ line, byte, text }] (the first MAX_INDEXED_ERRORS of errorCount)
+ *   excerpt    The whole clean log, or when `truncated` the lines around errors and its end
+ * Line numbers are 1-based, byte offsets 0-based, both within the saved file.
+ */
+export async function streamLogToFile(source, path, { cleanLine = stripAnsi } = {}) {
+  const decoder = new TextDecoder();
+  const index = { bytes: 0, lines: 0, sections: [], errors: [], errorCount: 0, truncated: false };
+  let full = [];                 // All lines, until the log outgrows MAX_LOG_IN_MEMORY
+  const excerpt = [];            // Lines around errors: [{ line, text }]
+  let excerptBytes = 0;
+  let recent = [];               // Last lines, for error context and the tail
+  let keepUntil = 0;             // Keep lines up to here for the last error's context
+  let pending = '';
+
+  const addLine = raw => {
+    const text = cleanLine(raw);
+    const line = ++index.lines;
+    const byte = index.bytes;
+    index.bytes += Buffer.byteLength(text) + 1;
+
+    const section = text.match(SECTION_PATTERN);
+    const group = !section && text.match(GROUP_PATTERN);
+    if ((section || group) && index.sections.length < MAX_INDEXED_SECTIONS) {
+      index.sections.push({ marker: section ? section[1] : '##[group]', title: (section ? section[2] : group[1]).trim(), line, byte, errors: 0 });
+    } else if (text.startsWith('^^^ +++') && index.sections.length > 0) {
+      // Buildkite: expand the previous section
+      index.sections[index.sections.length - 1].marker = '+++';
+    }
+
+    if (isErrorLine(text)) {
+      index.errorCount++;
+      if (index.errors.length < MAX_INDEXED_ERRORS) index.errors.push({ line, byte, text: text.trim() });
+      if (index.sections.length > 0) index.sections[index.sections.length - 1].errors++;
+      if (excerptBytes < MAX_EXCERPT_BYTES) {
+        const last = excerpt.length > 0 ? excerpt[excerpt.length - 1].line : 0;
+        for (const entry of recent.slice(-ERROR_CONTEXT_BEFORE)) {
+          if (entry.line > last) excerpt.push(entry);
+        }
+        keepUntil = line + ERROR_CONTEXT_AFTER;
+      }
+    }
+    if (line <= keepUntil && (excerpt.length === 0 || excerpt[excerpt.length - 1].line < line)) {
+      excerpt.push({ line, text });
+      excerptBytes += Buffer.byteLength(text) + 1;
+    }
+
+    recent.push({ line, text });
+    if (recent.length > TAIL_LINES * 2) recent = recent.slice(-TAIL_LINES);
+    if (full) {
+      full.push(text);
+      if (index.bytes > MAX_LOG_IN_MEMORY) full = null;
+    }
+    return `${text}\n`;
+  };
+
+  const addText = async text => {
+    const parts = (pending + text).split('\n');
+    pending = parts.pop();
+    // A UTF-16 code unit is at most 3 bytes - only measure lines that could be too long
+    if (pending.length * 3 > MAX_LINE_BYTES && Buffer.byteLength(pending) > MAX_LINE_BYTES) {
+      parts.push(pending);
+      pending = '';
+    }
+    if (parts.length > 0) await file.write(parts.map(addLine).join(''));
+  };
+
+  let file = null;
+  try {
+    file = await open(path, 'w');
+    if (typeof source === 'string') {
+      await addText(source);
+    } else {
+      for await (const chunk of source) {
+        await addText(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+      }
+      await addText(decoder.decode());
+    }
+    if (pending) await file.write(addLine(pending));
+  } catch (e) {
+    return { error: `Failed to save log: ${e.message}` };
+  } finally {
+    await file?.close();
+  }
+
+  if (full) return { ...index, excerpt: full.join('\n') };
+
+  // Big log: error context, then the end of the log
+  const lastExcerpt = excerpt.length > 0 ? excerpt[excerpt.length - 1].line : 0;
+  const tail = recent.slice(-TAIL_LINES).filter(entry => entry.line > lastExcerpt);
+  return { ...index, truncated: true, excerpt: joinExcerpt([...excerpt, ...tail]) };
+}
+
+/**
+ * Human-readable size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Index of a streamed log (see streamLogToFile) for a log file header.
+ * `offset` is where the log starts in that file: { line, byte }.
+ */
+export function formatLogIndex(title, log, offset) {
+  const at = ({ line, byte }) => `line ${offset.line + line - 1}, byte ${offset.byte + byte}`;
+  let text = `${title} - full log at line ${offset.line} (${log.lines} lines, ${formatBytes(log.bytes)})\n`;
+
+  if (log.sections.length > 0) {
+    // Too many steps to list: keep the expanded ones and those with errors
+    const listed = log.sections.length > MAX_HEADER_SECTIONS
+      ? log.sections.filter(s => s.marker === '+++' || s.errors > 0).slice(0, MAX_HEADER_SECTIONS)
+      : log.sections;
+    text += `  Steps (${log.sections.length}${listed.length < log.sections.length ? `, ${listed.length} shown` : ''}):\n`;
+    for (const section of listed) {
+      const errors = section.errors > 0 ? ` (${section.errors} error line(s))` : '';
+      text += `    line ${offset.line + section.line - 1}: ${section.marker} ${section.title.slice(0, 100)}${errors}\n`;
+    }
+  }
+
+  if (log.errorCount > 0) {
+    const listed = log.errors.slice(0, MAX_HEADER_ERRORS);
+    text += `  Errors (${log.errorCount}${listed.length < log.errorCount ? `, first ${listed.length} shown` : ''}):\n`;
+    for (const error of listed) {
+      text += `    ${at(error)}: ${error.text.slice(0, 120)}\n`;
+    }
+  }
+  return text;
+}
+
+/**
+ * Read `count` lines of a saved log, starting at 1-based `startLine`, without
+ * loading the whole file. `anchors` are known { line, byte } positions in the
+ * file (its indexed sections and errors) - reading starts from the closest one.
+ */
+export async function readLogLines(path, startLine, count, anchors = []) {
+  const anchor = anchors.reduce((best, a) => (a.line <= startLine && a.line > best.line ? a : best), { line: 1, byte: 0 });
+  const input = createReadStream(path, { encoding: 'utf-8', start: anchor.byte });
+  const reader = createInterface({ input, crlfDelay: Infinity });
+  const lines = [];
+  let line = anchor.line - 1;
+  try {
+    for await (const text of reader) {
+      if (++line < startLine) continue;
+      lines.push(text);
+      if (lines.length >= count) break;
+    }
+  } finally {
+    reader.close();
+    input.destroy();
+  }
+  return lines;
+}
+
+/**
+ * Count lines (newlines) in a string
+ */
+function countLines(text) {
+  let count = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) count++;
+  return count;
+}
+
+/**
+ * Write a log file from parts: strings, and streamed logs ({ path, bytes, lines })
+ * copied in from disk. `buildHeader(offsets)` returns the text that goes first,
+ * given where each part will start ({ line, byte } per part) - the header's own
+ * size shifts those offsets, so it is rebuilt until it stops changing.
+ * Written atomically.
+ */
+export async function writeLogFile(path, parts, buildHeader) {
+  const sizes = parts.map(part => typeof part === 'string'
+    ? { lines: countLines(part), bytes: Buffer.byteLength(part) }
+    : { lines: part.lines, bytes: part.bytes });
+
+  let header = '';
+  let offsets = [];
+  for (let attempt = 0; attempt < 5; attempt++) {
+    let line = countLines(header) + 1;
+    let byte = Buffer.byteLength(header);
+    offsets = sizes.map(size => {
+      const offset = { line, byte };
+      line += size.lines;
+      byte += size.bytes;
+      return offset;
+    });
+    const next = buildHeader(offsets);
+    if (next === header) break;
+    header = next;
+  }
+
+  const tmpFile = `${path}.tmp`;
+  const file = await open(tmpFile, 'w');
+  try {
+    await file.write(header);
+    for (const part of parts) {
+      if (typeof part === 'string') {
+        await file.write(part);
+      } else {
+        for await (const chunk of createReadStream(part.path)) await file.write(chunk);
+      }
+    }
+    await file.close();
+    renameSync(tmpFile, path);
+  } catch (e) {
+    await file.close().catch(() => {});
+    try { unlinkSync(tmpFile); } catch (err) { /* ignore */ }
+    throw e;
+  }
+}
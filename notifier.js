@@ -0,0 +1,183 @@
+/**
+ * Notifier - Desktop notifications and clipboard for the watcher, on any platform
+ *
+ * Notification backends (auto-detected, or NOTIFIER / --notifier):
+ *   macos      osascript "display notification", with a sound
+ *   linux      notify-send (libnotify, over D-Bus)
+ *   terminal   Bell plus an OSC 9 / OSC 777 escape sequence, which terminals such
+ *              as iTerm2, Windows Terminal, WezTerm, foot and rxvt show as a
+ *              notification - works over SSH and in devcontainers
+ *   off        No notifications
+ *
+ * Clipboard backends (auto-detected, or CLIPBOARD / --clipboard):
+ *   pbcopy     macOS
+ *   wl-copy    Wayland
+ *   xclip      X11
+ *   osc52      OSC 52 escape sequence - the terminal sets its own clipboard
+ *              (SSH sessions, devcontainers, no clipboard tool installed)
+ *   off        No clipboard
+ *
+ * Over SSH the desktop backends would act on the remote machine, so the
+ * terminal ones are preferred there. Escape sequences are wrapped for tmux.
+ * Writes to stdout - not for the MCP server (stdio).
+ */
+
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { join, delimiter } from 'path';
+
+export const NOTIFIERS = ['macos', 'linux', 'terminal', 'off'];
+export const CLIPBOARDS = ['pbcopy', 'wl-copy', 'xclip', 'osc52', 'off'];
+
+const MAX_OSC52_BYTES = 100000;   // Terminals ignore (or truncate) bigger clipboard writes
+
+let notifierOverride = null;
+let clipboardOverride = null;
+const commandCache = new Map();
+
+/**
+ * Whether a command is on the PATH
+ */
+function hasCommand(command) {
+  if (!commandCache.has(command)) {
+    const dirs = (process.env.PATH || '').split(delimiter).filter(Boolean);
+    commandCache.set(command, dirs.some(dir => existsSync(join(dir, command))));
+  }
+  return commandCache.get(command);
+}
+
+/**
+ * Whether we're running in an SSH session
+ */
+function isSSH() {
+  return Boolean(process.env.SSH_CONNECTION || process.env.SSH_TTY);
+}
+
+/**
+ * Set backends explicitly (e.g. from CLI flags). Unknown or empty values are
+ * ignored, falling back to NOTIFIER / CLIPBOARD and then auto-detection.
+ */
+export function configureNotifier({ notifier, clipboard } = {}) {
+  notifierOverride = NOTIFIERS.includes(notifier) ? notifier : null;
+  clipboardOverride = CLIPBOARDS.includes(clipboard) ? clipboard : null;
+}
+
+/**
+ * Notification backend in use
+ */
+export function getNotifier() {
+  const configured = notifierOverride || process.env.NOTIFIER?.trim().toLowerCase();
+  if (NOTIFIERS.includes(configured)) return configured;
+
+  if (!isSSH()) {
+    if (process.platform === 'darwin' && hasCommand('osascript')) return 'macos';
+    if (process.platform === 'linux' && hasCommand('notify-send')
+        && (process.env.DBUS_SESSION_BUS_ADDRESS || process.env.DISPLAY || process.env.WAYLAND_DISPLAY)) {
+      return 'linux';
+    }
+  }
+  return 'terminal';
+}
+
+/**
+ * Clipboard backend in use
+ */
+export function getClipboard() {
+  const configured = clipboardOverride || process.env.CLIPBOARD?.trim().toLowerCase();
+  if (CLIPBOARDS.includes(configured)) return configured;
+
+  if (!isSSH()) {
+    if (process.platform === 'darwin' && hasCommand('pbcopy')) return 'pbcopy';
+    if (process.env.WAYLAND_DISPLAY && hasCommand('wl-copy')) return 'wl-copy';
+    if (process.env.DISPLAY && hasCommand('xclip')) return 'xclip';
+  }
+  return process.stdout.isTTY ? 'osc52' : 'off';
+}
+
+/**
+ * Write a terminal escape sequence, wrapped so tmux passes it through
+ */
+function writeEscape(sequence) {
+  if (!process.stdout.isTTY) return false;
+  const wrapped = process.env.TMUX
+    ? `\x1bPtmux;${sequence.replace(/\x1b/g, '\x1b\x1b')}\x1b\\`
+    : sequence;
+  process.stdout.write(wrapped);
+  return true;
+}
+
+/**
+ * Text safe inside an escape sequence (no control characters)
+ */
+function escapeText(text) {
+  return `${text || ''}`.replace(/[\x00-\x1f\x7f]+/g, ' ').trim();
+}
+
+/**
+ * Run a command without a shell, optionally feeding it text on stdin.
+ * Resolves to whether it exited successfully.
+ */
+function run(command, args, input = null) {
+  return new Promise(resolve => {
+    const child = spawn(command, args, { stdio: [input === null ? 'ignore' : 'pipe', 'ignore', 'ignore'] });
+    child.on('error', () => resolve(false));
+    child.on('close', code => resolve(code === 0));
+    if (input !== null) {
+      child.stdin.on('error', () => { /* reported by the exit code */ });
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * AppleScript string literal
+ */
+function appleScriptString(text) {
+  return `"${`${text || ''}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Show a notification: { title, subtitle, message, sound (macOS sound name), bell }.
+ * `bell` also rings the terminal bell (the terminal backend always does).
+ * Doesn't wait for the notification; never throws.
+ */
+export function notify({ title, subtitle = '', message, sound = null, bell = false }) {
+  const backend = getNotifier();
+
+  if (backend === 'macos') {
+    let script = `display notification ${appleScriptString(message)} with title ${appleScriptString(title)}`;
+    if (subtitle) script += ` subtitle ${appleScriptString(subtitle)}`;
+    if (sound) script += ` sound name ${appleScriptString(sound)}`;
+    run('osascript', ['-e', script]);
+  } else if (backend === 'linux') {
+    run('notify-send', ['--app-name=PR Watcher', title, subtitle ? `${subtitle}\n${message}` : message]);
+  } else if (backend === 'terminal') {
+    const body = escapeText(subtitle ? `${subtitle}: ${message}` : message);
+    // OSC 777 for terminals that take a separate title (rxvt, foot, WezTerm), OSC 9 otherwise
+    const osc777 = /rxvt|foot/.test(process.env.TERM || '') || process.env.TERM_PROGRAM === 'WezTerm';
+    writeEscape(osc777
+      ? `\x1b]777;notify;${escapeText(title).replace(/;/g, ',')};${body}\x07`
+      : `\x1b]9;${escapeText(title)}: ${body}\x07`);
+    bell = true;
+  }
+
+  if (bell && process.stdout.isTTY) process.stdout.write('\x07');
+}
+
+/**
+ * Copy text to the clipboard. Resolves to whether it was copied (for OSC 52,
+ * whether the sequence was sent - the terminal may still ignore it).
+ */
+export async function copyToClipboard(text) {
+  switch (getClipboard()) {
+    case 'pbcopy': return run('pbcopy', [], text);
+    case 'wl-copy': return run('wl-copy', [], text);
+    case 'xclip': return run('xclip', ['-selection', 'clipboard'], text);
+    case 'osc52': {
+      const encoded = Buffer.from(text).toString('base64');
+      if (encoded.length > MAX_OSC52_BYTES) return false;
+      return writeEscape(`\x1b]52;c;${encoded}\x07`);
+    }
+    default: return false;
+  }
+}
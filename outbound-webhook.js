@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Outbound webhook notifications for PR Watcher
+ *
+ * Posts watcher events to a Slack incoming webhook or any HTTP endpoint, for
+ * when you're away from the desktop notifications:
+ *   issues        New blocking issues (same as the desktop notification)
+ *   ready         PR is ready to merge
+ *   merge-queue   PR added to / removed from the merge queue, or merged
+ *
+ * Configured in .env:
+ *   NOTIFY_WEBHOOK_URL              Slack incoming webhook or any http(s) URL
+ *   NOTIFY_WEBHOOK_FORMAT           slack ({ text }) or json (the whole event);
+ *                                   default slack for hooks.slack.com, else json
+ *   NOTIFY_WEBHOOK_EVENTS           Events to send (comma-separated, default all)
+ *   NOTIFY_WEBHOOK_DEDUPE_MINUTES   Don't repeat the same event within this window (default 30)
+ *   NOTIFY_WEBHOOK_TEMPLATE         Message template, see DEFAULT_TEMPLATES for placeholders
+ *
+ * Usage:
+ *   node outbound-webhook.js stub [--port 8788]
+ *     Run a local endpoint that prints what it receives
+ *   node outbound-webhook.js test [event] [--url <url>]
+ *     Send a sample event (to NOTIFY_WEBHOOK_URL, or --url)
+ */
+
+import './env.js';
+import { fileURLToPath } from 'url';
+import { createServer } from 'http';
+import { getBot } from './bots.js';
+import { formatLocation } from './pr-data.js';
+
+export const OUTBOUND_EVENTS = ['issues', 'ready', 'merge-queue'];
+
+const DEFAULT_STUB_PORT = 8788;
+const DEFAULT_DEDUPE_MINUTES = 30;
+const MAX_LISTED_ISSUES = 10;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Placeholders: {event} {title} {message} {pr} (owner/repo#123) {url} {issues} (one per line) {ci}
+// "\n" in NOTIFY_WEBHOOK_TEMPLATE is a line break. Lines left empty are dropped.
+const DEFAULT_TEMPLATES = {
+  slack: '*{title}* - <{url}|{pr}>\n{message}\n{issues}\n{ci}',
+  json: '{title} - {pr}\n{message}\n{issues}\n{ci}\n{url}',
+};
+
+const COLORS = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+};
+
+const lastSent = new Map();   // Dedupe key -> time sent
+
+/**
+ * Outbound webhook settings from .env, or null when no URL is set
+ */
+export function getOutboundConfig() {
+  const url = process.env.NOTIFY_WEBHOOK_URL?.trim();
+  if (!url) return null;
+
+  const format = process.env.NOTIFY_WEBHOOK_FORMAT?.trim().toLowerCase();
+  const events = process.env.NOTIFY_WEBHOOK_EVENTS?.split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  const dedupe = parseFloat(process.env.NOTIFY_WEBHOOK_DEDUPE_MINUTES);
+  return {
+    url,
+    format: ['slack', 'json'].includes(format) ? format : (/hooks\.slack\.com/.test(url) ? 'slack' : 'json'),
+    events: events?.length ? events.filter(e => OUTBOUND_EVENTS.includes(e)) : OUTBOUND_EVENTS,
+    dedupeMs: (Number.isFinite(dedupe) && dedupe >= 0 ? dedupe : DEFAULT_DEDUPE_MINUTES) * 60 * 1000,
+    template: process.env.NOTIFY_WEBHOOK_TEMPLATE?.replace(/\\n/g, '\n') || null,
+  };
+}
+
+/**
+ * One line per issue: [LABEL] title (location)
+ */
+function formatIssueLines(issues) {
+  const lines = issues.slice(0, MAX_LISTED_ISSUES).map(issue => {
+    if (issue.kind === 'ci') {
+      return `• [CI] ${issue.name || issue.source || 'CI'}: ${issue.description || 'Build failed'}`;
+    }
+    const label = getBot(issue.bot)?.label || 'REVIEW';
+    const location = formatLocation(issue);
+    return `• [${label}] ${issue.title || 'Review comment'}${location ? ` (${location})` : ''}`;
+  });
+  if (issues.length > MAX_LISTED_ISSUES) lines.push(`• ... and ${issues.length - MAX_LISTED_ISSUES} more`);
+  return lines.join('\n');
+}
+
+/**
+ * Fill a template's {placeholders}, dropping lines that end up empty
+ */
+export function renderTemplate(template, values) {
+  return template
+    .split('\n')
+    .map(line => {
+      const usesPlaceholders = /\{\w+\}/.test(line);
+      const filled = line.replace(/\{(\w+)\}/g, (match, key) => (key in values ? `${values[key] ?? ''}` : match));
+      return usesPlaceholders && !filled.replace(/[*_•\-\s]/g, '') ? null : filled;
+    })
+    .filter(line => line !== null)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Build the request body for an event
+ */
+function buildPayload(settings, event, { pr, title, message, issues = [], ci = null }) {
+  const values = {
+    event,
+    title,
+    message: message || '',
+    pr: `${pr.owner}/${pr.repo}#${pr.number}`,
+    url: pr.url,
+    issues: formatIssueLines(issues),
+    ci: ci ? `CI: ${ci}` : '',
+  };
+  const text = renderTemplate(settings.template || DEFAULT_TEMPLATES[settings.format], values);
+  if (settings.format === 'slack') return { text };
+
+  return {
+    event,
+    title,
+    message: message || null,
+    text,
+    pr,
+    issues: issues.map(issue => ({
+      id: issue.id,
+      kind: issue.kind,
+      title: issue.kind === 'ci' ? issue.name : issue.title,
+      location: formatLocation(issue) || null,
+      url: issue.url || null,
+    })),
+    ci,
+    sentAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * POST a JSON body. Returns { ok } or { error }.
+ */
+async function postJson(url, body) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'pr-watcher' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      return { error: `Webhook returned ${response.status}` };
+    }
+    return { ok: true };
+  } catch (e) {
+    return { error: `Failed to post webhook: ${e.message}${e.cause?.code ? ` (${e.cause.code})` : ''}` };
+  }
+}
+
+/**
+ * Send a watcher event to the outbound webhook, unless it's not configured, the
+ * event is turned off, or the same event was sent within the dedupe window.
+ * details: { pr: { owner, repo, number, url }, title, message, issues, ci, dedupeKey }
+ * (dedupeKey defaults to its title and message).
+ * Returns { sent } or { error }.
+ */
+export async function sendOutboundEvent(event, details, settings = getOutboundConfig()) {
+  if (!settings || !settings.events.includes(event)) return { sent: false };
+
+  const key = `${event}:${details.pr.owner}/${details.pr.repo}#${details.pr.number}:${details.dedupeKey ?? `${details.title}|${details.message}`}`;
+  const previous = lastSent.get(key);
+  if (previous && Date.now() - previous < settings.dedupeMs) return { sent: false };
+
+  const { error } = await postJson(settings.url, buildPayload(settings, event, details));
+  if (error) return { error };
+  lastSent.set(key, Date.now());
+  return { sent: true };
+}
+
+/**
+ * Run a local endpoint that prints each request it receives
+ */
+function runStub(port) {
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      console.log(`${COLORS.blue}${new Date().toLocaleTimeString()} ${req.method} ${req.url}${COLORS.reset}`);
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch (e) {
+        console.log(body);
+      }
+      console.log('');
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`${COLORS.green}Webhook stub listening on http://localhost:${port}/${COLORS.reset}`);
+    console.log(`Set NOTIFY_WEBHOOK_URL=http://localhost:${port}/ (Ctrl+C to stop)\n`);
+  });
+}
+
+/**
+ * Sample details for each event (for `test`)
+ */
+function getSampleEvent(event) {
+  const pr = { owner: 'owner', repo: 'repo', number: 123, url: 'https://github.com/owner/repo/pull/123' };
+  if (event === 'ready') {
+    return { pr, title: '✅ Ready to Merge', message: 'All checks passed, no review issues', ci: '✅ 12 checks passed' };
+  }
+  if (event === 'merge-queue') {
+    return { pr, title: '📋 Added to Queue', message: 'Added to merge queue Position: #2' };
+  }
+  return {
+    pr,
+    title: '🔔 2 new blocking issue(s)',
+    message: 'Fix prompt copied to clipboard',
+    issues: [
+      { id: 'review-1', kind: 'review', bot: 'cursor', title: 'Missing error handling', location: { path: 'src/api.ts', line: 42 } },
+      { id: 'status-2', kind: 'ci', name: 'buildkite/app', description: 'Build #4521 failed', url: 'https://buildkite.com/org/app/builds/4521' },
+    ],
+    ci: '❌ 1 check(s) failed, 11 passed',
+  };
+}
+
+/**
+ * Main entry point for CLI usage
+ */
+async function main() {
+  const [command, eventArg] = process.argv.slice(2);
+  const option = name => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index > -1 ? process.argv[index + 1] : null;
+  };
+
+  if (command === 'stub') {
+    runStub(parseInt(option('port')) || DEFAULT_STUB_PORT);
+    return;
+  }
+
+  if (command !== 'test') {
+    console.error('Usage: node outbound-webhook.js stub [--port 8788]');
+    console.error(`       node outbound-webhook.js test [${OUTBOUND_EVENTS.join('|')}] [--url <url>]`);
+    console.error('');
+    console.error('Example:');
+    console.error('  node outbound-webhook.js stub &');
+    console.error(`  node outbound-webhook.js test ready --url http://localhost:${DEFAULT_STUB_PORT}/`);
+    process.exit(1);
+  }
+
+  const event = eventArg && !eventArg.startsWith('--') ? eventArg : 'issues';
+  if (!OUTBOUND_EVENTS.includes(event)) {
+    console.error(`${COLORS.red}Unknown event "${event}" (expected ${OUTBOUND_EVENTS.join(', ')})${COLORS.reset}`);
+    process.exit(1);
+  }
+
+  const url = option('url');
+  if (url) process.env.NOTIFY_WEBHOOK_URL = url;
+  const settings = getOutboundConfig();
+  if (!settings) {
+    console.error(`${COLORS.red}Error: NOTIFY_WEBHOOK_URL not set in .env file (or pass --url)${COLORS.reset}`);
+    process.exit(1);
+  }
+
+  // Test sends always go out, whatever the event toggles say
+  const { sent, error } = await sendOutboundEvent(event, getSampleEvent(event), { ...settings, events: OUTBOUND_EVENTS });
+  if (error) {
+    console.error(`${COLORS.red}Error: ${error}${COLORS.reset}`);
+    process.exit(1);
+  }
+  console.log(`${COLORS.green}Sent "${event}" as ${settings.format} to ${settings.url}${sent ? '' : ' (skipped)'}${COLORS.reset}`);
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(console.error);
+}
@@ -0,0 +1,994 @@
+/**
+ * PR Data - Shared GitHub data layer for PR Watcher
+ *
+ * Fetches review bot comments, PR comments and CI failures for a PR and
+ * normalizes them into a single issue model. Used by index.js (MCP server),
+ * watcher.js (terminal watcher) and detail.js so they all see the same issues.
+ *
+ * Normalized issue:
+ *   {
+ *     id,          // review-<id>, issue-<id>, ci-<id>, status-<id>
+ *     kind,        // 'review' | 'comment' | 'ci'
+ *     bot,         // Review bot id from bots.js ('cursor', 'codex', ...), 'human', or null (CI)
+ *     author,
+ *     title,       // Short one-line summary
+ *     body,
+ *     severity,    // { level: 'high'|'medium'|'low', label: 'HIGH'|'P0'|... } or null
+ *     location,    // { path, line } or null
+ *     suggestedFix, // Suggested replacement code from the comment, or null
+ *     blocking,    // false for non-blocking CI (not required, Slack notifications, etc.)
+ *     url,         // GitHub URL for the comment / check
+ *     detailsUrl,  // CI provider URL (Buildkite, etc.) when known
+ *     createdAt,
+ *   }
+ *
+ * CI issues also carry name, source, conclusion, description, output and
+ * required (true/false from branch protection + rulesets, null if unknown).
+ * Human review threads (HUMAN_REVIEWS mode) carry the whole conversation in body.
+ * Titles, severities and suggested fixes come from each bot's parser in bots.js.
+ */
+
+import { octokit } from './github-client.js';
+import { findBot, parseBotComment, extractTitle, HUMAN_REVIEWER } from './bots.js';
+
+export { octokit };
+
+// CI checks that are non-blocking (notifications, optional checks, etc.)
+// These will be shown but won't prevent "ready to merge" status.
+// Only used when the base branch's required checks can't be read (or none are
+// configured) - otherwise required checks decide. The NON_BLOCKING_CI env var
+// (comma-separated patterns) always overrides, even for required checks.
+const DEFAULT_NON_BLOCKING_CI = [
+  'slack',                    // Slack notifications
+  'notification',             // Generic notification jobs
+  'emoji',                    // Emoji reaction jobs
+  'add reaction',             // Slack reaction jobs
+  'coverage',                 // Coverage reports (informational)
+  'codecov',                  // Codecov reporting
+  'deque_notify',             // Merge queue dequeue notifications
+  'dequeue',                  // Dequeue-related jobs
+];
+
+// Human review thread modes (HUMAN_REVIEWS env var / watcher --human-reviews)
+const HUMAN_REVIEW_MODES = ['off', 'blocking', 'optional'];
+
+// Check run conclusions that count as failures
+const FAILED_CONCLUSIONS = ['failure', 'cancelled', 'timed_out'];
+
+// Required checks rarely change - re-read them every so often, not every poll
+const REQUIRED_CHECKS_TTL_MS = 15 * 60 * 1000;
+const PERMANENT_ERROR_STATUSES = [401, 403, 404];  // No access - reading again won't help
+const requiredChecksCache = new Map();             // "owner/repo:branch" -> { checks, fetchedAt }
+const reportedRequiredCheckErrors = new Set();     // "owner/repo:branch:source" errors already logged
+
+/**
+ * Parse PR URL or reference into owner/repo/number
+ */
+export function parsePRReference(ref) {
+  // Handle full URL: https://github.com/owner/repo/pull/123
+  const urlMatch = ref.match(/github\.com\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+  if (urlMatch) {
+    return { owner: urlMatch[1], repo: urlMatch[2], number: parseInt(urlMatch[3]) };
+  }
+
+  // Handle short form: owner/repo#123
+  const shortMatch = ref.match(/([^/]+)\/([^#]+)#(\d+)/);
+  if (shortMatch) {
+    return { owner: shortMatch[1], repo: shortMatch[2], number: parseInt(shortMatch[3]) };
+  }
+
+  // Handle just number (requires repo context)
+  const numMatch = ref.match(/^#?(\d+)$/);
+  if (numMatch) {
+    return { number: parseInt(numMatch[1]) };
+  }
+
+  return null;
+}
+
+/**
+ * Parse an issue ID into its type and numeric GitHub ID
+ */
+export function parseIssueId(issueId) {
+  const match = issueId?.match(/^(review|issue|ci|status)-(\d+)$/);
+  if (!match) return null;
+  return { prefix: match[1], githubId: match[2] };
+}
+
+/**
+ * Get non-blocking CI override patterns from the NON_BLOCKING_CI env var
+ */
+function getNonBlockingOverrides() {
+  const envPatterns = process.env.NON_BLOCKING_CI;
+  if (!envPatterns) return [];
+  return envPatterns.split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Get non-blocking CI patterns (defaults + env var)
+ */
+export function getNonBlockingPatterns() {
+  return [...DEFAULT_NON_BLOCKING_CI, ...getNonBlockingOverrides()];
+}
+
+/**
+ * Check if a CI job name is non-blocking by name patterns alone
+ */
+export function isNonBlockingCI(jobName) {
+  if (!jobName) return false;
+  const lower = jobName.toLowerCase();
+  const patterns = getNonBlockingPatterns();
+  return patterns.some(pattern => lower.includes(pattern));
+}
+
+/**
+ * Classify a check by name: { required, blocking }.
+ * `requiredChecks` is the list from getRequiredChecks() (null/empty = unknown,
+ * falls back to name patterns). NON_BLOCKING_CI always wins.
+ */
+export function classifyCheck(name, requiredChecks) {
+  const lower = (name || '').toLowerCase();
+  const required = requiredChecks?.length ? requiredChecks.some(c => c.toLowerCase() === lower) : null;
+
+  if (getNonBlockingOverrides().some(pattern => lower.includes(pattern))) {
+    return { required, blocking: false };
+  }
+  if (required !== null) {
+    return { required, blocking: required };
+  }
+  return { required, blocking: !isNonBlockingCI(name) };
+}
+
+/**
+ * Count a PR's checks (check runs and commit statuses) by state. Blocking =
+ * required by branch protection/rulesets (or by name patterns when unknown,
+ * see classifyCheck). Required checks that haven't reported yet count as pending.
+ * Returns { state: 'failed' | 'pending' | 'passed' | 'none', allGreen, passed,
+ *   failed, pending, total, pendingChecks, nonBlockingFailed, optionalPending,
+ *   required, checks } - passed, failed, pending, total and pendingChecks (names)
+ *   are of blocking checks; required is whether they come from the base branch's
+ *   required checks; checks lists every check with its timing, for ETAs (see ci-timing.js).
+ */
+export function summarizeCI(checkRuns, statuses, requiredChecks) {
+  const ci = {
+    state: 'none',
+    allGreen: false,
+    passed: 0,
+    failed: 0,            // Blocking failures
+    pending: 0,
+    total: 0,
+    pendingChecks: [],
+    nonBlockingFailed: 0, // Non-blocking failures (notifications, etc.)
+    optionalPending: 0,   // Non-blocking checks still running
+    required: Boolean(requiredChecks?.length),
+    checks: [],
+  };
+  const reported = new Set();
+
+  // Count one check (check run or commit status) by its state
+  const count = (name, state, timing = {}) => {
+    reported.add(name.toLowerCase());
+    const { blocking } = classifyCheck(name, requiredChecks);
+    ci.checks.push({ name, state, blocking, id: null, kind: 'expected', startedAt: null, completedAt: null, ...timing });
+    if (!blocking) {
+      if (state === 'pending') ci.optionalPending++;
+      else if (state === 'failure') ci.nonBlockingFailed++;
+      return;
+    }
+    ci.total++;
+    if (state === 'pending') {
+      ci.pending++;
+      ci.pendingChecks.push(name);
+    } else if (state === 'success') {
+      ci.passed++;
+    } else {
+      ci.failed++;
+    }
+  };
+
+  for (const run of checkRuns) {
+    const timing = { id: run.id, kind: 'check-run', startedAt: run.started_at, completedAt: run.completed_at };
+    if (run.status !== 'completed') {
+      count(run.name, 'pending', timing);
+    } else if (['success', 'skipped', 'neutral'].includes(run.conclusion)) {
+      // Skipped/neutral runs say nothing about how long the check takes
+      count(run.name, 'success', run.conclusion === 'success' ? timing : { ...timing, completedAt: null });
+    } else {
+      count(run.name, 'failure', timing);
+    }
+  }
+
+  for (const status of statuses) {
+    // Statuses only say when their current state was posted
+    const timing = status.state === 'pending'
+      ? { id: status.id, kind: 'status', startedAt: status.created_at }
+      : { id: status.id, kind: 'status', completedAt: status.updated_at || status.created_at };
+    count(status.context, status.state === 'pending' || status.state === 'success' ? status.state : 'failure', timing);
+  }
+
+  // Required checks that haven't started yet still block merging
+  for (const name of requiredChecks || []) {
+    if (!reported.has(name.toLowerCase())) count(name, 'pending');
+  }
+
+  // Non-blocking failures are okay
+  ci.allGreen = ci.total > 0 && ci.pending === 0 && ci.failed === 0;
+  ci.state = ci.failed > 0 ? 'failed' : ci.pending > 0 ? 'pending' : ci.passed > 0 ? 'passed' : 'none';
+  return ci;
+}
+
+/**
+ * Get the human review thread mode: 'off' (default), 'blocking' or 'optional'
+ */
+export function getHumanReviewMode(value = process.env.HUMAN_REVIEWS) {
+  const mode = (value || 'off').trim().toLowerCase();
+  return HUMAN_REVIEW_MODES.includes(mode) ? mode : 'off';
+}
+
+/**
+ * Format an issue's location as path:line
+ */
+export function formatLocation(issue) {
+  if (!issue.location?.path) return '';
+  return `${issue.location.path}${issue.location.line ? `:${issue.location.line}` : ''}`;
+}
+
+/**
+ * Normalize a review comment (GraphQL thread comment or REST review comment)
+ */
+function normalizeReviewComment(comment) {
+  const bot = findBot(comment.author);
+  const parsed = parseBotComment(bot, comment.body);
+  return {
+    id: `review-${comment.id}`,
+    kind: 'review',
+    bot: bot?.id || HUMAN_REVIEWER.id,
+    author: comment.author,
+    title: parsed.title,
+    body: comment.body,
+    severity: parsed.severity,
+    location: comment.path ? { path: comment.path, line: comment.line || null } : parsed.location,
+    suggestedFix: parsed.suggestedFix,
+    blocking: true,
+    url: comment.url,
+    detailsUrl: null,
+    createdAt: comment.createdAt,
+    threadId: comment.threadId || null,
+    diffHunk: comment.diffHunk || null,
+  };
+}
+
+/**
+ * Normalize an unresolved review thread started by a human reviewer.
+ * The ID is the thread's first comment, so detail lookups work like bot comments.
+ */
+function normalizeHumanThread(thread, comments, blocking) {
+  const [first, ...replies] = comments;
+  const conversation = replies.map(c => `**@${c.author?.login}:** ${c.body}`);
+  return {
+    id: `review-${first.databaseId}`,
+    kind: 'review',
+    bot: HUMAN_REVIEWER.id,
+    author: first.author?.login,
+    title: extractTitle(first.body),
+    body: [first.body, ...conversation].join('\n\n---\n\n'),
+    severity: null,
+    location: thread.path ? { path: thread.path, line: thread.line || null } : null,
+    suggestedFix: null,
+    blocking,
+    url: first.url,
+    detailsUrl: null,
+    createdAt: first.createdAt,
+    threadId: thread.id,
+    diffHunk: first.diffHunk || null,
+  };
+}
+
+/**
+ * Normalize a PR (issue) comment
+ */
+function normalizeIssueComment(comment) {
+  const bot = findBot(comment.user?.login);
+  const parsed = parseBotComment(bot, comment.body);
+  return {
+    id: `issue-${comment.id}`,
+    kind: 'comment',
+    bot: bot?.id || null,
+    author: comment.user?.login,
+    title: parsed.title,
+    body: comment.body,
+    severity: parsed.severity,
+    location: parsed.location,
+    suggestedFix: parsed.suggestedFix,
+    blocking: true,
+    url: comment.html_url,
+    detailsUrl: null,
+    createdAt: comment.created_at,
+  };
+}
+
+/**
+ * Normalize a failed GitHub check run
+ */
+function normalizeCheckRun(run, requiredChecks) {
+  const { required, blocking } = classifyCheck(run.name, requiredChecks);
+  return {
+    id: `ci-${run.id}`,
+    kind: 'ci',
+    bot: null,
+    author: run.app?.name || null,
+    title: run.name,
+    body: null,
+    severity: null,
+    location: null,
+    suggestedFix: null,
+    blocking,
+    url: run.html_url || run.details_url,
+    detailsUrl: run.details_url || null,
+    createdAt: run.completed_at || run.started_at,
+    name: run.name,
+    source: run.app?.name || 'CI',
+    conclusion: run.conclusion,
+    description: run.output?.title || null,
+    output: run.output?.summary || run.output?.text || null,
+    required,
+    checkSuiteId: run.check_suite?.id || null,
+  };
+}
+
+/**
+ * Normalize a failed commit status
+ */
+function normalizeStatus(status, requiredChecks) {
+  const { required, blocking } = classifyCheck(status.context, requiredChecks);
+  return {
+    id: `status-${status.id}`,
+    kind: 'ci',
+    bot: null,
+    author: status.creator?.login || null,
+    title: status.context,
+    body: null,
+    severity: null,
+    location: null,
+    suggestedFix: null,
+    blocking,
+    url: status.target_url,
+    detailsUrl: status.target_url,
+    createdAt: status.created_at,
+    name: status.context,
+    source: status.context?.split('/')[0] || 'CI',
+    conclusion: status.state,
+    description: status.description,
+    output: null,
+    required,
+  };
+}
+
+// Fields fetched for each review thread comment
+const REVIEW_COMMENT_FIELDS = `
+  id
+  databaseId
+  body
+  url
+  diffHunk
+  author {
+    __typename
+    login
+  }
+  createdAt
+`;
+
+// Review threads with resolved/outdated status, paginated by $cursor
+// Note: GitHub treats "dismissed" the same as "resolved" (isResolved = true)
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $repo: String!, $prNumber: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $prNumber) {
+        author {
+          login
+        }
+        reviewThreads(first: 100, after: $cursor) {
+          nodes {
+            id
+            isResolved
+            isOutdated
+            resolvedBy {
+              login
+            }
+            path
+            line
+            comments(first: 50) {
+              nodes {
+                ${REVIEW_COMMENT_FIELDS}
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Remaining comments of a long review thread, paginated by $cursor
+const THREAD_COMMENTS_QUERY = `
+  query($threadId: ID!, $cursor: String) {
+    node(id: $threadId) {
+      ... on PullRequestReviewThread {
+        comments(first: 100, after: $cursor) {
+          nodes {
+            ${REVIEW_COMMENT_FIELDS}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Fetch every review thread of a PR (all pages of threads, and of comments per thread)
+ */
+async function getAllReviewThreads(owner, repo, prNumber) {
+  const threads = [];
+  let prAuthor = null;
+  let cursor = null;
+
+  do {
+    const result = await octokit.graphql(REVIEW_THREADS_QUERY, { owner, repo, prNumber, cursor });
+    prAuthor = prAuthor || result.repository?.pullRequest?.author?.login;
+    const connection = result.repository?.pullRequest?.reviewThreads;
+    threads.push(...(connection?.nodes || []));
+    cursor = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+
+  for (const thread of threads) {
+    let commentCursor = thread.comments?.pageInfo?.hasNextPage ? thread.comments.pageInfo.endCursor : null;
+
+    while (commentCursor) {
+      const result = await octokit.graphql(THREAD_COMMENTS_QUERY, { threadId: thread.id, cursor: commentCursor });
+      const comments = result.node?.comments;
+      thread.comments.nodes.push(...(comments?.nodes || []));
+      commentCursor = comments?.pageInfo?.hasNextPage ? comments.pageInfo.endCursor : null;
+    }
+  }
+
+  return { threads, prAuthor };
+}
+
+/**
+ * Whether a comment author is a bot account, registered or not (GitHub Actions,
+ * Dependabot, ...): a GraphQL Bot actor, a REST user of type Bot, or a login
+ * ending in [bot]
+ */
+function isBotAccount(author) {
+  return author?.__typename === 'Bot' || author?.type === 'Bot' || /\[bot\]$/i.test(author?.login || '');
+}
+
+/**
+ * Fetch review bot comments using GraphQL (properly handles resolved/outdated)
+ * With humanReviews 'blocking' or 'optional', unresolved threads started by
+ * human reviewers (not the PR author) are included too.
+ * Returns { issues, threads } - raw threads are included for debug output.
+ */
+export async function getReviewBotIssues(owner, repo, prNumber, { humanReviews = getHumanReviewMode() } = {}) {
+  const issues = [];
+
+  try {
+    const { threads, prAuthor } = await getAllReviewThreads(owner, repo, prNumber);
+
+    for (const thread of threads) {
+      // Skip resolved or outdated threads
+      if (thread.isResolved || thread.isOutdated) {
+        continue;
+      }
+
+      const comments = thread.comments?.nodes || [];
+      const starter = comments[0]?.author;
+      if (humanReviews !== 'off' && starter?.login && starter.login !== prAuthor && !findBot(starter.login) && !isBotAccount(starter)) {
+        issues.push(normalizeHumanThread(thread, comments, humanReviews === 'blocking'));
+        continue;
+      }
+
+      // Get review bot comments from this thread (any bot in the registry)
+      const botComments = comments.filter(
+        c => findBot(c.author?.login)
+      );
+
+      for (const comment of botComments) {
+        issues.push(normalizeReviewComment({
+          id: comment.databaseId,
+          threadId: thread.id,
+          author: comment.author?.login,
+          body: comment.body,
+          url: comment.url,
+          path: thread.path,
+          line: thread.line,
+          diffHunk: comment.diffHunk,
+          createdAt: comment.createdAt,
+        }));
+      }
+    }
+
+    return { issues, threads };
+  } catch (e) {
+    // Fallback to REST API if GraphQL fails
+    console.error('Error fetching review threads, falling back to REST API:', e.message);
+    return { issues: await getReviewBotIssuesREST(owner, repo, prNumber, humanReviews), threads: [] };
+  }
+}
+
+/**
+ * Fallback REST API method (cannot see resolved state, skips outdated comments).
+ * Human comments are included as single comments, not whole threads.
+ */
+async function getReviewBotIssuesREST(owner, repo, prNumber, humanReviews) {
+  const issues = [];
+
+  try {
+    const reviewComments = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100,
+    });
+
+    let prAuthor = null;
+    if (humanReviews !== 'off') {
+      const { data: pr } = await octokit.rest.pulls.get({ owner, repo, pull_number: prNumber });
+      prAuthor = pr.user?.login;
+    }
+
+    for (const comment of reviewComments) {
+      const login = comment.user?.login;
+      const isHuman = humanReviews !== 'off' && !findBot(login) && !isBotAccount(comment.user) && login !== prAuthor && !comment.in_reply_to_id;
+      if (!findBot(login) && !isHuman) continue;
+
+      const isOutdated = comment.position === null && comment.original_position !== null;
+      if (isOutdated) continue;
+
+      if (isHuman) {
+        const thread = { id: null, path: comment.path, line: comment.line || comment.original_line };
+        const first = { databaseId: comment.id, author: comment.user, body: comment.body, url: comment.html_url, diffHunk: comment.diff_hunk, createdAt: comment.created_at };
+        issues.push(normalizeHumanThread(thread, [first], humanReviews === 'blocking'));
+        continue;
+      }
+
+      issues.push(normalizeReviewComment({
+        id: comment.id,
+        author: comment.user?.login,
+        body: comment.body,
+        url: comment.html_url,
+        path: comment.path,
+        line: comment.line || comment.original_line,
+        diffHunk: comment.diff_hunk,
+        createdAt: comment.created_at,
+      }));
+    }
+  } catch (e) {
+    console.error('Error in REST fallback:', e.message);
+  }
+
+  return issues;
+}
+
+/**
+ * Fetch PR issue comments from bots that post issues as general comments
+ * (prComments in the registry, e.g. Cursorbot)
+ */
+export async function getPRCommentIssues(owner, repo, prNumber) {
+  const issues = [];
+
+  try {
+    const issueComments = await octokit.paginate(octokit.rest.issues.listComments, {
+      owner,
+      repo,
+      issue_number: prNumber,
+      per_page: 100,
+    });
+
+    for (const comment of issueComments) {
+      if (findBot(comment.user?.login)?.prComments) {
+        issues.push(normalizeIssueComment(comment));
+      }
+    }
+  } catch (e) {
+    console.error('Error fetching issue comments:', e.message);
+  }
+
+  return issues;
+}
+
+/**
+ * Get reviewers whose latest review still requests changes (not since approved or dismissed).
+ * Returns [{ id, author, body, url, submittedAt }]
+ */
+export async function getChangesRequested(owner, repo, prNumber) {
+  const latestByReviewer = new Map();
+
+  try {
+    const reviews = await octokit.paginate(octokit.rest.pulls.listReviews, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100,
+    });
+
+    // Reviews come oldest first; comment-only reviews don't change a reviewer's verdict
+    for (const review of reviews) {
+      if (['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state)) {
+        latestByReviewer.set(review.user?.login, review);
+      }
+    }
+  } catch (e) {
+    console.error('Error fetching reviews:', e.message);
+  }
+
+  return [...latestByReviewer.values()]
+    .filter(review => review.state === 'CHANGES_REQUESTED')
+    .map(review => ({
+      id: review.id,
+      author: review.user?.login,
+      body: review.body,
+      url: review.html_url,
+      submittedAt: review.submitted_at,
+    }));
+}
+
+/**
+ * Log an error reading required checks, once per branch and source (a token
+ * without access would otherwise fail the same way on every poll)
+ */
+function reportRequiredChecksError(key, source, e) {
+  if (reportedRequiredCheckErrors.has(`${key}:${source}`)) return;
+  reportedRequiredCheckErrors.add(`${key}:${source}`);
+  console.error(`Error fetching ${source} (not reported again):`, e.message);
+}
+
+/**
+ * Get the check names required to merge into a branch, from branch protection
+ * and repository rulesets. Returns [] if none are configured, or null if
+ * neither source could be read (e.g. token lacks access). Cached for
+ * REQUIRED_CHECKS_TTL_MS per branch, unless a source failed for another reason
+ * than access (e.g. network) - then it's read again next time.
+ */
+export async function getRequiredChecks(owner, repo, branch) {
+  const key = `${owner}/${repo}:${branch}`;
+  const cached = requiredChecksCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < REQUIRED_CHECKS_TTL_MS) return cached.checks;
+
+  const required = new Set();
+  let known = false;
+  let transient = false;
+
+  try {
+    const { data } = await octokit.rest.repos.getBranch({ owner, repo, branch });
+    const checks = data.protection?.required_status_checks;
+    for (const context of checks?.contexts || []) required.add(context);
+    for (const check of checks?.checks || []) required.add(check.context);
+    known = true;
+  } catch (e) {
+    transient ||= !PERMANENT_ERROR_STATUSES.includes(e.status);
+    reportRequiredChecksError(key, 'branch protection', e);
+  }
+
+  try {
+    const rules = await octokit.paginate(octokit.rest.repos.getBranchRules, {
+      owner,
+      repo,
+      branch,
+      per_page: 100,
+    });
+    for (const rule of rules) {
+      if (rule.type !== 'required_status_checks') continue;
+      for (const check of rule.parameters?.required_status_checks || []) required.add(check.context);
+    }
+    known = true;
+  } catch (e) {
+    transient ||= !PERMANENT_ERROR_STATUSES.includes(e.status);
+    reportRequiredChecksError(key, 'branch rulesets', e);
+  }
+
+  const checks = known ? [...required] : null;
+  if (!transient) requiredChecksCache.set(key, { checks, fetchedAt: Date.now() });
+  return checks;
+}
+
+/**
+ * List all check runs for a commit (every page)
+ */
+export async function listCheckRuns(owner, repo, ref) {
+  return octokit.paginate(octokit.rest.checks.listForRef, {
+    owner,
+    repo,
+    ref,
+    per_page: 100,
+  });
+}
+
+/**
+ * Ask GitHub to re-run a check suite (re-runs its failed check runs)
+ */
+export async function rerequestCheckSuite(owner, repo, checkSuiteId) {
+  try {
+    await octokit.rest.checks.rerequestSuite({ owner, repo, check_suite_id: checkSuiteId });
+    return { ok: true };
+  } catch (e) {
+    return { error: `Could not re-run check suite: ${e.message}` };
+  }
+}
+
+// Reactions GitHub accepts on comments
+export const REACTIONS = ['+1', '-1', 'laugh', 'confused', 'heart', 'hooray', 'rocket', 'eyes'];
+
+/**
+ * Reply to an issue: in its review thread, or (PR comments have no threads)
+ * with a PR comment quoting it. Returns { ok, url } or { error }.
+ */
+export async function replyToIssue(owner, repo, prNumber, issue, body) {
+  const parsed = parseIssueId(issue.id);
+  try {
+    if (parsed?.prefix === 'review') {
+      const { data } = await octokit.rest.pulls.createReplyForReviewComment({
+        owner, repo, pull_number: prNumber, comment_id: Number(parsed.githubId), body,
+      });
+      return { ok: true, url: data.html_url };
+    }
+    if (parsed?.prefix === 'issue') {
+      const quote = `> ${issue.title || 'Comment'} (${issue.url})`;
+      const { data } = await octokit.rest.issues.createComment({
+        owner, repo, issue_number: prNumber, body: `${quote}\n\n${body}`,
+      });
+      return { ok: true, url: data.html_url };
+    }
+    return { error: `Can't reply to ${issue.id} - only review and PR comments can be replied to` };
+  } catch (e) {
+    return { error: `Could not reply: ${e.message}` };
+  }
+}
+
+/**
+ * Resolve an issue's review thread. Returns { ok } or { error }.
+ */
+export async function resolveIssueThread(issue) {
+  if (issue.kind !== 'review') {
+    return { error: `Can't resolve ${issue.id} - only review comments have threads` };
+  }
+  if (!issue.threadId) {
+    return { error: `Thread of ${issue.id} is unknown (review threads couldn't be read through GraphQL)` };
+  }
+
+  try {
+    await octokit.graphql(`
+      mutation($threadId: ID!) {
+        resolveReviewThread(input: { threadId: $threadId }) {
+          thread {
+            isResolved
+          }
+        }
+      }
+    `, { threadId: issue.threadId });
+    return { ok: true };
+  } catch (e) {
+    return { error: `Could not resolve thread: ${e.message}` };
+  }
+}
+
+/**
+ * React to an issue's comment (see REACTIONS). Returns { ok } or { error }.
+ */
+export async function reactToIssue(owner, repo, issue, reaction) {
+  if (!REACTIONS.includes(reaction)) {
+    return { error: `Unknown reaction "${reaction}" (expected ${REACTIONS.join(', ')})` };
+  }
+
+  const parsed = parseIssueId(issue.id);
+  try {
+    if (parsed?.prefix === 'review') {
+      await octokit.rest.reactions.createForPullRequestReviewComment({
+        owner, repo, comment_id: Number(parsed.githubId), content: reaction,
+      });
+      return { ok: true };
+    }
+    if (parsed?.prefix === 'issue') {
+      await octokit.rest.reactions.createForIssueComment({
+        owner, repo, comment_id: Number(parsed.githubId), content: reaction,
+      });
+      return { ok: true };
+    }
+    return { error: `Can't react to ${issue.id} - only review and PR comments take reactions` };
+  } catch (e) {
+    return { error: `Could not add reaction: ${e.message}` };
+  }
+}
+
+/**
+ * Get the combined commit status for a commit, with statuses from every page.
+ * Returns { state, statuses }
+ */
+export async function getCombinedStatus(owner, repo, ref) {
+  let state = null;
+  const statuses = await octokit.paginate(
+    octokit.rest.repos.getCombinedStatusForRef,
+    { owner, repo, ref, per_page: 100 },
+    response => {
+      state = state || response.data.state;
+      return response.data.statuses;
+    }
+  );
+  return { state, statuses };
+}
+
+/**
+ * Get a PR's merge queue entry: { position, state, estimatedTimeToMerge, enqueuedAt },
+ * or null when it isn't queued (or the repo has no merge queue)
+ */
+export async function getMergeQueueEntry(owner, repo, prNumber) {
+  const query = `
+    query($owner: String!, $repo: String!, $prNumber: Int!) {
+      repository(owner: $owner, name: $repo) {
+        pullRequest(number: $prNumber) {
+          mergeQueueEntry {
+            position
+            state
+            estimatedTimeToMerge
+            enqueuedAt
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await octokit.graphql(query, { owner, repo, prNumber });
+    return response.repository?.pullRequest?.mergeQueueEntry || null;
+  } catch (e) {
+    // Fails when merge queues aren't enabled - that's okay
+    if (!e.message?.includes('Could not resolve')) {
+      console.error('Error checking merge queue:', e.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Fetch CI failures (GitHub Check Runs + Commit Statuses)
+ * Returns { issues, pr, requiredChecks, checkRuns, statuses, combinedState } - raw data is included for debug output.
+ */
+export async function getCIIssues(owner, repo, prNumber) {
+  const result = { issues: [], pr: null, requiredChecks: null, checkRuns: [], statuses: [], combinedState: null };
+
+  try {
+    const { data: pr } = await octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: prNumber,
+    });
+    result.pr = pr;
+
+    const headSha = pr.head.sha;
+
+    // Required checks decide what blocks merging
+    result.requiredChecks = await getRequiredChecks(owner, repo, pr.base.ref);
+
+    // Get GitHub Check Runs
+    result.checkRuns = await listCheckRuns(owner, repo, headSha);
+
+    for (const run of result.checkRuns) {
+      if (FAILED_CONCLUSIONS.includes(run.conclusion)) {
+        result.issues.push(normalizeCheckRun(run, result.requiredChecks));
+      }
+    }
+
+    // Also get Commit Statuses (older API, used by some CI systems like Buildkite)
+    const { state, statuses } = await getCombinedStatus(owner, repo, headSha);
+    result.statuses = statuses;
+    result.combinedState = state;
+
+    for (const status of statuses) {
+      if (status.state === 'failure' || status.state === 'error') {
+        // Check if we already have this from check runs (avoid duplicates)
+        const isDuplicate = result.issues.some(i =>
+          i.url === status.target_url ||
+          i.name?.toLowerCase() === status.context?.toLowerCase()
+        );
+
+        if (!isDuplicate) {
+          result.issues.push(normalizeStatus(status, result.requiredChecks));
+        }
+      }
+    }
+  } catch (e) {
+    console.error('Error fetching CI status:', e.message);
+  }
+
+  return result;
+}
+
+/**
+ * Get all issues for a PR
+ * Options: { humanReviews } - 'off' | 'blocking' | 'optional' (default: HUMAN_REVIEWS env var)
+ * Returns { issues, pr, changesRequested, requiredChecks, threads, checkRuns, statuses, combinedState }
+ */
+export async function getPRIssues(owner, repo, prNumber, options = {}) {
+  const [review, commentIssues, ci, changesRequested] = await Promise.all([
+    getReviewBotIssues(owner, repo, prNumber, options),
+    getPRCommentIssues(owner, repo, prNumber),
+    getCIIssues(owner, repo, prNumber),
+    getChangesRequested(owner, repo, prNumber),
+  ]);
+
+  return {
+    issues: [...review.issues, ...commentIssues, ...ci.issues],
+    pr: ci.pr,
+    changesRequested,
+    requiredChecks: ci.requiredChecks,
+    threads: review.threads,
+    checkRuns: ci.checkRuns,
+    statuses: ci.statuses,
+    combinedState: ci.combinedState,
+  };
+}
+
+/**
+ * Fetch a single issue directly by ID (without needing the PR number).
+ * Commit statuses can't be fetched by ID - use getPRIssues for those.
+ * Throws on GitHub API errors.
+ */
+export async function getIssueById(owner, repo, issueId) {
+  const parsed = parseIssueId(issueId);
+  if (!parsed) return null;
+
+  if (parsed.prefix === 'review') {
+    const { data: comment } = await octokit.rest.pulls.getReviewComment({
+      owner,
+      repo,
+      comment_id: parsed.githubId,
+    });
+    return normalizeReviewComment({
+      id: comment.id,
+      author: comment.user?.login,
+      body: comment.body,
+      url: comment.html_url,
+      path: comment.path,
+      line: comment.line || comment.original_line,
+      diffHunk: comment.diff_hunk,
+      createdAt: comment.created_at,
+    });
+  }
+
+  if (parsed.prefix === 'issue') {
+    const { data: comment } = await octokit.rest.issues.getComment({
+      owner,
+      repo,
+      comment_id: parsed.githubId,
+    });
+    return normalizeIssueComment(comment);
+  }
+
+  if (parsed.prefix === 'ci') {
+    const { data: run } = await octokit.rest.checks.get({
+      owner,
+      repo,
+      check_run_id: parsed.githubId,
+    });
+    const baseBranch = run.pull_requests?.[0]?.base?.ref;
+    const requiredChecks = baseBranch ? await getRequiredChecks(owner, repo, baseBranch) : null;
+    const issue = normalizeCheckRun(run, requiredChecks);
+    issue.status = run.status;
+    issue.outputText = run.output?.text || null;
+    return issue;
+  }
+
+  return null;
+}
@@ -0,0 +1,154 @@
+/**
+ * PR State - Per-PR issue state persisted to disk
+ *
+ * Records which issues have been handled (MCP server), seen and notified
+ * (terminal watcher) so restarts don't bring back dismissed issues or
+ * re-notify existing ones, and the issues open at each pushed commit (see
+ * fix-history.js). One JSON file per PR in .state/, next to .watchers/
+ * (or PR_WATCHER_STATE_DIR).
+ *
+ * State files are removed once the PR has been merged/closed for
+ * PR_STATE_RETENTION_DAYS, or when untouched for PR_STATE_STALE_DAYS.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readdirSync, readFileSync, existsSync, writeFileSync, mkdirSync, renameSync, statSync, unlinkSync } from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const STATE_DIR = process.env.PR_WATCHER_STATE_DIR || join(__dirname, '.state');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PR_STATE_RETENTION_DAYS = 7;   // Keep state this long after merge/close
+const PR_STATE_STALE_DAYS = 30;      // Drop state for PRs nobody has watched in this long
+
+/**
+ * State file path for a PR (same naming as .watchers/ files: owner-repo-123)
+ */
+function getStateFile(pr) {
+  return join(STATE_DIR, `${pr.owner}-${pr.repo}-${pr.number}.json`);
+}
+
+/**
+ * Empty state for a PR
+ */
+function emptyState(pr) {
+  return {
+    pr: `${pr.owner}/${pr.repo}#${pr.number}`,
+    handledIssueIds: new Set(),
+    seenIssueIds: new Set(),
+    notifiedIssueIds: new Set(),
+    pushes: [],
+    closedAt: null,
+    updatedAt: null,
+  };
+}
+
+/**
+ * Load persisted state for a PR. Returns empty state if none exists or it can't be read.
+ */
+export function loadPRState(pr) {
+  const state = emptyState(pr);
+  const file = getStateFile(pr);
+
+  if (!existsSync(file)) {
+    return state;
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf-8'));
+    state.handledIssueIds = new Set(data.handled || []);
+    state.seenIssueIds = new Set(data.seen || []);
+    state.notifiedIssueIds = new Set(data.notified || []);
+    state.pushes = data.pushes || [];
+    state.closedAt = data.closedAt || null;
+    state.updatedAt = data.updatedAt || null;
+  } catch (e) {
+    console.error(`Could not read PR state ${file}:`, e.message);
+  }
+
+  return state;
+}
+
+/**
+ * Write state for a PR (atomically, via a temp file of this process's own -
+ * the MCP server and watcher may write the same PR at once)
+ */
+function writePRState(pr, state) {
+  const file = getStateFile(pr);
+  const data = {
+    pr: state.pr,
+    handled: [...state.handledIssueIds],
+    seen: [...state.seenIssueIds],
+    notified: [...state.notifiedIssueIds],
+    pushes: state.pushes,
+    closedAt: state.closedAt,
+    updatedAt: new Date().toISOString(),
+  };
+
+  try {
+    mkdirSync(STATE_DIR, { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(data, null, 2), 'utf-8');
+    renameSync(tmpFile, file);
+  } catch (e) {
+    console.error(`Could not save PR state ${file}:`, e.message);
+  }
+}
+
+/**
+ * Read-modify-write a PR's state. The MCP server and watcher may both write
+ * the same file, so always start from what's on disk.
+ * `updater` mutates the state object; returns the updated state.
+ */
+export function updatePRState(pr, updater) {
+  const state = loadPRState(pr);
+  updater(state);
+  writePRState(pr, state);
+  return state;
+}
+
+/**
+ * Record that a PR has been merged or closed (starts the expiry clock).
+ * A reopened PR clears the mark.
+ */
+export function setPRClosed(pr, closed) {
+  const state = loadPRState(pr);
+  if (Boolean(state.closedAt) === closed) return;
+
+  updatePRState(pr, s => {
+    s.closedAt = closed ? new Date().toISOString() : null;
+  });
+}
+
+/**
+ * Delete state files for PRs that were closed long enough ago, or untouched for too long.
+ */
+export function pruneExpiredPRStates() {
+  if (!existsSync(STATE_DIR)) return;
+
+  const now = Date.now();
+
+  try {
+    for (const file of readdirSync(STATE_DIR)) {
+      if (!file.endsWith('.json')) continue;
+      const path = join(STATE_DIR, file);
+
+      try {
+        const data = JSON.parse(readFileSync(path, 'utf-8'));
+        const closedAge = data.closedAt ? now - new Date(data.closedAt).getTime() : 0;
+        const idleAge = now - statSync(path).mtimeMs;
+
+        if (closedAge > PR_STATE_RETENTION_DAYS * DAY_MS || idleAge > PR_STATE_STALE_DAYS * DAY_MS) {
+          unlinkSync(path);
+        }
+      } catch (e) {
+        // Unreadable file - skip
+      }
+    }
+  } catch (e) {
+    // Directory read error - skip
+  }
+}
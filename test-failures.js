@@ -0,0 +1,515 @@
+/**
+ * Test Failures - Structured failures from CI logs and test reports
+ *
+ * Turns raw CI output into a list of concrete failures:
+ *   { tool, test, file, line, message, stack }
+ *
+ * Log parsers: Jest/Vitest, RSpec, pytest, Go test, tsc, ESLint (stylish).
+ * Report parsers (e.g. Buildkite artifacts): JUnit XML, Jest/Vitest JSON, RSpec JSON.
+ */
+
+const MAX_MESSAGE_LINES = 12;
+const MAX_STACK_LINES = 8;
+
+/**
+ * Strip ANSI codes, Buildkite timestamp markers and carriage returns
+ */
+function cleanLines(log) {
+  return (log || '')
+    .replace(/\x1b_bk;t=\d+\x07/g, '')
+    .replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+    .replace(/\r/g, '')
+    .split('\n');
+}
+
+/**
+ * Build a failure, trimming message/stack to a readable size
+ */
+function makeFailure(tool, { test = null, file = null, line = null, message = '', stack = [] }) {
+  const messageLines = (Array.isArray(message) ? message : message.split('\n'))
+    .map(l => l.replace(/\s+$/, ''));
+  while (messageLines.length && !messageLines[0].trim()) messageLines.shift();
+  while (messageLines.length && !messageLines[messageLines.length - 1].trim()) messageLines.pop();
+
+  // Re-indent relative to the least indented line
+  const indent = Math.min(...messageLines.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length), Infinity);
+  const dedented = messageLines.map(l => l.slice(Number.isFinite(indent) ? indent : 0));
+
+  return {
+    tool,
+    test,
+    file: file ? file.replace(/^\.\//, '') : null,
+    line: line ? parseInt(line) : null,
+    message: dedented.slice(0, MAX_MESSAGE_LINES).join('\n'),
+    stack: stack.map(s => s.trim()).filter(Boolean).slice(0, MAX_STACK_LINES),
+  };
+}
+
+/**
+ * Jest / Vitest: "● Suite › test" blocks after a "FAIL path" header (Jest),
+ * or "FAIL path > suite > test" headers (Vitest)
+ */
+function parseJest(lines) {
+  const failures = [];
+  let currentFile = null;
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const body = current.body;
+    const stackStart = body.findIndex(l => /^\s+at\s/.test(l) || /^\s*❯\s/.test(l));
+    const frameStart = body.findIndex(l => /^\s*>?\s*\d+\s*\|/.test(l));
+    const messageEnd = [stackStart, frameStart].filter(i => i >= 0).reduce((a, b) => Math.min(a, b), body.length);
+    const stack = body.slice(messageEnd).filter(l => /^\s+at\s/.test(l) || /^\s*❯\s/.test(l));
+
+    // Location: first stack frame in the test file, else any frame with file:line
+    const frames = stack.map(l => l.match(/\(?([^\s()]+):(\d+):\d+\)?\s*$/)).filter(Boolean);
+    const frame = frames.find(m => current.file && m[1].endsWith(current.file)) ||
+                  frames.find(m => !m[1].includes('node_modules'));
+    failures.push(makeFailure(current.tool, {
+      test: current.test,
+      // Frames are often absolute paths in the CI workspace - prefer the header's relative path
+      file: frame && !(current.file && frame[1].endsWith(current.file)) ? frame[1] : current.file,
+      line: frame?.[2],
+      message: body.slice(0, messageEnd),
+      stack,
+    }));
+    current = null;
+  };
+
+  for (const line of lines) {
+    const failHeader = line.match(/^\s*FAIL\s+(\S+)(?:\s+>\s+(.+?))?\s*(?:\(\d.*\))?\s*$/);
+    if (failHeader) {
+      flush();
+      currentFile = failHeader[1];
+      if (failHeader[2]) {
+        current = { tool: 'vitest', file: currentFile, test: failHeader[2].replace(/\s+>\s+/g, ' › '), body: [] };
+      }
+      continue;
+    }
+
+    const bullet = line.match(/^\s*●\s+(.+)$/);
+    if (bullet && currentFile) {
+      flush();
+      current = { tool: 'jest', file: currentFile, test: bullet[1].trim(), body: [] };
+      continue;
+    }
+
+    if (!current) continue;
+    if (/^\s*(PASS|Test Suites:|Tests:|Snapshots:|Time:)\s/.test(line) || /^\s*⎯{3,}/.test(line)) {
+      flush();
+      if (/^\s*PASS\s/.test(line)) currentFile = null;
+      continue;
+    }
+    current.body.push(line);
+  }
+  flush();
+
+  return failures;
+}
+
+/**
+ * RSpec: numbered blocks under "Failures:", located via "Failed examples:"
+ */
+function parseRSpec(lines) {
+  const start = lines.findIndex(l => /^\s*Failures:\s*$/.test(l));
+  if (start < 0) return [];
+
+  // "rspec ./spec/models/user_spec.rb:8 # User#name returns full name"
+  const examples = new Map();
+  for (const line of lines) {
+    const match = line.match(/^\s*rspec\s+(\S+?):(\d+)\s+#\s+(.+?)\s*$/);
+    if (match) examples.set(match[3], { file: match[1], line: match[2] });
+  }
+
+  const failures = [];
+  let current = null;
+  const flush = () => {
+    if (!current) return;
+    const stack = current.body.filter(l => /^\s*#\s+\S+:\d+/.test(l)).map(l => l.replace(/^\s*#\s+/, ''));
+    const frame = stack.map(s => s.match(/^(\S+?):(\d+)/)).find(Boolean);
+    const example = examples.get(current.test);
+    failures.push(makeFailure('rspec', {
+      test: current.test,
+      file: example?.file || frame?.[1],
+      line: example?.line || frame?.[2],
+      message: current.body.filter(l => !/^\s*#\s+\S+:\d+/.test(l)).map(l => l.replace(/^(\s*)Failure\/Error:\s*/, '$1')),
+      stack,
+    }));
+    current = null;
+  };
+
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*(Finished in|Failed examples:|\d+ examples?, )/.test(line)) break;
+    const header = line.match(/^\s*\d+\)\s+(.+?)\s*$/);
+    if (header) {
+      flush();
+      current = { test: header[1], body: [] };
+    } else if (current) {
+      current.body.push(line);
+    }
+  }
+  flush();
+
+  return failures;
+}
+
+/**
+ * pytest: "____ test_name ____" blocks under FAILURES / ERRORS, plus the
+ * "FAILED path::test - message" short summary
+ */
+function parsePytest(lines) {
+  const details = new Map();
+  let section = null;
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const errorLines = current.body.filter(l => /^E\s/.test(l)).map(l => l.slice(1));
+    // "tests/test_math.py:5: AssertionError" - the last one is the failing line
+    const locations = current.body.map(l => l.match(/^(\S+\.py):(\d+):\s*(\w*)/)).filter(Boolean);
+    const location = locations[locations.length - 1];
+    details.set(current.name, {
+      file: location?.[1],
+      line: location?.[2],
+      message: errorLines.length > 0 ? errorLines : (location?.[3] || ''),
+      stack: locations.slice(0, -1).map(m => m[0]),
+    });
+    current = null;
+  };
+
+  for (const line of lines) {
+    const sectionHeader = line.match(/^={3,}\s*(FAILURES|ERRORS|.*)\s*={3,}\s*$/);
+    if (sectionHeader) {
+      flush();
+      section = ['FAILURES', 'ERRORS'].includes(sectionHeader[1].trim()) ? sectionHeader[1].trim() : null;
+      continue;
+    }
+    if (!section) continue;
+
+    const blockHeader = line.match(/^_{3,}\s*(?:ERROR (?:at \w+ of|collecting)\s+)?(.+?)\s*_{3,}\s*$/);
+    if (blockHeader) {
+      flush();
+      current = { name: blockHeader[1], body: [] };
+    } else if (current) {
+      current.body.push(line);
+    }
+  }
+  flush();
+
+  const failures = [];
+  const summarized = new Set();
+  for (const line of lines) {
+    const match = line.match(/^(FAILED|ERROR)\s+(\S+?)(?:::(\S+))?(?:\s+-\s+(.*))?\s*$/);
+    if (!match || !/\.py\b/.test(match[2])) continue;
+
+    const nodeId = match[3] ? `${match[2]}::${match[3]}` : match[2];
+    const testName = match[3] ? match[3].split('::').pop() : match[2];
+    const className = match[3]?.includes('::') ? match[3].split('::').slice(-2).join('.') : null;
+    const detail = details.get(className) || details.get(testName) || details.get(match[2]);
+    if (detail) summarized.add(detail);
+    failures.push(makeFailure('pytest', {
+      test: nodeId,
+      file: detail?.file || match[2],
+      line: detail?.line,
+      message: detail?.message || match[4] || '',
+      stack: detail?.stack || [],
+    }));
+  }
+
+  // No short summary (e.g. -q without -r): use the detail blocks
+  for (const [name, detail] of details) {
+    if (!summarized.has(detail) && failures.length === 0) {
+      failures.push(makeFailure('pytest', { test: name, ...detail }));
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Go test: "--- FAIL: TestName (0.00s)" followed by indented output. With -v the
+ * output comes first, after "=== RUN TestName".
+ */
+function parseGoTest(lines) {
+  const failures = [];
+  const runOutput = new Map();
+  let running = null;
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const body = current.body.some(l => l.trim()) ? current.body : (runOutput.get(current.test) || []);
+    const locationIndex = body.findIndex(l => /^\s*[\w./-]+\.go:\d+:/.test(l));
+    const location = locationIndex >= 0 ? body[locationIndex].match(/^\s*([\w./-]+\.go):(\d+):\s?(.*)$/) : null;
+    failures.push(makeFailure('go', {
+      test: current.test,
+      file: location?.[1],
+      line: location?.[2],
+      message: location ? [location[3], ...body.slice(locationIndex + 1).map(l => l.trim())] : body,
+    }));
+    current = null;
+  };
+
+  for (const line of lines) {
+    const header = line.match(/^\s*--- FAIL:\s+(\S+)\s+\(/);
+    if (header) {
+      flush();
+      running = null;
+      current = { test: header[1], body: [] };
+      continue;
+    }
+
+    const run = line.match(/^=== (?:RUN|CONT)\s+(\S+)/);
+    if (run || /^\s*--- (PASS|SKIP):/.test(line) || /^(FAIL|ok|PASS)\b/.test(line) || /^=== PAUSE/.test(line)) {
+      flush();
+      running = run ? run[1] : null;
+      if (running && !runOutput.has(running)) runOutput.set(running, []);
+      continue;
+    }
+
+    if (current) {
+      current.body.push(line);
+    } else if (running) {
+      runOutput.get(running).push(line);
+    }
+  }
+  flush();
+
+  // Parents of failing subtests fail too - drop them unless they have their own output
+  return failures.filter(f => f.message || !failures.some(other => other.test.startsWith(`${f.test}/`)));
+}
+
+/**
+ * tsc: "src/a.ts(12,5): error TS2322: ..." or "src/a.ts:12:5 - error TS2322: ..."
+ */
+function parseTsc(lines) {
+  const failures = [];
+  let current = null;
+
+  for (const line of lines) {
+    const match = line.match(/^\s*(\S+\.[cm]?tsx?)(?:\((\d+),\d+\)|:(\d+):\d+)\s*[:-]\s*error\s+(TS\d+):\s*(.*)$/);
+    if (match) {
+      current = makeFailure('tsc', { test: match[4], file: match[1], line: match[2] || match[3], message: match[5] });
+      failures.push(current);
+    } else if (current && /^\s{2,}\S/.test(line) && !/^\s*\d+\s/.test(line) && !/^\s*~+\s*$/.test(line)) {
+      // Indented continuation of a multi-line message
+      current.message = `${current.message}\n${line.trim()}`.split('\n').slice(0, MAX_MESSAGE_LINES).join('\n');
+    } else {
+      current = null;
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * ESLint (stylish formatter): a file path line, then "  12:5  error  message  rule" lines
+ */
+function parseEslint(lines) {
+  const failures = [];
+  let currentFile = null;
+
+  for (const line of lines) {
+    if (/^(\/|\.{0,2}\/|[A-Za-z]:\\|[\w@.-]+\/)\S*\.[a-z]{1,5}\s*$/i.test(line)) {
+      currentFile = line.trim();
+      continue;
+    }
+    const match = currentFile && line.match(/^\s+(\d+):(\d+)\s+error\s+(.+?)(?:\s{2,}(\S+))?\s*$/);
+    if (match) {
+      failures.push(makeFailure('eslint', { test: match[4] || null, file: currentFile, line: match[1], message: match[3] }));
+    } else if (!line.trim() || /^\s*✖/.test(line)) {
+      currentFile = null;
+    }
+  }
+
+  return failures;
+}
+
+const LOG_PARSERS = [parseJest, parseRSpec, parsePytest, parseGoTest, parseTsc, parseEslint];
+
+/**
+ * Extract structured failures from a CI log
+ */
+export function extractTestFailures(log) {
+  const lines = cleanLines(log);
+  const failures = [];
+  const seen = new Set();
+
+  for (const parse of LOG_PARSERS) {
+    for (const failure of parse(lines)) {
+      const key = `${failure.tool}|${failure.test}|${failure.file}|${failure.line}|${failure.message.split('\n')[0]}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      failures.push(failure);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Decode XML entities and CDATA sections
+ */
+function decodeXml(text) {
+  return (text || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read an attribute from an XML start tag
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? decodeXml(match[2] ?? match[3]) : null;
+}
+
+/**
+ * Extract failures from a JUnit XML report (<testcase> with <failure> or <error>)
+ */
+export function parseJUnitXml(xml) {
+  const failures = [];
+  const testcasePattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+  for (const [, attributes, body] of (xml || '').matchAll(testcasePattern)) {
+    const failure = body?.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    if (!failure) continue;
+
+    const tag = ` ${attributes}`;
+    const name = getAttribute(tag, 'name');
+    const className = getAttribute(tag, 'classname');
+    const details = decodeXml(failure[3]);
+    const detailLines = details.split('\n');
+    const stack = detailLines.filter(l => /^\s+(at\s|#\s|\S+:\d+)/.test(l) || /^\s*File "/.test(l));
+    // The body has the details (exception, expected/actual, source excerpt) - the
+    // message attribute is usually its first line, so it only leads when missing
+    const text = detailLines.filter(l => !stack.includes(l)).join('\n');
+    const messageAttribute = getAttribute(` ${failure[2]}`, 'message');
+    const message = messageAttribute && !text.includes(messageAttribute) ? `${messageAttribute}\n${text}` : text;
+
+    // Location from attributes, else the first frame in the test's own file (named
+    // after the last part of its class name), else the first outside node_modules
+    const testFile = className?.split('.').pop();
+    const frames = [...stack, ...detailLines].map(l => l.match(/([\w./-]+\.\w+)"?(?::|, line )(\d+)/)).filter(Boolean);
+    const frame = frames.find(m => testFile && m[1].split('/').pop().startsWith(`${testFile}.`))
+      || frames.find(m => !m[1].includes('node_modules'));
+    failures.push(makeFailure('junit', {
+      test: className && name && !name.startsWith(className) ? `${className} › ${name}` : (name || className),
+      file: getAttribute(tag, 'file') || frame?.[1],
+      line: getAttribute(tag, 'line') || frame?.[2],
+      message,
+      stack,
+    }));
+  }
+
+  return failures;
+}
+
+/**
+ * Extract failures from Jest / Vitest `--json` output
+ */
+function parseJestJson(report) {
+  const failures = [];
+  for (const suite of report.testResults || []) {
+    const file = suite.name || suite.testFilePath;
+    const failed = (suite.assertionResults || []).filter(t => t.status === 'failed');
+
+    // Suites that fail to run (syntax errors, etc.) have no assertion results
+    if (failed.length === 0 && suite.status === 'failed' && suite.message) {
+      failures.push(makeFailure('jest', { test: 'Test suite failed to run', file, message: cleanLines(suite.message) }));
+    }
+    for (const test of failed) {
+      const details = cleanLines((test.failureMessages || []).join('\n'));
+      const stack = details.filter(l => /^\s+at\s/.test(l));
+      const frame = stack.map(l => l.match(/\(?([^\s()]+):(\d+):\d+\)?\s*$/)).find(m => m && m[1].endsWith(file?.split('/').pop()));
+      failures.push(makeFailure('jest', {
+        test: test.fullName || [...(test.ancestorTitles || []), test.title].join(' › '),
+        file,
+        line: test.location?.line || frame?.[2],
+        message: details.filter(l => !stack.includes(l)),
+        stack,
+      }));
+    }
+  }
+  return failures;
+}
+
+/**
+ * Extract failures from RSpec `--format json` output
+ */
+function parseRSpecJson(report) {
+  return (report.examples || [])
+    .filter(example => example.status === 'failed')
+    .map(example => makeFailure('rspec', {
+      test: example.full_description,
+      file: example.file_path,
+      line: example.line_number,
+      message: `${example.exception?.class ? `${example.exception.class}: ` : ''}${example.exception?.message || ''}`,
+      stack: example.exception?.backtrace || [],
+    }));
+}
+
+/**
+ * Whether a file path looks like a test report parseTestReport understands
+ */
+export function isTestReportPath(path) {
+  if (/\.xml$/i.test(path)) return /junit|test|spec|report|result/i.test(path);
+  if (/\.json$/i.test(path)) return /jest|vitest|rspec|test|spec|report|result/i.test(path);
+  return false;
+}
+
+/**
+ * Extract failures from a test report file: JUnit XML, Jest/Vitest JSON or RSpec JSON.
+ * Returns [] for content it doesn't recognize.
+ */
+export function parseTestReport(content, path = '') {
+  const text = (content || '').trim();
+  if (text.startsWith('<')) return parseJUnitXml(text);
+
+  if (text.startsWith('{') || /\.json$/i.test(path)) {
+    try {
+      const report = JSON.parse(text);
+      if (Array.isArray(report.testResults)) return parseJestJson(report);
+      if (Array.isArray(report.examples)) return parseRSpecJson(report);
+    } catch (e) {
+      // Not JSON after all
+    }
+  }
+  return [];
+}
+
+/**
+ * Short location for a failure ("src/a.ts:12")
+ */
+export function formatFailureLocation(failure) {
+  if (!failure.file) return null;
+  return failure.line ? `${failure.file}:${failure.line}` : failure.file;
+}
+
+/**
+ * Plain-text list of failures (for saved log files and CLI output)
+ */
+export function formatTestFailures(failures, { limit = 30, stack = true } = {}) {
+  if (failures.length === 0) return '';
+
+  let text = `${failures.length} failure(s):\n`;
+  for (const failure of failures.slice(0, limit)) {
+    const location = formatFailureLocation(failure);
+    const base = failure.base ? ` (${failure.base.label})` : '';
+    text += `\n[${failure.tool}] ${failure.test || location || 'Failure'}${base}\n`;
+    if (location && failure.test) text += `  at ${location}\n`;
+    if (failure.message) text += `${failure.message.replace(/^/gm, '  ')}\n`;
+    if (stack && failure.stack.length > 0) text += `${failure.stack.map(s => `    ${s}`).join('\n')}\n`;
+  }
+  if (failures.length > limit) {
+    text += `\n... and ${failures.length - limit} more\n`;
+  }
+  return text;
+}
@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture, stubFetch } from './helpers.js';
+
+// The token is read when the module loads
+process.env.BUILDKITE_TOKEN = 'bkua_test';
+const { buildkiteProvider } = await import('../buildkite.js');
+
+const API = 'https://api.buildkite.com/v2/organizations/acme/pipelines/widgets/builds/4821';
+const RETRIED_UNIT_JOB = '0190a6f2-9a01-4c33-8b1e-7d2a1f0e5c01';
+const UNIT_JOB = '0190a6f8-1b22-4e9f-a0c4-5e3b2d1f6a02';
+const DEPLOY_JOB = '0190a6f2-9a01-4c33-8b1e-7d2a1f0e5c05';
+
+describe('buildkiteProvider', () => {
+  let fetchStub;
+  const ref = buildkiteProvider.matchUrl(`https://buildkite.com/acme/widgets/builds/4821#${UNIT_JOB}`);
+
+  before(() => {
+    fetchStub = stubFetch({
+      [`GET ${API}`]: { json: readFixture('buildkite/build.json') },
+      [`GET ${API}/jobs/${UNIT_JOB}/log`]: { json: readFixture('buildkite/job-log.json') },
+      [`PUT ${API}/jobs/${UNIT_JOB}/retry`]: { json: readFixture('buildkite/job-retry.json') },
+      [`PUT ${API}/jobs/${DEPLOY_JOB}/retry`]: { json: readFixture('buildkite/job-retry.json') },
+      [`GET ${API}/jobs/missing/log`]: { status: 404, json: { message: 'Not Found' } },
+    });
+  });
+
+  after(() => fetchStub.restore());
+
+  it('matches build URLs', () => {
+    assert.deepEqual(ref, { org: 'acme', pipeline: 'widgets', buildNumber: '4821' });
+    assert.equal(buildkiteProvider.matchUrl('https://github.com/acme/widgets/actions/runs/1'), null);
+  });
+
+  it('normalizes a build, skipping non-script jobs', async () => {
+    const { build, error } = await buildkiteProvider.getBuild(ref);
+    assert.equal(error, undefined);
+    assert.equal(build.number, 4821);
+    assert.equal(build.state, 'failed');
+    assert.equal(build.branch, 'feature/login-validation');
+    assert.equal(build.commit, '9f8e7d6c5b4a39281706f5e4d3c2b1a098765432');
+    assert.equal(build.pipeline, 'acme/widgets');
+    assert.equal(build.url, 'https://buildkite.com/acme/widgets/builds/4821');
+    assert.deepEqual(build.jobs.map(job => [job.key, job.name, job.state]), [
+      ['unit', ':jest: Unit tests', 'failed'],
+      ['unit', ':jest: Unit tests', 'failed'],
+      ['lint', ':eslint: Lint', 'passed'],
+      ['deploy-preview', ':rocket: Deploy preview', 'canceled'],
+    ]);
+    assert.equal(fetchStub.calls[0].headers.Authorization, 'Bearer bkua_test');
+  });
+
+  it('lists failing jobs, leaving out retried attempts', async () => {
+    const { build } = await buildkiteProvider.getBuild(ref);
+    const failing = buildkiteProvider.getFailingJobs(build);
+    assert.deepEqual(failing.map(job => job.id), [UNIT_JOB, DEPLOY_JOB]);
+    assert.ok(!failing.some(job => job.id === RETRIED_UNIT_JOB));
+  });
+
+  it('fetches a job log', async () => {
+    const { log, error } = await buildkiteProvider.getJobLog(ref, { id: UNIT_JOB });
+    assert.equal(error, undefined);
+    assert.match(log, /LoginForm › rejects an empty password/);
+    assert.match(log, /src\/forms\/login\.test\.ts:27:31/);
+  });
+
+  it('reports a job log that is missing', async () => {
+    const { log, error } = await buildkiteProvider.getJobLog(ref, { id: 'missing' });
+    assert.equal(log, undefined);
+    assert.equal(error, 'Failed to fetch log: 404');
+  });
+
+  it('retries each failing job', async () => {
+    const { build } = await buildkiteProvider.getBuild(ref);
+    fetchStub.calls.length = 0;
+    const result = await buildkiteProvider.retry(ref, build);
+    assert.deepEqual(result, { retried: 2 });
+    assert.deepEqual(fetchStub.calls.map(call => `${call.method} ${call.url}`), [
+      `PUT ${API}/jobs/${UNIT_JOB}/retry`,
+      `PUT ${API}/jobs/${DEPLOY_JOB}/retry`,
+    ]);
+  });
+});
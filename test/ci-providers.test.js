@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readFixture, stubFetch } from './helpers.js';
+
+// The token is read when the GitHub client loads
+process.env.GITHUB_TOKEN = 'ghp_test';
+const { fetchFailureLogs } = await import('../ci-providers.js');
+
+const API = 'https://api.github.com/repos/acme/widgets/actions';
+const FAILED_JOB = 24681357902;
+const JOB_URL = `https://github.com/acme/widgets/actions/runs/9012345678/job/${FAILED_JOB}`;
+
+describe('fetchFailureLogs', () => {
+  let fetchStub;
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'pr-watcher-ci-providers-'));
+    const jobs = readFixture('github-actions/run-jobs.json');
+    fetchStub = stubFetch({
+      [`GET ${API}/jobs/${FAILED_JOB}`]: { json: jobs.jobs[1] },
+      [`GET ${API}/jobs/${FAILED_JOB}/logs`]: { text: readFixture('github-actions/job-log.txt') },
+    });
+  });
+
+  after(async () => {
+    fetchStub.restore();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('summarizes a GitHub Actions job from its raw log when saving it to logsDir', async () => {
+    const { provider, jobs, error } = await fetchFailureLogs(JOB_URL, { logsDir: dir });
+    assert.equal(error, undefined);
+    assert.equal(provider.id, 'github-actions');
+    assert.equal(jobs.length, 1);
+
+    const [{ log, logFile, summary }] = jobs;
+    // Timestamps are gone from the saved log, but step matching still used them
+    assert.match(summary, /^--- Failing step: Unit tests ---\nRun: yarn jest --ci/);
+    assert.doesNotMatch(log, /^\d{4}-\d{2}-\d{2}T/m);
+    assert.equal(logFile.path, join(dir, 'CI-test-20.log'));
+    assert.equal(readFileSync(logFile.path, 'utf-8'), `${log}\n`);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture, stubFetch } from './helpers.js';
+
+// The token is read when the module loads
+process.env.CIRCLECI_TOKEN = 'circle_test';
+const { circleciProvider } = await import('../circleci.js');
+
+const API = 'https://circleci.com/api';
+const WORKFLOW_ID = 'fda08377-fe7e-46b1-8992-3a7aaecac9c3';
+const WORKFLOW_URL = `https://app.circleci.com/pipelines/github/acme/widgets/1187/workflows/${WORKFLOW_ID}`;
+const OUTPUT_URL = 'https://circle-production-action-output.s3.amazonaws.com';
+
+describe('circleciProvider', () => {
+  let fetchStub;
+
+  before(() => {
+    fetchStub = stubFetch({
+      [`GET ${API}/v2/workflow/${WORKFLOW_ID}`]: { json: readFixture('circleci/workflow.json') },
+      [`GET ${API}/v2/workflow/${WORKFLOW_ID}/job`]: { json: readFixture('circleci/workflow-jobs.json') },
+      [`GET ${API}/v2/project/gh/acme/widgets/job/9312`]: {
+        json: { job_number: 9312, latest_workflow: { id: WORKFLOW_ID }, pipeline: { number: 1187 } },
+      },
+      [`GET ${API}/v1.1/project/github/acme/widgets/9312`]: { json: readFixture('circleci/job-v1.json') },
+      [`GET ${OUTPUT_URL}/9312-0-0?X-Amz-Signature=a1b2`]: { json: readFixture('circleci/step-output-environment.json') },
+      [`GET ${OUTPUT_URL}/9312-0-102?X-Amz-Signature=c3d4`]: { json: readFixture('circleci/step-output-tests.json') },
+      [`POST ${API}/v2/workflow/${WORKFLOW_ID}/rerun`]: { status: 202, json: readFixture('circleci/rerun.json') },
+    });
+  });
+
+  after(() => fetchStub.restore());
+
+  it('matches workflow, job and legacy job URLs', () => {
+    assert.deepEqual(circleciProvider.matchUrl(`${WORKFLOW_URL}/jobs/9312`), {
+      vcs: 'github',
+      org: 'acme',
+      repo: 'widgets',
+      slug: 'gh/acme/widgets',
+      pipelineNumber: '1187',
+      workflowId: WORKFLOW_ID,
+      jobNumber: '9312',
+    });
+    assert.equal(circleciProvider.matchUrl(WORKFLOW_URL).jobNumber, null);
+    assert.deepEqual(circleciProvider.matchUrl('https://circleci.com/gh/acme/widgets/9312'), {
+      vcs: 'github',
+      org: 'acme',
+      repo: 'widgets',
+      slug: 'gh/acme/widgets',
+      pipelineNumber: null,
+      workflowId: null,
+      jobNumber: '9312',
+    });
+    assert.equal(circleciProvider.matchUrl('https://buildkite.com/acme/widgets/builds/4821'), null);
+  });
+
+  it('normalizes a workflow, skipping approval jobs', async () => {
+    const { build, error } = await circleciProvider.getBuild(circleciProvider.matchUrl(WORKFLOW_URL));
+    assert.equal(error, undefined);
+    assert.equal(build.number, 1187);
+    assert.equal(build.state, 'failed');
+    assert.equal(build.message, 'build-and-test');
+    assert.equal(build.url, WORKFLOW_URL);
+    assert.deepEqual(build.jobs, [
+      { id: 9311, name: 'lint', state: 'success', url: `${WORKFLOW_URL}/jobs/9311` },
+      { id: 9312, name: 'test', state: 'failed', url: `${WORKFLOW_URL}/jobs/9312` },
+    ]);
+    assert.equal(fetchStub.calls[0].headers['Circle-Token'], 'circle_test');
+  });
+
+  it('looks up the workflow of a legacy job URL', async () => {
+    const { build, error } = await circleciProvider.getBuild(circleciProvider.matchUrl('https://circleci.com/gh/acme/widgets/9312'));
+    assert.equal(error, undefined);
+    assert.equal(build.workflowId, WORKFLOW_ID);
+    assert.equal(build.url, WORKFLOW_URL);
+  });
+
+  it('lists failing jobs', async () => {
+    const { build } = await circleciProvider.getBuild(circleciProvider.matchUrl(WORKFLOW_URL));
+    assert.deepEqual(circleciProvider.getFailingJobs(build).map(job => job.name), ['test']);
+  });
+
+  it('joins the output of every step into a job log', async () => {
+    const { log, error } = await circleciProvider.getJobLog(circleciProvider.matchUrl(WORKFLOW_URL), { id: 9312 });
+    assert.equal(error, undefined);
+    assert.match(log, /^--- Spin up environment\nStarting container cimg\/node:20\.11/);
+    assert.match(log, /\n--- Checkout code\n--- Run tests \(failed\)\n#!\/bin\/bash -eo pipefail\n/);
+    assert.match(log, /src\/forms\/login\.test\.ts:27:31\)\n\nExited with code exit status 1\n$/);
+  });
+
+  it('re-runs the workflow from its failed jobs', async () => {
+    const ref = circleciProvider.matchUrl(WORKFLOW_URL);
+    const { build } = await circleciProvider.getBuild(ref);
+    fetchStub.calls.length = 0;
+    const result = await circleciProvider.retry(ref, build);
+    assert.deepEqual(result, { retried: 1 });
+    assert.equal(fetchStub.calls.length, 1);
+    assert.equal(fetchStub.calls[0].method, 'POST');
+    assert.equal(fetchStub.calls[0].url, `${API}/v2/workflow/${WORKFLOW_ID}/rerun`);
+    assert.deepEqual(JSON.parse(fetchStub.calls[0].body), { from_failed: true });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture, stubFetch } from './helpers.js';
+
+// The token is read when the GitHub client loads
+process.env.GITHUB_TOKEN = 'ghp_test';
+const { githubActionsProvider } = await import('../github-actions.js');
+
+const API = 'https://api.github.com/repos/acme/widgets/actions';
+const RUN_URL = 'https://github.com/acme/widgets/actions/runs/9012345678';
+const FAILED_JOB = 24681357902;
+
+describe('githubActionsProvider', () => {
+  let fetchStub;
+  const ref = githubActionsProvider.matchUrl(RUN_URL);
+
+  before(() => {
+    const jobs = readFixture('github-actions/run-jobs.json');
+    fetchStub = stubFetch({
+      [`GET ${API}/runs/9012345678/jobs?filter=latest&per_page=100`]: { json: jobs },
+      [`GET ${API}/jobs/${FAILED_JOB}`]: { json: jobs.jobs[1] },
+      [`GET ${API}/jobs/${FAILED_JOB}/logs`]: { text: readFixture('github-actions/job-log.txt') },
+      [`POST ${API}/jobs/${FAILED_JOB}/rerun`]: { status: 201, json: {} },
+    });
+  });
+
+  after(() => fetchStub.restore());
+
+  it('matches run, job and check run URLs', () => {
+    assert.deepEqual(ref, { owner: 'acme', repo: 'widgets', runId: '9012345678', jobId: null });
+    assert.equal(githubActionsProvider.matchUrl(`${RUN_URL}/job/${FAILED_JOB}`).jobId, `${FAILED_JOB}`);
+    assert.equal(githubActionsProvider.matchUrl(`${RUN_URL}/jobs/${FAILED_JOB}`).jobId, `${FAILED_JOB}`);
+    assert.equal(githubActionsProvider.matchUrl('https://github.com/acme/widgets/pull/42'), null);
+  });
+
+  it('normalizes the jobs of a run', async () => {
+    const { build, error } = await githubActionsProvider.getBuild(ref);
+    assert.equal(error, undefined);
+    assert.equal(build.number, '9012345678');
+    assert.equal(build.state, 'failed');
+    assert.equal(build.branch, 'feature/login-validation');
+    assert.equal(build.url, RUN_URL);
+    assert.deepEqual(build.jobs.map(job => [job.id, job.name, job.state]), [
+      [24681357901, 'CI / lint', 'success'],
+      [FAILED_JOB, 'CI / test (20)', 'failure'],
+    ]);
+    assert.equal(fetchStub.calls[0].headers.authorization, 'token ghp_test');
+  });
+
+  it('treats a job URL as a one-job build', async () => {
+    const { build, error } = await githubActionsProvider.getBuild(githubActionsProvider.matchUrl(`${RUN_URL}/job/${FAILED_JOB}`));
+    assert.equal(error, undefined);
+    assert.deepEqual(build.jobs.map(job => job.id), [FAILED_JOB]);
+  });
+
+  it('lists failing jobs', async () => {
+    const { build } = await githubActionsProvider.getBuild(ref);
+    assert.deepEqual(githubActionsProvider.getFailingJobs(build).map(job => job.id), [FAILED_JOB]);
+  });
+
+  it('downloads a job log and summarizes its failing step', async () => {
+    const { build } = await githubActionsProvider.getBuild(ref);
+    const job = build.jobs[1];
+    const { log, error } = await githubActionsProvider.getJobLog(ref, job);
+    assert.equal(error, undefined);
+    assert.match(log, /##\[error\]Process completed with exit code 1\./);
+
+    const cleaned = githubActionsProvider.cleanLog(log);
+    assert.doesNotMatch(cleaned, /^\d{4}-\d{2}-\d{2}T/m);
+    assert.doesNotMatch(cleaned, /\x1b\[/);
+
+    const summary = githubActionsProvider.summarizeLog(log, job);
+    assert.match(summary, /^--- Failing step: Unit tests ---\nRun: yarn jest --ci\nError: Process completed with exit code 1\./);
+    assert.match(summary, /LoginForm › rejects an empty password/);
+  });
+
+  it('re-runs each failing job', async () => {
+    const { build } = await githubActionsProvider.getBuild(ref);
+    fetchStub.calls.length = 0;
+    const result = await githubActionsProvider.retry(ref, build);
+    assert.deepEqual(result, { retried: 1 });
+    assert.deepEqual(fetchStub.calls.map(call => `${call.method} ${call.url}`), [`POST ${API}/jobs/${FAILED_JOB}/rerun`]);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Test helpers - fixtures (recorded API responses, logs, payloads) and a
+ * stand-in for global fetch
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const FIXTURES_DIR = join(__dirname, 'fixtures');
+
+/**
+ * Contents of a fixture file, parsed if it's JSON
+ */
+export function readFixture(path) {
+  const content = readFileSync(join(FIXTURES_DIR, path), 'utf-8');
+  return path.endsWith('.json') ? JSON.parse(content) : content;
+}
+
+/**
+ * Replace global fetch with canned responses, keyed by "METHOD url":
+ * { status, json } or { status, text }. Requests without one are rejected.
+ * Returns { calls: [{ method, url, headers, body }], restore() }.
+ */
+export function stubFetch(routes) {
+  const original = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (url, options = {}) => {
+    const method = options.method || 'GET';
+    calls.push({ method, url: `${url}`, headers: options.headers || {}, body: options.body });
+
+    const route = routes[`${method} ${url}`];
+    if (!route) {
+      throw new Error(`No stubbed response for ${method} ${url}`);
+    }
+    const { status = 200, json, text = '' } = route;
+    if (json !== undefined) {
+      return new Response(JSON.stringify(json), { status, headers: { 'content-type': 'application/json' } });
+    }
+    return new Response(status === 204 ? null : text, { status, headers: { 'content-type': 'text/plain' } });
+  };
+
+  return {
+    calls,
+    restore() {
+      globalThis.fetch = original;
+    },
+  };
+}
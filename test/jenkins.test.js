@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture, stubFetch } from './helpers.js';
+
+// Credentials are read when the module loads
+process.env.JENKINS_URL = 'https://jenkins.example.com/';
+process.env.JENKINS_USER = 'ci-bot';
+process.env.JENKINS_TOKEN = 'jenkins_test';
+const { jenkinsProvider } = await import('../jenkins.js');
+
+const JENKINS_URL = 'https://jenkins.example.com';
+const BUILD_URL = `${JENKINS_URL}/job/acme/job/widgets/job/PR-42/312`;
+const BUILD_TREE = 'number,result,building,url,fullDisplayName,description,actions[parameters[name,value]]';
+// What a reverse proxy's SSO sends instead of the API response
+const LOGIN_PAGE = '<!DOCTYPE html>\n<html><head><title>Sign in</title></head><body>Sign in to continue</body></html>\n';
+
+describe('jenkinsProvider', () => {
+  let fetchStub;
+  const ref = jenkinsProvider.matchUrl(`${BUILD_URL}/display/redirect`);
+
+  before(() => {
+    fetchStub = stubFetch({
+      [`GET ${BUILD_URL}/api/json?tree=${BUILD_TREE}`]: { json: readFixture('jenkins/build.json') },
+      [`GET ${BUILD_URL}/wfapi/describe`]: { json: readFixture('jenkins/wfapi-describe.json') },
+      [`GET ${BUILD_URL}/consoleText`]: { text: readFixture('jenkins/console.txt') },
+      [`GET ${JENKINS_URL}/job/acme/job/widgets/job/PR-42/313/api/json?tree=${BUILD_TREE}`]: { text: LOGIN_PAGE },
+      [`GET ${JENKINS_URL}/job/acme/job/widgets/job/PR-42/314/api/json?tree=${BUILD_TREE}`]: { json: readFixture('jenkins/build.json') },
+      [`GET ${JENKINS_URL}/job/acme/job/widgets/job/PR-42/314/wfapi/describe`]: { text: LOGIN_PAGE },
+      [`POST ${JENKINS_URL}/job/acme/job/widgets/job/PR-42/buildWithParameters?NODE_VERSION=20&DEPLOY_PREVIEW=false`]: { status: 201 },
+    });
+  });
+
+  after(() => fetchStub.restore());
+
+  it('matches classic and Blue Ocean URLs under JENKINS_URL only', () => {
+    assert.deepEqual(ref, { jobPath: '/job/acme/job/widgets/job/PR-42', buildNumber: '312' });
+    assert.deepEqual(
+      jenkinsProvider.matchUrl(`${JENKINS_URL}/blue/organizations/jenkins/acme%2Fwidgets/detail/PR-42/312/pipeline`),
+      ref,
+    );
+    assert.deepEqual(
+      jenkinsProvider.matchUrl(`${JENKINS_URL}/blue/organizations/jenkins/acme%2Fwidgets/detail/widgets/88/pipeline`),
+      { jobPath: '/job/acme/job/widgets', buildNumber: '88' },
+    );
+    assert.equal(jenkinsProvider.matchUrl('https://other-jenkins.example.com/job/acme/312/'), null);
+  });
+
+  it('describes a build as one job named after its failed stages', async () => {
+    const { build, error } = await jenkinsProvider.getBuild(ref);
+    assert.equal(error, undefined);
+    assert.equal(build.number, 312);
+    assert.equal(build.state, 'unstable');
+    assert.equal(build.message, 'PR #42: Add login form validation');
+    assert.deepEqual(build.parameters, { NODE_VERSION: '20', DEPLOY_PREVIEW: false });
+    assert.deepEqual(build.jobs, [{
+      id: 312,
+      name: 'acme » widgets » PR-42 #312 (stages: Test)',
+      state: 'unstable',
+      url: `${BUILD_URL}/console`,
+    }]);
+    const auth = Buffer.from('ci-bot:jenkins_test').toString('base64');
+    assert.equal(fetchStub.calls[0].headers.Authorization, `Basic ${auth}`);
+  });
+
+  it('reports a page that is not JSON instead of throwing', async () => {
+    const { build, error } = await jenkinsProvider.getBuild(jenkinsProvider.matchUrl(`${JENKINS_URL}/job/acme/job/widgets/job/PR-42/313/`));
+    assert.equal(build, undefined);
+    assert.match(error, /^Unexpected response from Jenkins \(not JSON\)/);
+
+    // Without stage details the build is still described, just without stage names
+    const result = await jenkinsProvider.getBuild(jenkinsProvider.matchUrl(`${JENKINS_URL}/job/acme/job/widgets/job/PR-42/314/`));
+    assert.equal(result.error, undefined);
+    assert.equal(result.build.jobs[0].name, 'acme » widgets » PR-42 #312');
+  });
+
+  it('lists the build as failing when unstable', async () => {
+    const { build } = await jenkinsProvider.getBuild(ref);
+    assert.equal(jenkinsProvider.getFailingJobs(build).length, 1);
+    assert.deepEqual(jenkinsProvider.getFailingJobs({ jobs: [{ id: 1, state: 'success' }] }), []);
+  });
+
+  it('fetches the console log', async () => {
+    const { log, error } = await jenkinsProvider.getJobLog(ref, { id: 312 });
+    assert.equal(error, undefined);
+    assert.match(log, /● LoginForm › rejects an empty password/);
+    assert.match(log, /Finished: UNSTABLE\n$/);
+  });
+
+  it('re-triggers the job with the same parameters', async () => {
+    const { build } = await jenkinsProvider.getBuild(ref);
+    fetchStub.calls.length = 0;
+    const result = await jenkinsProvider.retry(ref, build);
+    assert.deepEqual(result, { retried: 1 });
+    assert.deepEqual(fetchStub.calls.map(call => call.method), ['POST']);
+  });
+});
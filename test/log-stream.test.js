@@ -0,0 +1,207 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { readFileSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { streamLogToFile, writeLogFile, formatLogIndex, readLogLines } from '../log-stream.js';
+
+/**
+ * A response body stand-in: yields each part as a chunk of bytes
+ */
+async function* chunks(...parts) {
+  for (const part of parts) yield Buffer.isBuffer(part) ? part : Buffer.from(part);
+}
+
+/**
+ * The line of a file's contents that starts at a byte offset
+ */
+function lineAt(content, byte) {
+  const end = content.indexOf('\n', byte);
+  return content.subarray(byte, end < 0 ? content.length : end).toString('utf-8');
+}
+
+describe('streamLogToFile', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'pr-watcher-log-stream-'));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('strips escapes and decodes characters split across chunks', async () => {
+    const cross = Buffer.from('✖ 1 problem\n');
+    const path = join(dir, 'split.log');
+    const log = await streamLogToFile(chunks(
+      '\x1b_bk;t=1715677930000\x07--- :yarn: Install\nDone in 4',
+      '7.6s.\n+++ :jest: Tests\n\x1b[3',
+      '1mFAIL\x1b[39m src/forms/login.test.ts\n  \x1b[1m● LoginForm\x1b[2',
+      '2m\n\x1b_bk;t=17156779',
+      '45000\x07Progress 10%\rProgress 100%\r\n',
+      cross.subarray(0, 1),
+      cross.subarray(1, 2),
+      cross.subarray(2),
+      'no trailing newline',
+    ), path);
+
+    assert.equal(log.error, undefined);
+    const expected = [
+      '--- :yarn: Install',
+      'Done in 47.6s.',
+      '+++ :jest: Tests',
+      'FAIL src/forms/login.test.ts',
+      '  ● LoginForm',
+      'Progress 100%',
+      '✖ 1 problem',
+      'no trailing newline',
+    ].join('\n') + '\n';
+    assert.equal(readFileSync(path, 'utf-8'), expected);
+    assert.equal(log.excerpt, expected.trimEnd());
+    assert.equal(log.lines, 8);
+    assert.equal(log.bytes, Buffer.byteLength(expected));
+    assert.equal(log.truncated, false);
+    assert.deepEqual(log.sections.map(s => [s.marker, s.title, s.line, s.errors]), [
+      ['---', ':yarn: Install', 1, 0],
+      ['+++', ':jest: Tests', 3, 2],
+    ]);
+    assert.deepEqual(log.errors.map(e => [e.line, e.text]), [[4, 'FAIL src/forms/login.test.ts'], [7, '✖ 1 problem']]);
+  });
+
+  it('indexes sections and errors at their bytes in the saved file', async () => {
+    const path = join(dir, 'offsets.log');
+    const log = await streamLogToFile(chunks(
+      '##[group]Run yarn install\n',
+      'Résumé → ünïcode before the errors\n',
+      '##[endgroup]\n##[group]Run yarn jest --ci\n  TypeError: Cannot read properties of undefined\n',
+      '      at normalizeEmail (src/forms/normalize.ts:13:16)\n',
+      'Tests: 1 failed\n##[error]Process completed with exit code 1.\n',
+    ), path);
+
+    const content = readFileSync(path);
+    assert.equal(log.bytes, content.length);
+    for (const entry of [...log.sections, ...log.errors]) {
+      const text = lineAt(content, entry.byte);
+      assert.equal(text, readFileSync(path, 'utf-8').split('\n')[entry.line - 1]);
+      if (entry.text) assert.equal(text.trim(), entry.text);
+      else assert.equal(text, `##[group]${entry.title}`);
+    }
+    assert.deepEqual(log.errors.map(e => e.line), [5, 8]);
+
+    // Reading from an anchor gives the same lines as reading from the start
+    assert.deepEqual(await readLogLines(path, 5, 2, log.errors), await readLogLines(path, 5, 2));
+    assert.deepEqual(await readLogLines(path, 8, 10, log.sections), ['##[error]Process completed with exit code 1.']);
+  });
+
+  it('keeps only the error context and the end of logs over the size limit', async () => {
+    const filler = n => `${String(n).padStart(6, '0')} ${'.'.repeat(92)}\n`;
+    async function* bigLog() {
+      yield Buffer.from('--- Running tests\n');
+      for (let batch = 0; batch < 60; batch++) {
+        let text = '';
+        for (let i = 0; i < 1000; i++) {
+          const n = batch * 1000 + i;
+          text += n === 1000 ? 'Error: first failure\n' : n === 50000 ? 'FAIL src/late.test.ts\n' : filler(n);
+        }
+        // Split each batch mid-line
+        const bytes = Buffer.from(text);
+        yield bytes.subarray(0, 777);
+        yield bytes.subarray(777);
+      }
+    }
+
+    const path = join(dir, 'big.log');
+    const log = await streamLogToFile(bigLog(), path);
+    assert.equal(log.error, undefined);
+    assert.equal(log.truncated, true);
+    assert.equal(log.lines, 60001);
+    assert.equal(log.bytes, statSync(path).size);
+    assert.ok(log.bytes > 5 * 1024 * 1024);
+    assert.deepEqual(log.errors.map(e => [e.line, e.text]), [[1002, 'Error: first failure'], [50002, 'FAIL src/late.test.ts']]);
+
+    // Line 1 is the section marker, so filler n is line n + 2. Kept: 5 lines
+    // before each error and 40 after, then the last 300 lines.
+    const lines = log.excerpt.split('\n');
+    assert.equal(lines[0], '... [lines 1-996 omitted] ...');
+    assert.equal(lines[1], filler(995).trimEnd());
+    assert.equal(lines[6], 'Error: first failure');
+    assert.equal(lines[46], filler(1040).trimEnd());
+    assert.equal(lines[47], '... [lines 1043-49996 omitted] ...');
+    assert.equal(lines[53], 'FAIL src/late.test.ts');
+    assert.equal(lines[94], '... [lines 50043-59701 omitted] ...');
+    assert.equal(lines[95], filler(59700).trimEnd());
+    assert.equal(lines[lines.length - 1], filler(59999).trimEnd());
+    assert.equal(lines.length, 95 + 300);
+  });
+
+  it('splits lines by their size in bytes, not characters', async () => {
+    // 400,000 characters, but 1.2 MB - over the 1 MB line limit
+    const path = join(dir, 'wide.log');
+    const log = await streamLogToFile(chunks('€'.repeat(200000), '€'.repeat(200000), '\nafter\n'), path);
+    assert.equal(log.error, undefined);
+    assert.equal(log.lines, 3);
+    assert.equal(log.bytes, statSync(path).size);
+
+    const lines = readFileSync(path, 'utf-8').split('\n');
+    assert.equal(Buffer.byteLength(lines[0]), 1200000);
+    assert.deepEqual(lines.slice(1), ['', 'after', '']);
+  });
+
+  it('reports a file it cannot write', async () => {
+    const { error } = await streamLogToFile('log\n', join(dir, 'missing', 'job.log'));
+    assert.match(error, /^Failed to save log: ENOENT/);
+  });
+});
+
+describe('writeLogFile', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'pr-watcher-log-file-'));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('writes a header whose offsets point into the copied logs', async () => {
+    const unit = await streamLogToFile(chunks(
+      '~~~ Setup\n--- :jest: Unit tests\n',
+      '  ● LoginForm › rejects an empty password\nTypeError: Cannot read properties of und',
+      'efined\n🚨 Error: The command exited with status 1\n',
+    ), join(dir, 'unit.log'));
+    const lint = await streamLogToFile('--- :eslint: Lint\n  12:7  error  \'unused\' is assigned a value\n✖ 1 problem\n', join(dir, 'lint.log'));
+
+    const path = join(dir, 'build.log');
+    const parts = ['Build #4821 failed\n\n', { path: join(dir, 'unit.log'), ...unit }, '\n', { path: join(dir, 'lint.log'), ...lint }];
+    await writeLogFile(path, parts, offsets => [
+      formatLogIndex('Unit tests', unit, offsets[1]),
+      formatLogIndex('Lint', lint, offsets[3]),
+      '\n',
+    ].join(''));
+
+    const content = readFileSync(path);
+    const fileLines = content.toString('utf-8').split('\n');
+    const header = fileLines.slice(0, fileLines.indexOf('')).join('\n');
+    assert.match(header, /^Unit tests - full log at line \d+ \(5 lines, \d+ B\)\n {2}Steps \(2\):\n/);
+
+    // Every "line N, byte B: text" lands on that text
+    const errorEntries = [...header.matchAll(/line (\d+), byte (\d+): (.+)/g)];
+    assert.equal(errorEntries.length, unit.errorCount + lint.errorCount);
+    assert.equal(errorEntries.length, 3);
+    for (const [, line, byte, text] of errorEntries) {
+      assert.equal(lineAt(content, parseInt(byte)).trim(), text);
+      assert.equal(fileLines[parseInt(line) - 1].trim(), text);
+    }
+
+    // Steps and "full log at line N" too
+    const steps = [...header.matchAll(/^ {4}line (\d+): (\S+) (.+?)(?: \(\d+ error line\(s\)\))?$/gm)];
+    assert.equal(steps.length, 3);
+    for (const [, line, marker, title] of steps) {
+      assert.equal(fileLines[parseInt(line) - 1], `${marker} ${title}`);
+    }
+    const starts = [...header.matchAll(/^(.+) - full log at line (\d+)/gm)];
+    assert.equal(starts.length, 2);
+    for (const [, title, line] of starts) {
+      assert.equal(fileLines[parseInt(line) - 1], title === 'Lint' ? '--- :eslint: Lint' : '~~~ Setup');
+    }
+  });
+});
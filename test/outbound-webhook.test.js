@@ -0,0 +1,201 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { sendOutboundEvent, renderTemplate, getOutboundConfig, OUTBOUND_EVENTS } from '../outbound-webhook.js';
+
+const ISSUES = [
+  { id: 'review-1', kind: 'review', bot: 'cursor', title: 'Missing error handling', location: { path: 'src/api.ts', line: 42 }, url: 'https://github.com/acme/widgets/pull/42#discussion_r1' },
+  { id: 'status-2', kind: 'ci', name: 'buildkite/widgets', description: 'Build #4821 failed', url: 'https://buildkite.com/acme/widgets/builds/4821' },
+];
+
+/**
+ * Details of an "issues" event. Each test uses its own PR number, as sent
+ * events are remembered for deduping.
+ */
+function issuesEvent(number) {
+  return {
+    pr: { owner: 'acme', repo: 'widgets', number, url: `https://github.com/acme/widgets/pull/${number}` },
+    title: '🔔 2 new blocking issue(s)',
+    message: 'Fix prompt copied to clipboard',
+    issues: ISSUES,
+    ci: '❌ 1 check(s) failed, 11 passed',
+  };
+}
+
+describe('sendOutboundEvent', () => {
+  let server;
+  let settings;
+  let status = 200;
+  const received = [];
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(status).end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    settings = { url: `http://127.0.0.1:${server.address().port}/`, format: 'json', events: OUTBOUND_EVENTS, dedupeMs: 60000, template: null };
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    status = 200;
+  });
+
+  it('posts Slack messages as { text }', async () => {
+    const result = await sendOutboundEvent('issues', issuesEvent(1), { ...settings, format: 'slack' });
+    assert.deepEqual(result, { sent: true });
+    assert.equal(received.length, 1);
+    assert.equal(received[0].method, 'POST');
+    assert.equal(received[0].headers['content-type'], 'application/json');
+    assert.deepEqual(received[0].body, {
+      text: [
+        '*🔔 2 new blocking issue(s)* - <https://github.com/acme/widgets/pull/1|acme/widgets#1>',
+        'Fix prompt copied to clipboard',
+        '• [CURSOR] Missing error handling (src/api.ts:42)',
+        '• [CI] buildkite/widgets: Build #4821 failed',
+        'CI: ❌ 1 check(s) failed, 11 passed',
+      ].join('\n'),
+    });
+  });
+
+  it('posts the whole event as JSON', async () => {
+    const result = await sendOutboundEvent('issues', issuesEvent(2), settings);
+    assert.deepEqual(result, { sent: true });
+    const { sentAt, ...body } = received[0].body;
+    assert.ok(!Number.isNaN(Date.parse(sentAt)));
+    assert.deepEqual(body, {
+      event: 'issues',
+      title: '🔔 2 new blocking issue(s)',
+      message: 'Fix prompt copied to clipboard',
+      text: [
+        '🔔 2 new blocking issue(s) - acme/widgets#2',
+        'Fix prompt copied to clipboard',
+        '• [CURSOR] Missing error handling (src/api.ts:42)',
+        '• [CI] buildkite/widgets: Build #4821 failed',
+        'CI: ❌ 1 check(s) failed, 11 passed',
+        'https://github.com/acme/widgets/pull/2',
+      ].join('\n'),
+      pr: { owner: 'acme', repo: 'widgets', number: 2, url: 'https://github.com/acme/widgets/pull/2' },
+      issues: [
+        { id: 'review-1', kind: 'review', title: 'Missing error handling', location: 'src/api.ts:42', url: 'https://github.com/acme/widgets/pull/42#discussion_r1' },
+        { id: 'status-2', kind: 'ci', title: 'buildkite/widgets', location: null, url: 'https://buildkite.com/acme/widgets/builds/4821' },
+      ],
+      ci: '❌ 1 check(s) failed, 11 passed',
+    });
+  });
+
+  it('uses a custom template', async () => {
+    await sendOutboundEvent('ready', { pr: issuesEvent(3).pr, title: '✅ Ready to Merge' }, { ...settings, format: 'slack', template: '{event}: {pr}\n{message}' });
+    assert.deepEqual(received[0].body, { text: 'ready: acme/widgets#3' });
+  });
+
+  it('does not send events that are turned off', async () => {
+    const result = await sendOutboundEvent('issues', issuesEvent(4), { ...settings, events: ['ready', 'merge-queue'] });
+    assert.deepEqual(result, { sent: false });
+    assert.equal(received.length, 0);
+  });
+
+  it('does not send anything when not configured', async () => {
+    assert.deepEqual(await sendOutboundEvent('issues', issuesEvent(5), null), { sent: false });
+    assert.equal(received.length, 0);
+  });
+
+  it('suppresses the same event within the dedupe window', async () => {
+    assert.deepEqual(await sendOutboundEvent('issues', issuesEvent(6), settings), { sent: true });
+    assert.deepEqual(await sendOutboundEvent('issues', issuesEvent(6), settings), { sent: false });
+    assert.equal(received.length, 1);
+
+    // A different message, event or PR is not a repeat
+    assert.deepEqual(await sendOutboundEvent('issues', { ...issuesEvent(6), message: 'Still failing' }, settings), { sent: true });
+    assert.deepEqual(await sendOutboundEvent('ready', issuesEvent(6), settings), { sent: true });
+    assert.deepEqual(await sendOutboundEvent('issues', issuesEvent(7), settings), { sent: true });
+    assert.equal(received.length, 4);
+  });
+
+  it('sends a repeat once the dedupe window has passed', async () => {
+    const noDedupe = { ...settings, dedupeMs: 0 };
+    await sendOutboundEvent('issues', issuesEvent(8), noDedupe);
+    assert.deepEqual(await sendOutboundEvent('issues', issuesEvent(8), noDedupe), { sent: true });
+    assert.equal(received.length, 2);
+  });
+
+  it('reports endpoint errors, and retries the event next time', async () => {
+    status = 500;
+    assert.deepEqual(await sendOutboundEvent('issues', issuesEvent(9), settings), { error: 'Webhook returned 500' });
+    status = 200;
+    assert.deepEqual(await sendOutboundEvent('issues', issuesEvent(9), settings), { sent: true });
+  });
+});
+
+describe('renderTemplate', () => {
+  it('fills placeholders and keeps unknown ones', () => {
+    assert.equal(renderTemplate('{title} ({pr}) {other}', { title: 'Ready', pr: 'acme/widgets#1' }), 'Ready (acme/widgets#1) {other}');
+  });
+
+  it('drops lines whose placeholders are all empty', () => {
+    const template = '*{title}*\n{message}\n• {issues}\n{ci}\nStatic line';
+    assert.equal(renderTemplate(template, { title: 'Ready', message: '', issues: '', ci: null }), '*Ready*\nStatic line');
+  });
+
+  it('keeps blank lines that have no placeholders, but trims the ends', () => {
+    assert.equal(renderTemplate('\n{title}\n\nDone\n', { title: 'Ready' }), 'Ready\n\nDone');
+  });
+});
+
+describe('getOutboundConfig', () => {
+  const ENV = ['NOTIFY_WEBHOOK_URL', 'NOTIFY_WEBHOOK_FORMAT', 'NOTIFY_WEBHOOK_EVENTS', 'NOTIFY_WEBHOOK_DEDUPE_MINUTES', 'NOTIFY_WEBHOOK_TEMPLATE'];
+  const saved = {};
+
+  before(() => {
+    for (const name of ENV) saved[name] = process.env[name];
+  });
+
+  beforeEach(() => {
+    for (const name of ENV) delete process.env[name];
+  });
+
+  after(() => {
+    for (const name of ENV) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+
+  it('is off without a URL', () => {
+    assert.equal(getOutboundConfig(), null);
+  });
+
+  it('defaults to Slack for Slack hooks and JSON elsewhere', () => {
+    process.env.NOTIFY_WEBHOOK_URL = 'https://hooks.slack.com/services/T000/B000/XXXX';
+    assert.deepEqual(getOutboundConfig(), {
+      url: 'https://hooks.slack.com/services/T000/B000/XXXX',
+      format: 'slack',
+      events: OUTBOUND_EVENTS,
+      dedupeMs: 30 * 60 * 1000,
+      template: null,
+    });
+    process.env.NOTIFY_WEBHOOK_URL = 'https://example.com/hook';
+    assert.equal(getOutboundConfig().format, 'json');
+  });
+
+  it('reads events, dedupe window and template', () => {
+    process.env.NOTIFY_WEBHOOK_URL = 'https://example.com/hook';
+    process.env.NOTIFY_WEBHOOK_EVENTS = 'Ready, bogus,merge-queue';
+    process.env.NOTIFY_WEBHOOK_DEDUPE_MINUTES = '0';
+    process.env.NOTIFY_WEBHOOK_TEMPLATE = '{title}\\n{url}';
+    const settings = getOutboundConfig();
+    assert.deepEqual(settings.events, ['ready', 'merge-queue']);
+    assert.equal(settings.dedupeMs, 0);
+    assert.equal(settings.template, '{title}\n{url}');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture, stubFetch } from './helpers.js';
+
+// The token is read when the GitHub client loads
+process.env.GITHUB_TOKEN = 'ghp_test';
+const { getReviewBotIssues } = await import('../pr-data.js');
+const { startPollCycle } = await import('../github-client.js');
+
+const GRAPHQL = 'POST https://api.github.com/graphql';
+const PULL = 'https://api.github.com/repos/acme/widgets/pulls/42';
+
+describe('getReviewBotIssues', () => {
+  let fetchStub;
+
+  beforeEach(() => startPollCycle());
+  afterEach(() => fetchStub.restore());
+
+  it('keeps registered bot and human threads, skipping other bots and the PR author', async () => {
+    fetchStub = stubFetch({
+      [GRAPHQL]: { json: readFixture('pr-data/review-threads.json') },
+    });
+
+    const { issues, threads } = await getReviewBotIssues('acme', 'widgets', 42, { humanReviews: 'blocking' });
+    assert.equal(threads.length, 5);
+    assert.deepEqual(issues.map(issue => [issue.id, issue.bot, issue.author]), [
+      ['review-1601234567', 'cursor', 'cursor'],
+      ['review-1601234601', 'human', 'maintainer-jo'],
+    ]);
+    assert.equal(issues[1].blocking, true);
+    assert.match(issues[1].body, /\*\*@octo-dev:\*\* Good catch/);
+  });
+
+  it('skips human threads entirely when human reviews are off', async () => {
+    fetchStub = stubFetch({
+      [GRAPHQL]: { json: readFixture('pr-data/review-threads.json') },
+    });
+
+    const { issues } = await getReviewBotIssues('acme', 'widgets', 42, { humanReviews: 'off' });
+    assert.deepEqual(issues.map(issue => issue.bot), ['cursor']);
+  });
+
+  it('skips unregistered [bot] comments in the REST fallback', async () => {
+    fetchStub = stubFetch({
+      [GRAPHQL]: { json: { errors: [{ type: 'FORBIDDEN', message: 'Resource not accessible by integration' }] } },
+      [`GET ${PULL}/comments?per_page=100`]: { json: readFixture('pr-data/review-comments.json') },
+      [`GET ${PULL}`]: { json: readFixture('pr-data/pull.json') },
+    });
+
+    const { issues, threads } = await getReviewBotIssues('acme', 'widgets', 42, { humanReviews: 'optional' });
+    assert.deepEqual(threads, []);
+    assert.deepEqual(issues.map(issue => [issue.id, issue.bot, issue.author]), [
+      ['review-1601234567', 'cursor', 'cursor[bot]'],
+      ['review-1601234601', 'human', 'maintainer-jo'],
+    ]);
+    assert.equal(issues[1].blocking, false);
+  });
+});
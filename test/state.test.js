@@ -0,0 +1,120 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The state directory is read when the module loads
+const dir = mkdtempSync(join(tmpdir(), 'pr-watcher-state-'));
+process.env.PR_WATCHER_STATE_DIR = dir;
+const { STATE_DIR, loadPRState, updatePRState, setPRClosed, pruneExpiredPRStates } = await import('../state.js');
+
+const PR = { owner: 'acme', repo: 'widgets', number: 42 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Write a raw state file, last modified `idleDays` ago
+ */
+function writeStateFile(name, data, idleDays = 0) {
+  const path = join(dir, name);
+  writeFileSync(path, typeof data === 'string' ? data : JSON.stringify(data));
+  const mtime = new Date(Date.now() - idleDays * DAY_MS);
+  utimesSync(path, mtime, mtime);
+  return path;
+}
+
+describe('PR state', () => {
+  before(() => assert.equal(STATE_DIR, dir));
+
+  beforeEach(() => {
+    for (const file of readdirSync(dir)) rmSync(join(dir, file));
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('starts empty for a PR without a state file', () => {
+    const state = loadPRState(PR);
+    assert.equal(state.pr, 'acme/widgets#42');
+    assert.equal(state.handledIssueIds.size, 0);
+    assert.deepEqual(state.pushes, []);
+    assert.equal(state.closedAt, null);
+  });
+
+  it('saves and loads handled, seen and notified issues and pushes', () => {
+    updatePRState(PR, state => {
+      state.handledIssueIds.add('review-1601234567');
+      state.seenIssueIds.add('review-1601234567').add('ci-24681357902');
+      state.notifiedIssueIds.add('ci-24681357902');
+      state.pushes.push({ sha: '9f8e7d6c5b4a39281706f5e4d3c2b1a098765432', issues: ['ci-24681357902'] });
+    });
+
+    // Written in place of the temp file, which is gone
+    assert.deepEqual(readdirSync(dir), ['acme-widgets-42.json']);
+
+    const state = loadPRState(PR);
+    assert.deepEqual([...state.handledIssueIds], ['review-1601234567']);
+    assert.deepEqual([...state.seenIssueIds], ['review-1601234567', 'ci-24681357902']);
+    assert.deepEqual([...state.notifiedIssueIds], ['ci-24681357902']);
+    assert.deepEqual(state.pushes, [{ sha: '9f8e7d6c5b4a39281706f5e4d3c2b1a098765432', issues: ['ci-24681357902'] }]);
+    assert.ok(Date.now() - new Date(state.updatedAt).getTime() < 60000);
+
+    // Updates start from what's on disk
+    updatePRState(PR, s => s.handledIssueIds.add('issue-2087654321'));
+    assert.deepEqual([...loadPRState(PR).handledIssueIds], ['review-1601234567', 'issue-2087654321']);
+  });
+
+  it("doesn't touch another process's temp file for the same PR", () => {
+    const otherWriter = writeStateFile(`acme-widgets-42.json.${process.pid + 1}.tmp`, '{"handled": [');
+    updatePRState(PR, s => s.handledIssueIds.add('review-1601234567'));
+
+    assert.equal(readFileSync(otherWriter, 'utf-8'), '{"handled": [');
+    assert.deepEqual([...loadPRState(PR).handledIssueIds], ['review-1601234567']);
+  });
+
+  it('marks a PR closed and clears the mark when reopened', () => {
+    setPRClosed(PR, true);
+    const { closedAt } = loadPRState(PR);
+    assert.ok(closedAt);
+
+    setPRClosed(PR, true);
+    assert.equal(loadPRState(PR).closedAt, closedAt);
+
+    setPRClosed(PR, false);
+    assert.equal(loadPRState(PR).closedAt, null);
+  });
+
+  it('prunes PRs closed past the retention period and state nobody touched in a month', () => {
+    const closedLongAgo = new Date(Date.now() - 8 * DAY_MS).toISOString();
+    const closedRecently = new Date(Date.now() - 2 * DAY_MS).toISOString();
+    writeStateFile('acme-widgets-40.json', { pr: 'acme/widgets#40', closedAt: closedLongAgo });
+    writeStateFile('acme-widgets-41.json', { pr: 'acme/widgets#41', closedAt: closedRecently });
+    writeStateFile('acme-widgets-42.json', { pr: 'acme/widgets#42', closedAt: null }, 31);
+    writeStateFile('acme-widgets-43.json', { pr: 'acme/widgets#43', closedAt: null }, 29);
+    writeStateFile('notes.txt', 'not state', 90);
+
+    pruneExpiredPRStates();
+    assert.deepEqual(readdirSync(dir).sort(), ['acme-widgets-41.json', 'acme-widgets-43.json', 'notes.txt']);
+  });
+
+  it('recovers from a corrupt state file', () => {
+    const errors = mock.method(console, 'error', () => {});
+    try {
+      const path = writeStateFile('acme-widgets-42.json', '{"handled": ["review-16012');
+
+      const state = loadPRState(PR);
+      assert.equal(state.handledIssueIds.size, 0);
+      assert.match(errors.mock.calls[0].arguments[0], /^Could not read PR state .*acme-widgets-42\.json/);
+
+      // The next update replaces it with valid state
+      updatePRState(PR, s => s.handledIssueIds.add('review-1601234567'));
+      assert.deepEqual(JSON.parse(readFileSync(path, 'utf-8')).handled, ['review-1601234567']);
+
+      // Unreadable files are left for pruning to skip, not crash on
+      writeStateFile('acme-widgets-43.json', 'null', 90);
+      pruneExpiredPRStates();
+      assert.deepEqual(readdirSync(dir).sort(), ['acme-widgets-42.json', 'acme-widgets-43.json']);
+    } finally {
+      errors.mock.restore();
+    }
+  });
+});
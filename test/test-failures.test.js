@@ -0,0 +1,187 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture } from './helpers.js';
+import {
+  extractTestFailures, parseJUnitXml, parseTestReport, isTestReportPath,
+  formatFailureLocation, formatTestFailures,
+} from '../test-failures.js';
+
+/**
+ * The parts of failures the tests check: [tool, test, file, line, first message line]
+ */
+function summarize(failures) {
+  return failures.map(f => [f.tool, f.test, f.file, f.line, f.message.split('\n')[0]]);
+}
+
+describe('extractTestFailures', () => {
+  it('parses Jest failures, located in the test file', () => {
+    const failures = extractTestFailures(readFixture('test-failures/jest.log'));
+    assert.deepEqual(summarize(failures), [
+      ['jest', 'LoginForm › rejects an empty password', 'src/forms/login.test.ts', 27, 'expect(received).toBe(expected) // Object.is equality'],
+      ['jest', 'LoginForm › trims the email', 'src/forms/login.test.ts', 34, "TypeError: Cannot read properties of undefined (reading 'trim')"],
+    ]);
+    assert.equal(failures[0].message, 'expect(received).toBe(expected) // Object.is equality\n\nExpected: false\nReceived: true');
+    assert.deepEqual(failures[1].stack, [
+      'at normalizeEmail (src/forms/normalize.ts:13:16)',
+      'at Object.<anonymous> (src/forms/login.test.ts:34:12)',
+    ]);
+  });
+
+  it('parses Jest failures through ANSI colors and Buildkite timestamps', () => {
+    const log = readFixture('test-failures/jest.log')
+      .replace(/^FAIL /m, '\x1b_bk;t=1715677930000\x07\x1b[1m\x1b[41m FAIL \x1b[49m\x1b[22m ')
+      .replace(/\n/g, '\r\n');
+    assert.deepEqual(summarize(extractTestFailures(log)), summarize(extractTestFailures(readFixture('test-failures/jest.log'))));
+  });
+
+  it('parses Vitest failures', () => {
+    const failures = extractTestFailures(readFixture('test-failures/vitest.log'));
+    assert.deepEqual(summarize(failures), [
+      ['vitest', 'cart total › applies the discount once', 'src/cart/total.test.ts', 18, 'AssertionError: expected 80 to be 90 // Object.is equality'],
+    ]);
+    assert.match(failures[0].message, /- 90\n\+ 80$/);
+  });
+
+  it('parses RSpec failures, located at the example', () => {
+    const failures = extractTestFailures(readFixture('test-failures/rspec.log'));
+    assert.deepEqual(summarize(failures), [
+      ['rspec', 'User#full_name joins first and last name', 'spec/models/user_spec.rb', 10, 'expect(user.full_name).to eq("Ada Lovelace")'],
+    ]);
+    assert.match(failures[0].message, /expected: "Ada Lovelace"\n\s+got: "Ada  Lovelace"/);
+    assert.equal(failures[0].stack[0], "./spec/models/user_spec.rb:12:in `block (3 levels) in <top (required)>'");
+  });
+
+  it('parses pytest failures, located at the failing line', () => {
+    const failures = extractTestFailures(readFixture('test-failures/pytest.log'));
+    assert.deepEqual(summarize(failures), [
+      ['pytest', 'tests/test_pricing.py::test_discount_rounds_down', 'tests/test_pricing.py', 14, "AssertionError: assert Decimal('17.00') == Decimal('16.99')"],
+      ['pytest', 'tests/test_cart.py::TestCart::test_remove_missing_item', 'widgets/cart.py', 27, "KeyError: 'sku-404'"],
+    ]);
+    assert.deepEqual(failures[1].stack, ['tests/test_cart.py:41:']);
+  });
+
+  it('parses Go test failures, leaving out parents of failing subtests', () => {
+    const failures = extractTestFailures(readFixture('test-failures/go.log'));
+    assert.deepEqual(summarize(failures), [
+      ['go', 'TestParseConfig/missing_port', 'config_test.go', 42, 'ParseConfig() error = <nil>, wantErr true'],
+      ['go', 'TestRetryBackoff', 'retry_test.go', 88, 'backoff after 3 attempts = 400ms, want 800ms'],
+    ]);
+    assert.equal(failures[1].message, 'backoff after 3 attempts = 400ms, want 800ms\nattempts: [100ms 200ms 400ms]');
+  });
+
+  it('parses tsc errors, with their continuation lines', () => {
+    const failures = extractTestFailures(readFixture('test-failures/tsc.log'));
+    assert.deepEqual(summarize(failures), [
+      ['tsc', 'TS2322', 'src/forms/login.ts', 27, "Type 'string | undefined' is not assignable to type 'string'."],
+      ['tsc', 'TS2339', 'src/api/client.ts', 88, "Property 'retries' does not exist on type 'RequestOptions'."],
+    ]);
+    assert.equal(failures[0].message.split('\n')[1], "Type 'undefined' is not assignable to type 'string'.");
+  });
+
+  it('parses tsc errors in the pretty format', () => {
+    const failures = extractTestFailures("src/forms/login.ts:27:5 - error TS2322: Type 'string | undefined' is not assignable to type 'string'.\n");
+    assert.deepEqual(summarize(failures), [
+      ['tsc', 'TS2322', 'src/forms/login.ts', 27, "Type 'string | undefined' is not assignable to type 'string'."],
+    ]);
+  });
+
+  it('parses ESLint errors, leaving out warnings', () => {
+    const failures = extractTestFailures(readFixture('test-failures/eslint.log'));
+    assert.deepEqual(summarize(failures), [
+      ['eslint', '@typescript-eslint/no-unused-vars', '/home/runner/work/widgets/widgets/src/forms/login.ts', 12, "'unused' is assigned a value but never used"],
+      ['eslint', '@typescript-eslint/no-explicit-any', '/home/runner/work/widgets/widgets/src/api/client.ts', 41, 'Unexpected any. Specify a different type'],
+    ]);
+  });
+
+  it('finds nothing in logs without test output', () => {
+    assert.deepEqual(extractTestFailures('$ yarn build\nDone in 12.3s.\n'), []);
+    assert.deepEqual(extractTestFailures(null), []);
+  });
+});
+
+describe('parseJUnitXml', () => {
+  const failures = parseJUnitXml(readFixture('test-failures/junit.xml'));
+
+  it('finds failed and errored test cases only', () => {
+    assert.deepEqual(summarize(failures), [
+      ['junit', 'com.acme.widgets.CartTest › appliesDiscountOnce', 'CartTest.java', 42, 'org.opentest4j.AssertionFailedError: expected: <90> but was: <80>'],
+      ['junit', 'tests.test_pricing › test_discount_rounds_down', 'tests/test_pricing.py', 14, 'def test_discount_rounds_down():'],
+      ['junit', 'tests.test_db › test_migrations_apply', 'tests/conftest.py', 9, 'failed on setup with "ConnectionRefusedError: [Errno 111] Connection refused"'],
+      ['junit', 'LoginForm rejects an empty password', 'src/forms/login.test.ts', 27, 'Error: expect(received).toBe(expected) // Object.is equality'],
+    ]);
+  });
+
+  it('keeps the failure body, not only the message attribute', () => {
+    assert.match(failures[1].message, /^E {7}AssertionError: assert Decimal\('17\.00'\) == Decimal\('16\.99'\)$/m);
+    assert.match(failures[1].message, /tests\/test_pricing\.py:14: AssertionError$/);
+    // A message attribute the body doesn't repeat leads the body
+    assert.match(failures[2].message, /^failed on setup with .*\n@pytest\.fixture\n/);
+    assert.match(failures[2].message, /E {3}ConnectionRefusedError: \[Errno 111\] Connection refused$/);
+  });
+
+  it('splits stack traces from the message', () => {
+    assert.deepEqual(failures[0].stack, [
+      'at org.junit.jupiter.api.AssertionUtils.fail(AssertionUtils.java:55)',
+      'at org.junit.jupiter.api.Assertions.assertEquals(Assertions.java:166)',
+      'at com.acme.widgets.CartTest.appliesDiscountOnce(CartTest.java:42)',
+    ]);
+    assert.equal(failures[3].message, 'Error: expect(received).toBe(expected) // Object.is equality\n\nExpected: false\nReceived: true');
+  });
+
+  it('reads self-closing failures', () => {
+    const xml = '<testsuite><testcase classname="Checkout" name="pays" file="spec/checkout.rb" line="8"><failure message="boom &amp; more"/></testcase></testsuite>';
+    assert.deepEqual(summarize(parseJUnitXml(xml)), [['junit', 'Checkout › pays', 'spec/checkout.rb', 8, 'boom & more']]);
+  });
+});
+
+describe('parseTestReport', () => {
+  it('parses JUnit XML', () => {
+    assert.equal(parseTestReport(readFixture('test-failures/junit.xml'), 'reports/junit.xml').length, 4);
+  });
+
+  it('parses Jest JSON, including suites that failed to run', () => {
+    const failures = parseTestReport(JSON.stringify(readFixture('test-failures/jest.json')), 'jest-results.json');
+    assert.deepEqual(summarize(failures), [
+      ['jest', 'LoginForm rejects an empty password', '/home/runner/work/widgets/widgets/src/forms/login.test.ts', 27, 'Error: expect(received).toBe(expected) // Object.is equality'],
+      ['jest', 'Test suite failed to run', '/home/runner/work/widgets/widgets/src/cart/total.test.ts', null, '● Test suite failed to run'],
+    ]);
+    assert.match(failures[1].message, /src\/cart\/total\.ts:4:10 - error TS2305/);
+    assert.doesNotMatch(failures[0].message, /\x1b/);
+  });
+
+  it('parses RSpec JSON', () => {
+    const failures = parseTestReport(JSON.stringify(readFixture('test-failures/rspec.json')), 'rspec.json');
+    assert.deepEqual(summarize(failures), [
+      ['rspec', 'User#full_name joins first and last name', 'spec/models/user_spec.rb', 10, 'RSpec::Expectations::ExpectationNotMetError:'],
+    ]);
+    assert.match(failures[0].message, /expected: "Ada Lovelace"/);
+    assert.equal(failures[0].stack.length, 2);
+  });
+
+  it('ignores content it does not recognize', () => {
+    assert.deepEqual(parseTestReport('{"coverage": 81.2}', 'coverage-report.json'), []);
+    assert.deepEqual(parseTestReport('not json', 'results.json'), []);
+  });
+});
+
+describe('isTestReportPath', () => {
+  it('recognizes test report file names', () => {
+    assert.ok(isTestReportPath('tmp/junit/rspec-1.xml'));
+    assert.ok(isTestReportPath('reports/jest-results.json'));
+    assert.ok(!isTestReportPath('coverage/lcov.info'));
+    assert.ok(!isTestReportPath('config/database.xml'));
+  });
+});
+
+describe('formatTestFailures', () => {
+  it('lists failures with their location, message and stack', () => {
+    const failures = extractTestFailures(readFixture('test-failures/jest.log'));
+    assert.equal(formatFailureLocation(failures[0]), 'src/forms/login.test.ts:27');
+    const text = formatTestFailures(failures, { limit: 1 });
+    assert.match(text, /^2 failure\(s\):\n\n\[jest\] LoginForm › rejects an empty password\n {2}at src\/forms\/login\.test\.ts:27\n {2}expect\(received\)/);
+    assert.match(text, / {4}at Object\.<anonymous> \(src\/forms\/login\.test\.ts:27:26\)\n/);
+    assert.match(text, /\n\.\.\. and 1 more\n$/);
+    assert.doesNotMatch(formatTestFailures(failures, { stack: false }), /at Object\.<anonymous>/);
+    assert.equal(formatTestFailures([]), '');
+  });
+});
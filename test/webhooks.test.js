@@ -0,0 +1,153 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture } from './helpers.js';
+import { startWebhookReceiver, signPayload, getWebhookTargets, matchesPR } from '../webhooks.js';
+
+const SECRET = 'webhook-test-secret';
+const HEAD_SHA = '9f8e7d6c5b4a39281706f5e4d3c2b1a098765432';
+const WATCHED_PR = { owner: 'acme', repo: 'widgets', number: 42, headSha: HEAD_SHA };
+
+describe('webhook receiver', () => {
+  let server;
+  let url;
+  const events = [];
+
+  /**
+   * POST a payload to the receiver, signed with `secret` unless a signature is given
+   */
+  async function deliver(event, payload, { secret = SECRET, signature } = {}) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'X-GitHub-Event': event, 'X-GitHub-Delivery': `test-${event}` };
+    const sent = signature === undefined ? signPayload(secret, body) : signature;
+    if (sent) headers['X-Hub-Signature-256'] = sent;
+    const response = await fetch(url, { method: 'POST', headers, body });
+    return { status: response.status, text: (await response.text()).trim() };
+  }
+
+  before(async () => {
+    // A small payload limit, so the oversized delivery test stays small
+    server = await startWebhookReceiver({ port: 0, secret: SECRET, onEvent: delivery => events.push(delivery), maxPayloadBytes: 64 * 1024 });
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    events.length = 0;
+  });
+
+  for (const event of ['check_run', 'check_suite', 'pull_request_review', 'pull_request_review_comment', 'issue_comment']) {
+    it(`accepts a signed ${event} delivery for the PR`, async () => {
+      const response = await deliver(event, readFixture(`webhooks/${event}.json`));
+      assert.deepEqual(response, { status: 202, text: 'Accepted' });
+      assert.equal(events.length, 1);
+      assert.equal(events[0].event, event);
+      assert.equal(events[0].deliveryId, `test-${event}`);
+      assert.deepEqual(events[0].targets.numbers, [42]);
+      assert.ok(matchesPR(events[0].targets, WATCHED_PR));
+      assert.ok(!matchesPR(events[0].targets, { ...WATCHED_PR, number: 43, headSha: 'other' }));
+    });
+  }
+
+  it('matches status deliveries by the PR head SHA', async () => {
+    const response = await deliver('status', readFixture('webhooks/status.json'));
+    assert.equal(response.status, 202);
+    const { targets } = events[0];
+    assert.deepEqual(targets, { owner: 'acme', repo: 'widgets', numbers: [], shas: [HEAD_SHA] });
+    assert.ok(matchesPR(targets, WATCHED_PR));
+    assert.ok(!matchesPR(targets, { ...WATCHED_PR, headSha: '0000000000000000000000000000000000000000' }));
+    assert.ok(!matchesPR(targets, { ...WATCHED_PR, headSha: null }));
+  });
+
+  it('rejects a delivery signed with another secret', async () => {
+    const response = await deliver('check_run', readFixture('webhooks/check_run.json'), { secret: 'wrong-secret' });
+    assert.deepEqual(response, { status: 401, text: 'Invalid signature' });
+    assert.equal(events.length, 0);
+  });
+
+  it('rejects a delivery without a signature', async () => {
+    const response = await deliver('status', readFixture('webhooks/status.json'), { signature: null });
+    assert.equal(response.status, 401);
+    assert.equal(events.length, 0);
+  });
+
+  it('rejects a delivery whose body was changed after signing', async () => {
+    const payload = readFixture('webhooks/check_run.json');
+    const signature = signPayload(SECRET, JSON.stringify(payload));
+    payload.check_run.conclusion = 'success';
+    const response = await deliver('check_run', payload, { signature });
+    assert.equal(response.status, 401);
+    assert.equal(events.length, 0);
+  });
+
+  it('ignores comments on issues that are not PRs', async () => {
+    const payload = readFixture('webhooks/issue_comment.json');
+    delete payload.issue.pull_request;
+    const response = await deliver('issue_comment', payload);
+    assert.deepEqual(response, { status: 202, text: 'Ignored' });
+    assert.equal(events.length, 0);
+  });
+
+  it('refuses deliveries over the payload limit and keeps serving', async () => {
+    const payload = { ...readFixture('webhooks/check_run.json'), padding: 'x'.repeat(256 * 1024) };
+    const body = JSON.stringify(payload);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-GitHub-Event': 'check_run', 'X-Hub-Signature-256': signPayload(SECRET, body) },
+      body,
+    });
+    assert.equal(response.status, 413);
+    assert.equal(response.headers.get('connection'), 'close');
+    assert.equal((await response.text()).trim(), 'Payload too large');
+    assert.equal(events.length, 0);
+
+    const next = await deliver('check_run', readFixture('webhooks/check_run.json'));
+    assert.deepEqual(next, { status: 202, text: 'Accepted' });
+  });
+
+  it('answers pings', async () => {
+    const response = await deliver('ping', { zen: 'Keep it logically awesome.' });
+    assert.deepEqual(response, { status: 200, text: 'pong' });
+  });
+
+  it('only accepts POSTs', async () => {
+    const response = await fetch(url);
+    assert.equal(response.status, 405);
+    await response.text();
+  });
+});
+
+describe('getWebhookTargets', () => {
+  it('reads the PR number from merge queue branches', () => {
+    const targets = getWebhookTargets('merge_group', {
+      merge_group: { head_ref: `refs/heads/gh-readonly-queue/main/pr-42-${HEAD_SHA}` },
+      repository: { name: 'widgets', owner: { login: 'acme' } },
+    });
+    assert.deepEqual(targets, { owner: 'acme', repo: 'widgets', numbers: [42], shas: [] });
+  });
+
+  it('ignores other events and payloads without a repository', () => {
+    assert.equal(getWebhookTargets('push', readFixture('webhooks/status.json')), null);
+    assert.equal(getWebhookTargets('status', { sha: HEAD_SHA }), null);
+  });
+});
+
+describe('matchesPR', () => {
+  const targets = { owner: 'Acme', repo: 'Widgets', numbers: [42], shas: [] };
+
+  it('compares owner and repo case-insensitively', () => {
+    assert.ok(matchesPR(targets, WATCHED_PR));
+  });
+
+  it('needs the same repo', () => {
+    assert.ok(!matchesPR(targets, { ...WATCHED_PR, repo: 'gadgets' }));
+    assert.ok(!matchesPR(targets, { ...WATCHED_PR, owner: 'someone-else' }));
+  });
+
+  it('matches nothing without targets', () => {
+    assert.equal(matchesPR(null, WATCHED_PR), false);
+  });
+});
@@ -4,183 +4,66 @@
  * PR Watcher - Terminal-based polling script
  * 
  * Run this in a Cursor terminal to get notifications when issues appear.
- * Usage: node watcher.js owner/repo#123
+ * Usage: node watcher.js owner/repo#123 [--webhook-port 8787] [--poll-fast 15] ...
+ * 
+ * Polls fast while CI is pending or the PR is in the merge queue, slower when
+ * idle or draft, and stops once the PR is merged or closed. Intervals (seconds)
+ * can be set with --poll-fast/--poll-normal/--poll-idle/--poll-fallback or
+ * POLL_FAST_SECONDS/POLL_NORMAL_SECONDS/POLL_IDLE_SECONDS/POLL_FALLBACK_SECONDS.
+ * 
+ * With --webhook-port (or WEBHOOK_PORT), GitHub webhook deliveries trigger an
+ * immediate refresh and polling drops to the slow fallback. See webhooks.js.
  * 
  * Token is loaded from .env file in this directory, or GITHUB_TOKEN env var.
  */
 
-// Load .env file from the same directory as this script
-import { config } from 'dotenv';
+// Load .env file from the same directory as this script (before modules read tokens)
+import './env.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-config({ path: join(__dirname, '.env') });
 
-import { Octokit } from 'octokit';
-import { readdirSync, readFileSync, existsSync, writeFileSync, mkdirSync, unlinkSync } from 'fs';
+import { readdirSync, readFileSync, existsSync, writeFileSync, mkdirSync, unlinkSync, rmSync } from 'fs';
 import * as readline from 'readline';
-import { parseBuildkiteUrl, getBuildDetails, getFailingJobs, getJobLog, extractErrorSummary } from './buildkite.js';
+import { parseArgs } from 'util';
+import { findCIProvider, fetchFailureLogs, getIssueCIUrl, retryCIFailures } from './ci-providers.js';
+import { formatTestFailures, formatFailureLocation } from './test-failures.js';
+import { summarizeBaseComparison } from './base-compare.js';
+import { summarizeFlakiness } from './flaky.js';
+import { writeLogFile, formatLogIndex, formatBytes } from './log-stream.js';
+import { updateCITimings, formatDuration } from './ci-timing.js';
+import { recordPushSnapshot, formatPushSummary } from './fix-history.js';
+import { sendOutboundEvent } from './outbound-webhook.js';
+import { notify, copyToClipboard, configureNotifier, getNotifier, getClipboard, NOTIFIERS, CLIPBOARDS } from './notifier.js';
+import { parsePRReference, getPRIssues, getMergeQueueEntry, summarizeCI, formatLocation, getHumanReviewMode, replyToIssue, resolveIssueThread, reactToIssue } from './pr-data.js';
+import { getBot, HUMAN_REVIEWER } from './bots.js';
+import { generateFixPrompt, LARGE_LOG_BYTES } from './fix-prompt.js';
+import { startPollCycle, getRateLimit, getBackoffUntil } from './github-client.js';
+import { loadPRState, updatePRState, setPRClosed, pruneExpiredPRStates } from './state.js';
+import { startWebhookReceiver, matchesPR, DEFAULT_WEBHOOK_PORT } from './webhooks.js';
 
 const WATCHERS_DIR = join(__dirname, '.watchers');
 const CI_LOGS_DIR = join(__dirname, '.ci-logs');
 
-const POLL_INTERVAL_MS = 30000; // 30 seconds
-
-// Bot usernames to watch for review comments
-const REVIEW_BOTS = [
-  'cursor',           // Cursorbot
-  'codex-connector',  // chatgpt-codex-connector
-  'codex',            // Other potential Codex bots
-];
-
-// CI checks that are non-blocking (notifications, optional checks, etc.)
-// These will be shown but won't prevent "ready to merge" status
-// Can also be set via NON_BLOCKING_CI env var (comma-separated patterns)
-const DEFAULT_NON_BLOCKING_CI = [
-  'slack',                    // Slack notifications
-  'notification',             // Generic notification jobs
-  'emoji',                    // Emoji reaction jobs
-  'add reaction',             // Slack reaction jobs
-  'coverage',                 // Coverage reports (informational)
-  'codecov',                  // Codecov reporting
-  'deque_notify',             // Merge queue dequeue notifications
-  'dequeue',                  // Dequeue-related jobs
-];
-
-/**
- * Get non-blocking CI patterns (defaults + env var)
- */
-function getNonBlockingPatterns() {
-  const patterns = [...DEFAULT_NON_BLOCKING_CI];
-  
-  // Add patterns from env var if set
-  const envPatterns = process.env.NON_BLOCKING_CI;
-  if (envPatterns) {
-    patterns.push(...envPatterns.split(',').map(p => p.trim().toLowerCase()));
-  }
-  
-  return patterns;
-}
-
-/**
- * Check if a CI job name is non-blocking
- */
-function isNonBlockingCI(jobName) {
-  if (!jobName) return false;
-  const lower = jobName.toLowerCase();
-  const patterns = getNonBlockingPatterns();
-  return patterns.some(pattern => lower.includes(pattern));
-}
-
-/**
- * Check if a username belongs to a known review bot
- */
-function isReviewBot(username) {
-  if (!username) return false;
-  const lower = username.toLowerCase();
-  return REVIEW_BOTS.some(bot => lower.includes(bot));
-}
-
-/**
- * Generate a ready-to-paste prompt for Cursor to fix the issues
- */
-function generateFixPrompt(issues) {
-  const reviewBotIssues = issues.filter(i => i.type === 'review_bot' || i.type === 'cursorbot');
-  const ciIssues = issues.filter(i => i.type === 'ci_failure');
-  
-  // Group review bot issues by bot type
-  const cursorIssues = reviewBotIssues.filter(i => i.botType !== 'codex');
-  const codexIssues = reviewBotIssues.filter(i => i.botType === 'codex');
-  
-  let prompt = `Fix these PR issues:\n\n`;
-  
-  if (cursorIssues.length > 0) {
-    prompt += `**Cursorbot Issues:**\n`;
-    for (const issue of cursorIssues) {
-      const location = issue.path ? `${issue.path}${issue.line ? `:${issue.line}` : ''}` : '';
-      const severityMatch = issue.body?.match(/(High|Medium|Low)\s+Severity/i);
-      const severity = severityMatch ? `[${severityMatch[1]}] ` : '';
-      const titleMatch = issue.body?.match(/^#+\s*(.+)$/m) || issue.body?.match(/^\*\*(.+?)\*\*/m);
-      const title = titleMatch ? titleMatch[1].slice(0, 80) : (issue.body?.split('\n')[0]?.slice(0, 80) || 'Issue');
-      
-      prompt += `- ${severity}${title}\n`;
-      if (location) prompt += `  File: ${location}\n`;
-    }
-    prompt += `\n`;
-  }
-  
-  if (codexIssues.length > 0) {
-    prompt += `**Codex Review Issues:**\n`;
-    for (const issue of codexIssues) {
-      const location = issue.path ? `${issue.path}${issue.line ? `:${issue.line}` : ''}` : '';
-      const priorityMatch = issue.body?.match(/[🔴🟡🟢]?\s*(P[0-2])\b/i);
-      const priority = priorityMatch ? `[${priorityMatch[1].toUpperCase()}] ` : '';
-      const titleMatch = issue.body?.match(/^#+\s*(.+)$/m) || issue.body?.match(/^\*\*(.+?)\*\*/m);
-      const title = titleMatch ? titleMatch[1].slice(0, 80) : (issue.body?.split('\n')[0]?.slice(0, 80) || 'Issue');
-      
-      prompt += `- ${priority}${title}\n`;
-      if (location) prompt += `  File: ${location}\n`;
-    }
-    prompt += `\n`;
-  }
-  
-  // Only include blocking CI failures in the prompt
-  const blockingCIIssues = ciIssues.filter(i => !i.nonBlocking);
-  const nonBlockingCIIssues = ciIssues.filter(i => i.nonBlocking);
-  
-  if (blockingCIIssues.length > 0) {
-    prompt += `**CI Failures:**\n`;
-    for (const issue of blockingCIIssues) {
-      const ciName = issue.name || issue.source || 'CI';
-      prompt += `- ${ciName}: ${issue.description || 'Build failed'}\n`;
-      if (issue.localLogFile) {
-        prompt += `  Logs: ${issue.localLogFile}\n`;
-      } else if (issue.url) {
-        prompt += `  URL: ${issue.url}\n`;
-      }
-    }
-  }
-  
-  if (nonBlockingCIIssues.length > 0) {
-    prompt += `\n*Note: ${nonBlockingCIIssues.length} non-blocking CI failure(s) (Slack notifications, etc.) - these won't prevent merge.*\n`;
-  }
-  
-  prompt += `\nAfter fixing, commit and push the changes.`;
-  
-  return prompt;
-}
-
-/**
- * Copy text to clipboard using pbcopy
- */
-async function copyToClipboard(text) {
-  const { exec } = await import('child_process');
-  const { promisify } = await import('util');
-  const execAsync = promisify(exec);
-  
-  try {
-    // Use echo with pbcopy to copy to clipboard
-    await execAsync(`echo "${text.replace(/"/g, '\\"').replace(/\n/g, '\\n')}" | pbcopy`);
-    return true;
-  } catch (error) {
-    // Try alternative method with heredoc (handles special chars better)
-    try {
-      await execAsync(`pbcopy <<'CLIPBOARD_EOF'\n${text}\nCLIPBOARD_EOF`);
-      return true;
-    } catch (e) {
-      return false;
-    }
-  }
-}
+// Poll intervals in seconds (overridable via env or CLI flags, see main)
+const DEFAULT_POLL_INTERVALS = {
+  fast: 15,        // CI pending or in merge queue
+  normal: 30,      // Waiting on fixes / review
+  idle: 120,       // Draft, or nothing has changed for IDLE_AFTER_MS
+  fallback: 300,   // Webhooks enabled - polling is only a safety net
+};
+const IDLE_AFTER_MS = 10 * 60 * 1000; // 10 minutes without changes = idle
+const WEBHOOK_DEBOUNCE_MS = 2000; // Coalesce bursts of deliveries (e.g. many check_run events)
+const MAX_PROGRESS_CHECKS = 10;   // Running checks listed with their progress
+const PROGRESS_BAR_WIDTH = 12;
+const MIN_ETA_NOTIFY_MS = 2 * 60 * 1000; // Don't announce a CI ETA that's about to pass anyway
 
 /**
- * Send macOS notification for new issues
+ * Send a desktop notification for new issues (see notifier.js)
  */
 async function sendNotification(issues) {
-  const { exec } = await import('child_process');
-  
   // Generate the fix prompt
   const fixPrompt = generateFixPrompt(issues);
   
@@ -191,25 +74,19 @@ async function sendNotification(issues) {
   const count = issues.length;
   const firstIssue = issues[0];
   
-  // Extract title/summary from first issue
-  const titleMatch = firstIssue.body?.match(/^#+\s*(.+)$/m) || firstIssue.body?.match(/^\*\*(.+?)\*\*/m);
-  const title = titleMatch ? titleMatch[1].slice(0, 40) : (firstIssue.path || 'PR Issue');
-  
-  // Extract severity
-  const severityMatch = firstIssue.body?.match(/(High|Medium|Low)\s+Severity/i);
-  const severity = severityMatch ? `[${severityMatch[1]}] ` : '';
+  const title = firstIssue.title?.slice(0, 40) || formatLocation(firstIssue) || 'PR Issue';
+  const severity = firstIssue.severity ? `[${firstIssue.severity.label}] ` : '';
   
   const subtitle = count > 1 ? `${count} issues on PR #${prInfo.number}` : `Issue on PR #${prInfo.number}`;
   const clipboardNote = copied ? ' (prompt copied to clipboard)' : '';
   const message = `${severity}${title}${clipboardNote}`;
   
-  // Use osascript for native macOS notification
-  const script = `display notification "${message.replace(/"/g, '\\"')}" with title "PR Watcher" subtitle "${subtitle}"`;
-  
-  exec(`osascript -e '${script}'`, (error) => {
-    if (error) {
-      // Silently fail - notification is not critical
-    }
+  notify({ title: 'PR Watcher', subtitle, message });
+  await sendOutbound('issues', {
+    title: `🔔 ${count} new blocking issue(s)`,
+    message: null,
+    issues,
+    dedupeKey: issues.map(i => i.id).sort().join(','),
   });
   
   // Also print the prompt to terminal for reference
@@ -223,23 +100,27 @@ async function sendNotification(issues) {
  * Send "ready to merge" notification
  */
 async function sendReadyToMergeNotification() {
-  const { exec } = await import('child_process');
-  
-  const subtitle = `PR #${prInfo.number} is ready!`;
-  const message = `All checks passed, no review issues`;
-  
-  // Use osascript for native macOS notification with a sound
-  const script = `display notification "${message}" with title "✅ Ready to Merge" subtitle "${subtitle}" sound name "Glass"`;
-  
-  exec(`osascript -e '${script}'`, (error) => {
-    if (error) {
-      // Silently fail - notification is not critical
-    }
+  notify({
+    title: '✅ Ready to Merge',
+    subtitle: `PR #${prInfo.number} is ready!`,
+    message: 'All checks passed, no review issues',
+    sound: 'Glass',
+    bell: true,
   });
-  
-  // Also play the bell
-  process.stdout.write('\x07');
+  await sendOutbound('ready', { title: '✅ Ready to Merge', message: 'All checks passed, no review issues' });
+}
+
+/**
+ * Send an event to the outbound webhook, if configured (see outbound-webhook.js)
+ */
+async function sendOutbound(event, details) {
+  const pr = { owner: prInfo.owner, repo: prInfo.repo, number: prInfo.number, url: getPRUrl() };
+  const { error } = await sendOutboundEvent(event, { pr, ci: lastCIStatusMsg, ...details });
+  if (error) {
+    console.log(`${COLORS.yellow}Outbound webhook (${event}): ${error}${COLORS.reset}`);
+  }
 }
+
 const COLORS = {
   reset: '\x1b[0m',
   bright: '\x1b[1m',
@@ -251,359 +132,47 @@ const COLORS = {
   cyan: '\x1b[36m',
 };
 
-// GitHub client
-const octokit = new Octokit({ 
-  auth: process.env.GITHUB_TOKEN 
-});
-
 // State
-let seenIssueIds = new Set();
+let seenIssueIds = new Set();                // Persisted in .state/ (see state.js)
+let notifiedIssueIds = new Set();            // Persisted in .state/ - issues we've already sent notifications for
+let isFirstPoll = true;
 let prInfo = null;
 let previouslyHadBlockingIssues = false;  // Track if we had blocking issues on last poll
 let notifiedReadyToMerge = false;         // Don't spam "ready to merge" notifications
 const sessionLogFiles = new Map();        // issueId -> logFilePath for logs created this session
+const sessionCIDetails = new Map();       // issueId -> { testFailures, artifacts, artifactsDir, flaky, base, logSize } from its logs
 let lastMergeQueueState = null;           // Track merge queue state for notifications
+let lastCIStatusMsg = null;               // CI summary of the last poll, for outbound webhooks
+let notifiedETASha = null;                // Head SHA whose CI ETA has been announced
+const notifiedOverruns = new Set();       // `${sha}:${check}` overruns already notified
 let lastCIError = null;                   // Last CI fetch error, displayed after terminal clear
 let prUrl = null;                          // Cache the PR URL
+let headSha = null;                        // Current PR head, for matching status webhooks
+let baseBranch = null;                     // PR base branch, CI failures are compared with its builds
+let webhookPort = null;                    // Set when the webhook receiver is running
+let lastWebhookEvent = null;               // Last delivery that triggered a refresh
+let refreshTimer = null;                   // Pending webhook-triggered refresh
+let pollIntervals = { ...DEFAULT_POLL_INTERVALS };
+let pollTimer = null;                      // Next scheduled poll
+let nextPoll = null;                       // { seconds, reason } for the next scheduled poll, null once stopped
+let pollInFlight = null;                   // Running poll (see refreshNow)
+let pollQueued = false;                    // Poll again once the running one is done
+let lastActivityKey = null;                // Summary of PR state, to detect when nothing changes
+let lastActivityTime = Date.now();
+let humanReviewMode = 'off';               // Include human review threads: 'off' | 'blocking' | 'optional'
+let keyPrompt = null;                      // Pending key prompt { resolve, text } (shortcuts are paused meanwhile)
 
 /**
- * Parse PR URL or reference
- */
-function parsePRReference(ref) {
-  const urlMatch = ref.match(/github\.com\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
-  if (urlMatch) {
-    return { owner: urlMatch[1], repo: urlMatch[2], number: parseInt(urlMatch[3]) };
-  }
-  
-  const shortMatch = ref.match(/([^/]+)\/([^#]+)#(\d+)/);
-  if (shortMatch) {
-    return { owner: shortMatch[1], repo: shortMatch[2], number: parseInt(shortMatch[3]) };
-  }
-  
-  return null;
-}
-
-/**
- * Fetch cursor bot review comments using GraphQL (properly handles resolved/outdated)
- */
-async function getCursorbotComments(owner, repo, prNumber) {
-  const comments = [];
-  
-  try {
-    // Use GraphQL to get review threads with resolved status
-    // Note: GitHub treats "dismissed" the same as "resolved" (isResolved = true)
-    const query = `
-      query($owner: String!, $repo: String!, $prNumber: Int!) {
-        repository(owner: $owner, name: $repo) {
-          pullRequest(number: $prNumber) {
-            reviewThreads(first: 100) {
-              nodes {
-                id
-                isResolved
-                isOutdated
-                resolvedBy {
-                  login
-                }
-                path
-                line
-                comments(first: 10) {
-                  nodes {
-                    id
-                    databaseId
-                    body
-                    url
-                    author {
-                      login
-                    }
-                    createdAt
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
-    
-    const result = await octokit.graphql(query, { owner, repo, prNumber });
-    const threads = result.repository?.pullRequest?.reviewThreads?.nodes || [];
-    
-    // Debug on first check
-    if (seenIssueIds.size === 0) {
-      const allAuthors = new Set();
-      let resolvedCount = 0;
-      let outdatedCount = 0;
-      
-      for (const thread of threads) {
-        if (thread.isResolved) resolvedCount++;
-        if (thread.isOutdated) outdatedCount++;
-        for (const comment of thread.comments?.nodes || []) {
-          if (comment.author?.login) {
-            allAuthors.add(comment.author.login);
-          }
-        }
-      }
-      
-      console.log(`\n${COLORS.blue}Debug: Review thread authors:${COLORS.reset} ${[...allAuthors].join(', ')}`);
-      console.log(`${COLORS.blue}Debug: ${threads.length} threads total, ${resolvedCount} resolved, ${outdatedCount} outdated${COLORS.reset}`);
-    }
-    
-    // Process threads
-    for (const thread of threads) {
-      // Skip resolved or outdated threads
-      if (thread.isResolved || thread.isOutdated) {
-        continue;
-      }
-      
-      // Get review bot comments from this thread (cursorbot, codex, etc.)
-      const botComments = (thread.comments?.nodes || []).filter(
-        c => isReviewBot(c.author?.login)
-      );
-      
-      for (const comment of botComments) {
-        // Determine which bot this is from
-        const author = comment.author?.login || 'bot';
-        const botType = author.toLowerCase().includes('codex') ? 'codex' : 'cursorbot';
-        
-        comments.push({
-          id: `review-${comment.databaseId}`,
-          type: 'review_bot',
-          botType: botType,
-          path: thread.path,
-          line: thread.line,
-          body: comment.body,
-          url: comment.url,
-          author: author,
-          createdAt: comment.createdAt,
-          resolved: thread.isResolved,
-          outdated: thread.isOutdated,
-        });
-      }
-    }
-  } catch (e) {
-    console.error('Error fetching review comments:', e.message);
-    // Fallback to REST API if GraphQL fails
-    console.log(`${COLORS.yellow}Falling back to REST API...${COLORS.reset}`);
-    return getCursorbotCommentsREST(owner, repo, prNumber);
-  }
-  
-  return comments;
-}
-
-/**
- * Fallback REST API method
- */
-async function getCursorbotCommentsREST(owner, repo, prNumber) {
-  const comments = [];
-  
-  try {
-    const { data: reviewComments } = await octokit.rest.pulls.listReviewComments({
-      owner,
-      repo,
-      pull_number: prNumber,
-    });
-    
-    const botComments = reviewComments.filter(
-      c => isReviewBot(c.user?.login)
-    );
-    
-    for (const comment of botComments) {
-      const isOutdated = comment.position === null && comment.original_position !== null;
-      if (isOutdated) continue; // Skip outdated in fallback
-      
-      const author = comment.user?.login || 'bot';
-      const botType = author.toLowerCase().includes('codex') ? 'codex' : 'cursorbot';
-      
-      comments.push({
-        id: `review-${comment.id}`,
-        type: 'review_bot',
-        botType: botType,
-        path: comment.path,
-        line: comment.line || comment.original_line,
-        body: comment.body,
-        url: comment.html_url,
-        author: author,
-        createdAt: comment.created_at,
-      });
-    }
-  } catch (e) {
-    console.error('Error in REST fallback:', e.message);
-  }
-  
-  return comments;
-}
-
-/**
- * Fetch CI failures (GitHub Check Runs + Commit Statuses)
- */
-async function getCIFailures(owner, repo, prNumber) {
-  const issues = [];
-  
-  try {
-    const { data: pr } = await octokit.rest.pulls.get({
-      owner,
-      repo,
-      pull_number: prNumber,
-    });
-    
-    const headSha = pr.head.sha;
-    
-    // Get GitHub Check Runs
-    const { data: checkRuns } = await octokit.rest.checks.listForRef({
-      owner,
-      repo,
-      ref: headSha,
-    });
-    
-    // Debug on first check
-    if (seenIssueIds.size === 0) {
-      const checkSummary = checkRuns.check_runs.map(r => 
-        `${r.name}: ${r.status}/${r.conclusion || 'pending'}`
-      );
-      console.log(`${COLORS.blue}Debug: ${checkRuns.total_count} check runs:${COLORS.reset}`);
-      checkSummary.forEach(s => console.log(`  - ${s}`));
-    }
-    
-    for (const run of checkRuns.check_runs) {
-      if (run.conclusion === 'failure' || run.conclusion === 'cancelled' || run.conclusion === 'timed_out') {
-        issues.push({
-          id: `ci-${run.id}`,
-          type: 'ci_failure',
-          name: run.name,
-          source: run.app?.name || 'CI',
-          conclusion: run.conclusion,
-          url: run.html_url || run.details_url,
-          output: run.output?.summary || run.output?.title,
-          nonBlocking: isNonBlockingCI(run.name),
-        });
-      }
-    }
-    
-    // Also get Commit Statuses (older API, used by some CI systems like Buildkite)
-    const { data: statusData } = await octokit.rest.repos.getCombinedStatusForRef({
-      owner,
-      repo,
-      ref: headSha,
-    });
-    
-    // Debug on first check - show full status details
-    if (seenIssueIds.size === 0) {
-      console.log(`${COLORS.blue}Debug: Combined status: ${statusData.state}, ${statusData.statuses.length} statuses:${COLORS.reset}`);
-      statusData.statuses.forEach(s => {
-        console.log(`  - ${s.context}: ${s.state}`);
-        if (s.description) console.log(`    Description: ${s.description}`);
-        if (s.target_url) console.log(`    URL: ${s.target_url}`);
-      });
-    }
-    
-    for (const status of statusData.statuses) {
-      if (status.state === 'failure' || status.state === 'error') {
-        // Check if we already have this from check runs (avoid duplicates)
-        const isDuplicate = issues.some(i => 
-          i.url === status.target_url || 
-          i.name?.toLowerCase() === status.context?.toLowerCase()
-        );
-        
-        if (!isDuplicate) {
-          issues.push({
-            id: `status-${status.id}`,
-            type: 'ci_failure',
-            name: status.context,
-            source: status.context?.split('/')[0] || 'CI',
-            conclusion: status.state,
-            description: status.description,
-            url: status.target_url,
-            nonBlocking: isNonBlockingCI(status.context),
-          });
-        }
-      }
-    }
-  } catch (e) {
-    console.error('Error fetching CI status:', e.message);
-  }
-  
-  return issues;
-}
-
-/**
- * Check if all CI checks are green (passed, not pending or failing)
- * Non-blocking checks (Slack notifications, etc.) are tracked separately
- * Returns: { allGreen: boolean, pending: number, passed: number, failed: number, nonBlockingFailed: number }
+ * Check if all blocking CI checks are green (passed, not pending or failing).
+ * Counts come from summarizeCI (see pr-data.js), shared with the MCP server,
+ * using the poll's getPRIssues snapshot (no extra requests).
+ * Returns: { allGreen, pending, passed, failed, nonBlockingFailed, optionalPending, required, total, headSha, checks }
  */
-async function checkCIStatus(owner, repo, prNumber) {
-  const result = { 
-    allGreen: false, 
-    pending: 0, 
-    passed: 0, 
-    failed: 0,           // Blocking failures
-    nonBlockingFailed: 0, // Non-blocking failures (notifications, etc.)
-    total: 0 
+function checkCIStatus(snapshot) {
+  return {
+    ...summarizeCI(snapshot.checkRuns, snapshot.statuses, snapshot.requiredChecks),
+    headSha: snapshot.pr?.head?.sha || null,
   };
-  
-  try {
-    const { data: pr } = await octokit.rest.pulls.get({
-      owner,
-      repo,
-      pull_number: prNumber,
-    });
-    
-    const headSha = pr.head.sha;
-    
-    // Get GitHub Check Runs
-    const { data: checkRuns } = await octokit.rest.checks.listForRef({
-      owner,
-      repo,
-      ref: headSha,
-    });
-    
-    for (const run of checkRuns.check_runs) {
-      result.total++;
-      if (run.status !== 'completed') {
-        result.pending++;
-      } else if (run.conclusion === 'success' || run.conclusion === 'skipped' || run.conclusion === 'neutral') {
-        result.passed++;
-      } else {
-        // Check if this is a non-blocking failure
-        if (isNonBlockingCI(run.name)) {
-          result.nonBlockingFailed++;
-        } else {
-          result.failed++;
-        }
-      }
-    }
-    
-    // Also check Commit Statuses
-    const { data: statusData } = await octokit.rest.repos.getCombinedStatusForRef({
-      owner,
-      repo,
-      ref: headSha,
-    });
-    
-    for (const status of statusData.statuses) {
-      result.total++;
-      if (status.state === 'pending') {
-        result.pending++;
-      } else if (status.state === 'success') {
-        result.passed++;
-      } else {
-        // Check if this is a non-blocking failure
-        if (isNonBlockingCI(status.context)) {
-          result.nonBlockingFailed++;
-        } else {
-          result.failed++;
-        }
-      }
-    }
-    
-    // All green if we have checks, none pending, no BLOCKING failures
-    // Non-blocking failures are okay
-    result.allGreen = result.total > 0 && result.pending === 0 && result.failed === 0;
-    
-  } catch (e) {
-    console.error('Error checking CI status:', e.message);
-  }
-  
-  return result;
 }
 
 /**
@@ -615,10 +184,10 @@ function getPRUrl() {
 }
 
 /**
- * Check merge queue status for the PR
+ * Check merge queue status for the PR (pr is the poll snapshot's pull request)
  * Returns: { inQueue: boolean, position: number|null, state: string|null, estimatedMergeTime: string|null, ... }
  */
-async function checkMergeQueueStatus(owner, repo, prNumber) {
+async function checkMergeQueueStatus(owner, repo, prNumber, pr) {
   const result = { 
     inQueue: false, 
     position: null, 
@@ -629,101 +198,68 @@ async function checkMergeQueueStatus(owner, repo, prNumber) {
     displayState: null,    // Human-friendly state description
   };
   
-  try {
-    // First check if PR is merged
-    const { data: pr } = await octokit.rest.pulls.get({
-      owner,
-      repo,
-      pull_number: prNumber,
-    });
+  if (pr?.merged) {
+    result.merged = true;
+    result.state = 'MERGED';
+    result.displayState = 'Merged!';
+    return result;
+  }
+  
+  // Queue position, state and ETA (null when not queued or merge queues aren't enabled)
+  const entry = await getMergeQueueEntry(owner, repo, prNumber);
+  
+  if (entry) {
+    result.inQueue = true;
+    result.position = entry.position;
+    result.state = entry.state;
+    result.estimatedMergeTime = entry.estimatedTimeToMerge;
     
-    if (pr.merged) {
-      result.merged = true;
-      result.state = 'MERGED';
-      result.displayState = 'Merged!';
-      return result;
-    }
+    // Calculate how many PRs are ahead (position is 0-indexed, so position 0 = next to merge)
+    result.aheadCount = entry.position || 0;
     
-    // Use GraphQL to check merge queue status with more details
-    const query = `
-      query($owner: String!, $repo: String!, $prNumber: Int!) {
-        repository(owner: $owner, name: $repo) {
-          pullRequest(number: $prNumber) {
-            mergeQueueEntry {
-              position
-              state
-              estimatedTimeToMerge
-              enqueuedAt
-              baseCommit {
-                oid
-              }
-            }
-          }
-        }
+    // Create human-friendly display state
+    if (entry.state === 'MERGEABLE') {
+      result.displayState = 'Ready to merge (at front of queue)';
+    } else if (entry.state === 'AWAITING_CHECKS') {
+      if (result.aheadCount > 0) {
+        result.displayState = `Waiting (${result.aheadCount} PR${result.aheadCount > 1 ? 's' : ''} ahead)`;
+      } else {
+        result.displayState = 'Running checks (at front of queue)';
       }
-    `;
-    
-    const response = await octokit.graphql(query, { owner, repo, prNumber });
-    const entry = response.repository?.pullRequest?.mergeQueueEntry;
-    
-    if (entry) {
-      result.inQueue = true;
-      result.position = entry.position;
-      result.state = entry.state;
-      result.estimatedMergeTime = entry.estimatedTimeToMerge;
-      
-      // Calculate how many PRs are ahead (position is 0-indexed, so position 0 = next to merge)
-      result.aheadCount = entry.position || 0;
-      
-      // Create human-friendly display state
-      if (entry.state === 'MERGEABLE') {
-        result.displayState = 'Ready to merge (at front of queue)';
-      } else if (entry.state === 'AWAITING_CHECKS') {
-        if (result.aheadCount > 0) {
-          result.displayState = `Waiting (${result.aheadCount} PR${result.aheadCount > 1 ? 's' : ''} ahead)`;
-        } else {
-          result.displayState = 'Running checks (at front of queue)';
-        }
-      } else if (entry.state === 'QUEUED') {
-        if (result.aheadCount > 0) {
-          result.displayState = `In queue (${result.aheadCount} PR${result.aheadCount > 1 ? 's' : ''} ahead)`;
-        } else {
-          result.displayState = 'In queue (next up)';
-        }
-      } else if (entry.state === 'UNMERGEABLE') {
-        // UNMERGEABLE can mean conflicts OR just waiting for PRs ahead
-        if (result.aheadCount > 0) {
-          result.displayState = `Waiting (${result.aheadCount} PR${result.aheadCount > 1 ? 's' : ''} ahead)`;
-        } else {
-          result.displayState = 'Cannot merge (check for conflicts)';
-        }
-      } else if (entry.state === 'LOCKED') {
-        result.displayState = 'Queue is locked';
+    } else if (entry.state === 'QUEUED') {
+      if (result.aheadCount > 0) {
+        result.displayState = `In queue (${result.aheadCount} PR${result.aheadCount > 1 ? 's' : ''} ahead)`;
       } else {
-        result.displayState = entry.state;
+        result.displayState = 'In queue (next up)';
       }
-      
-      // Add ETA if available
-      if (entry.estimatedTimeToMerge) {
-        const eta = new Date(entry.estimatedTimeToMerge);
-        const now = new Date();
-        const diffMs = eta - now;
-        if (diffMs > 0) {
-          const diffMins = Math.round(diffMs / 60000);
-          if (diffMins < 60) {
-            result.displayState += ` (~${diffMins}m)`;
-          } else {
-            const hours = Math.floor(diffMins / 60);
-            const mins = diffMins % 60;
-            result.displayState += ` (~${hours}h ${mins}m)`;
-          }
-        }
+    } else if (entry.state === 'UNMERGEABLE') {
+      // UNMERGEABLE can mean conflicts OR just waiting for PRs ahead
+      if (result.aheadCount > 0) {
+        result.displayState = `Waiting (${result.aheadCount} PR${result.aheadCount > 1 ? 's' : ''} ahead)`;
+      } else {
+        result.displayState = 'Cannot merge (check for conflicts)';
       }
+    } else if (entry.state === 'LOCKED') {
+      result.displayState = 'Queue is locked';
+    } else {
+      result.displayState = entry.state;
     }
-  } catch (e) {
-    // GraphQL may fail if merge queues aren't enabled - that's okay
-    if (!e.message?.includes('Could not resolve')) {
-      console.error('Error checking merge queue:', e.message);
+    
+    // Add ETA if available
+    if (entry.estimatedTimeToMerge) {
+      const eta = new Date(entry.estimatedTimeToMerge);
+      const now = new Date();
+      const diffMs = eta - now;
+      if (diffMs > 0) {
+        const diffMins = Math.round(diffMs / 60000);
+        if (diffMins < 60) {
+          result.displayState += ` (~${diffMins}m)`;
+        } else {
+          const hours = Math.floor(diffMins / 60);
+          const mins = diffMins % 60;
+          result.displayState += ` (~${hours}h ${mins}m)`;
+        }
+      }
     }
   }
   
@@ -734,8 +270,6 @@ async function checkMergeQueueStatus(owner, repo, prNumber) {
  * Send merge queue notification
  */
 async function sendMergeQueueNotification(state, message) {
-  const { exec } = await import('child_process');
-  
   const subtitle = `PR #${prInfo.number}`;
   let title, sound;
   
@@ -753,15 +287,64 @@ async function sendMergeQueueNotification(state, message) {
     sound = 'Pop';
   }
   
-  const script = `display notification "${message.replace(/"/g, '\\"')}" with title "${title}" subtitle "${subtitle}" sound name "${sound}"`;
-  
-  exec(`osascript -e '${script}'`, (error) => {
-    if (error) {
-      // Silently fail
+  notify({ title, subtitle, message, sound, bell: true });
+  await sendOutbound('merge-queue', { title, message, dedupeKey: `${state}|${message}` });
+}
+
+/**
+ * Send a notification about CI timing (ETA, overrunning checks)
+ */
+async function sendCITimingNotification(title, message) {
+  notify({ title, subtitle: `PR #${prInfo.number}`, message, sound: 'Pop', bell: true });
+}
+
+/**
+ * Announce when CI should be done (once per head commit), and blocking checks
+ * that have badly overrun their usual duration (once per check and commit)
+ */
+async function notifyCITiming(sha, timing) {
+  if (timing.finishAt && notifiedETASha !== sha && timing.finishAt - Date.now() >= MIN_ETA_NOTIFY_MS) {
+    notifiedETASha = sha;
+    const at = timing.finishAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const bound = timing.complete ? '' : ' (some checks have no timing history)';
+    await sendCITimingNotification('⏱ CI ETA', `CI should be done around ${at} - ${timing.longest} is the longest${bound}`);
+  }
+
+  for (const check of timing.checks.filter(c => c.blocking && c.overrun)) {
+    const key = `${sha}:${check.name}`;
+    if (notifiedOverruns.has(key)) continue;
+    notifiedOverruns.add(key);
+    await sendCITimingNotification('🐢 Check Overrunning', `${check.name} has run ${formatDuration(check.elapsed)}, usually takes ~${formatDuration(check.typical)}`);
+  }
+}
+
+/**
+ * Print the progress of running blocking checks, slowest first
+ */
+function printCIProgress(timing) {
+  const running = timing.checks
+    .filter(c => c.blocking)
+    .sort((a, b) => (b.remaining ?? Infinity) - (a.remaining ?? Infinity));
+  if (running.length === 0) return;
+
+  const width = Math.min(40, Math.max(...running.map(c => c.name.length)));
+  for (const check of running.slice(0, MAX_PROGRESS_CHECKS)) {
+    const name = check.name.length > width ? `${check.name.slice(0, width - 1)}…` : check.name.padEnd(width);
+    let progress;
+    if (!check.started) {
+      progress = `${COLORS.blue}waiting to start${check.typical !== null ? ` (~${formatDuration(check.typical)})` : ''}${COLORS.reset}`;
+    } else if (check.typical === null) {
+      progress = `${COLORS.blue}running ${formatDuration(check.elapsed)} (no timing history yet)${COLORS.reset}`;
+    } else {
+      const filled = Math.min(PROGRESS_BAR_WIDTH, Math.round(check.elapsed / check.typical * PROGRESS_BAR_WIDTH));
+      progress = `${'█'.repeat(filled)}${'░'.repeat(PROGRESS_BAR_WIDTH - filled)} ${formatDuration(check.elapsed)} of ~${formatDuration(check.typical)}`;
+      if (check.overrun) progress = `${COLORS.red}${progress} - overrunning${COLORS.reset}`;
     }
-  });
-  
-  process.stdout.write('\x07');
+    console.log(`   ${name}  ${progress}`);
+  }
+  if (running.length > MAX_PROGRESS_CHECKS) {
+    console.log(`   ... and ${running.length - MAX_PROGRESS_CHECKS} more`);
+  }
 }
 
 /**
@@ -769,15 +352,17 @@ async function sendMergeQueueNotification(state, message) {
  */
 function printNotification(issue, isNew = true) {
   const prefix = isNew ? `${COLORS.bright}${COLORS.yellow}🔔 NEW ISSUE${COLORS.reset}` : '';
-  const typeColor = issue.type === 'cursorbot' ? COLORS.cyan : COLORS.red;
-  const typeIcon = issue.type === 'cursorbot' ? '🤖' : '❌';
-  const outdatedTag = issue.outdated ? ` ${COLORS.yellow}[OUTDATED]${COLORS.reset}` : '';
+  const botInfo = getBot(issue.bot);
+  const typeColor = botInfo ? COLORS.cyan : COLORS.red;
+  const typeIcon = botInfo ? botInfo.icon : '❌';
+  const typeLabel = botInfo ? botInfo.label : issue.kind.toUpperCase();
+  const location = formatLocation(issue);
   
   console.log('\n' + '='.repeat(70));
   if (isNew) console.log(prefix);
-  console.log(`${typeColor}${typeIcon} ${issue.type.toUpperCase()}${COLORS.reset}: ${issue.name || issue.path || 'Issue'}${outdatedTag}`);
+  console.log(`${typeColor}${typeIcon} ${typeLabel}${COLORS.reset}: ${issue.name || location || issue.title}`);
   console.log(`${COLORS.blue}ID:${COLORS.reset} ${issue.id}`);
-  if (issue.path) console.log(`${COLORS.blue}File:${COLORS.reset} ${issue.path}${issue.line ? `:${issue.line}` : ''}`);
+  if (location) console.log(`${COLORS.blue}File:${COLORS.reset} ${location}`);
   if (issue.source) console.log(`${COLORS.blue}Source:${COLORS.reset} ${issue.source}`);
   if (issue.body) {
     console.log(`${COLORS.blue}Details:${COLORS.reset}`);
@@ -790,45 +375,47 @@ function printNotification(issue, isNew = true) {
   console.log(`${COLORS.blue}URL:${COLORS.reset} ${issue.url}`);
   console.log('='.repeat(70));
   
-  // Print action prompt (skip for outdated)
-  if (isNew && !issue.outdated) {
+  // Print action prompt
+  if (isNew) {
     console.log(`\n${COLORS.green}>>> Ask Cursor: "Fix issue ${issue.id}"${COLORS.reset}`);
   }
 }
 
 /**
- * Fetch PR issue comments from cursor bot (general comments, not inline)
+ * Print debug info about the raw data behind the issue list (first poll only)
  */
-async function getPRIssueComments(owner, repo, prNumber) {
-  const comments = [];
-  
-  try {
-    const { data: issueComments } = await octokit.rest.issues.listComments({
-      owner,
-      repo,
-      issue_number: prNumber,
-    });
-    
-    // Only get cursor bot comments
-    const cursorComments = issueComments.filter(
-      c => c.user?.login?.toLowerCase().includes('cursor')
-    );
-    
-    for (const comment of cursorComments) {
-      comments.push({
-        id: `issue-${comment.id}`,
-        type: 'cursorbot',
-        name: 'PR Comment',
-        body: comment.body,
-        url: comment.html_url,
-        author: comment.user?.login,
-      });
+function printDebugInfo(snapshot) {
+  const allAuthors = new Set();
+  let resolvedCount = 0;
+  let outdatedCount = 0;
+  
+  for (const thread of snapshot.threads) {
+    if (thread.isResolved) resolvedCount++;
+    if (thread.isOutdated) outdatedCount++;
+    for (const comment of thread.comments?.nodes || []) {
+      if (comment.author?.login) {
+        allAuthors.add(comment.author.login);
+      }
     }
-  } catch (e) {
-    console.error('Error fetching issue comments:', e.message);
   }
   
-  return comments;
+  console.log(`\n${COLORS.blue}Debug: Review thread authors:${COLORS.reset} ${[...allAuthors].join(', ')}`);
+  console.log(`${COLORS.blue}Debug: ${snapshot.threads.length} threads total, ${resolvedCount} resolved, ${outdatedCount} outdated${COLORS.reset}`);
+  
+  console.log(`${COLORS.blue}Debug: Notifications:${COLORS.reset} ${getNotifier()}, ${COLORS.blue}clipboard:${COLORS.reset} ${getClipboard()}`);
+  
+  const required = snapshot.requiredChecks;
+  console.log(`${COLORS.blue}Debug: Required checks:${COLORS.reset} ${required ? (required.join(', ') || 'none configured') : 'unknown (using name patterns)'}`);
+  
+  console.log(`${COLORS.blue}Debug: ${snapshot.checkRuns.length} check runs:${COLORS.reset}`);
+  snapshot.checkRuns.forEach(r => console.log(`  - ${r.name}: ${r.status}/${r.conclusion || 'pending'}`));
+  
+  console.log(`${COLORS.blue}Debug: Combined status: ${snapshot.combinedState}, ${snapshot.statuses.length} statuses:${COLORS.reset}`);
+  snapshot.statuses.forEach(s => {
+    console.log(`  - ${s.context}: ${s.state}`);
+    if (s.description) console.log(`    Description: ${s.description}`);
+    if (s.target_url) console.log(`    URL: ${s.target_url}`);
+  });
 }
 
 /**
@@ -890,6 +477,13 @@ function clearAndPrintHeader() {
   console.log(`${COLORS.bright}PR Watcher${COLORS.reset} - ${prInfo.owner}/${prInfo.repo}#${prInfo.number}`);
   console.log(`${COLORS.blue}URL:${COLORS.reset} ${getPRUrl()}  ${COLORS.cyan}(u=copy)${COLORS.reset}`);
   
+  const rateLimit = getRateLimit();
+  if (rateLimit) {
+    const lowQuota = rateLimit.remaining < rateLimit.limit * 0.1;
+    const resetTime = rateLimit.reset.toLocaleTimeString();
+    console.log(`${COLORS.blue}API:${COLORS.reset} ${lowQuota ? COLORS.red : ''}${rateLimit.remaining}/${rateLimit.limit} requests left${COLORS.reset} (resets ${resetTime})`);
+  }
+  
   // Show other running watchers if any
   if (otherWatchers.length > 0) {
     const otherPRs = otherWatchers.map(w => {
@@ -900,16 +494,101 @@ function clearAndPrintHeader() {
     console.log(`${COLORS.blue}Also watching:${COLORS.reset} ${otherPRs}`);
   }
   
+  if (webhookPort) {
+    const lastEvent = lastWebhookEvent ? ` (last: ${lastWebhookEvent})` : '';
+    console.log(`${COLORS.blue}Webhooks:${COLORS.reset} listening on :${webhookPort}${lastEvent}`);
+  }
+  
   console.log(`${COLORS.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
 }
 
 /**
- * Fetch Buildkite logs for new CI failures and save them locally.
- * Attaches `localLogFile` to each issue where logs were saved.
+ * One-line display of how a CI failure compares with the base branch
+ */
+function formatBaseComparison(base) {
+  const build = base.buildNumber ? ` (build #${base.buildNumber})` : '';
+  switch (base.status) {
+    case 'new': return `${COLORS.red}🆕 ${base.label}${COLORS.reset}`;
+    case 'also-failing': return `${COLORS.yellow}🔁 ${base.label}${build}${COLORS.reset}`;
+    case 'fixed': return `${COLORS.green}⤵️  ${base.label}${build} - rebase to pick up the fix${COLORS.reset}`;
+    default: return `${COLORS.yellow}🔀 ${base.label}${build}${COLORS.reset}`;
+  }
+}
+
+/**
+ * Log file parts for a CI failure: for each failing job, its artifacts, the
+ * provider's summary (e.g. failing GitHub Actions steps) or its test failures,
+ * followed by the full log. Logs are streamed into artifactsDir first (see
+ * log-stream.js) and artifacts downloaded there.
+ * Returns { parts, logs, failures, artifacts, flaky, base } - parts (strings and
+ * streamed logs) for writeLogFile; logs are the jobs' streamed logs with their
+ * index; failures and artifacts of all jobs; flaky is { reason, all } when any
+ * failing job looks flaky; base is how the failure compares with the base
+ * branch (see base-compare.js).
+ */
+async function getCILogContent(issue, artifactsDir) {
+  const { provider, baseBuild, jobs, error } = await fetchFailureLogs(getIssueCIUrl(issue), { artifactsDir, baseBranch, logsDir: artifactsDir });
+  if (error) {
+    throw new Error(error);
+  }
+
+  if (jobs.length === 0) {
+    return { parts: ['No failing jobs found.\n'], logs: [], failures: [], artifacts: [], flaky: null, base: null };
+  }
+
+  let content = `Provider: ${provider.name}\n`;
+  if (baseBuild) content += `Compared with: ${baseBranch} build #${baseBuild.number} (${baseBuild.state}) ${baseBuild.url}\n`;
+  content += '\n';
+  const parts = [];
+  const logs = [];
+  for (const { job, logFile, summary, failures, artifacts, flaky, base, error: logError } of jobs) {
+    content += `=== ${job.name} (${job.state}) ===\n`;
+    if (job.url) content += `Job URL: ${job.url}\n`;
+    if (flaky) content += `Likely flaky: ${flaky}\n`;
+    if (base) content += `Base branch: ${base.label}${base.buildNumber ? ` (build #${base.buildNumber})` : ''}\n`;
+    if (artifacts.length > 0) {
+      content += `Artifacts:\n`;
+      for (const artifact of artifacts) {
+        content += `  ${artifact.localPath || `${artifact.path} (not downloaded)`}\n`;
+      }
+    }
+    if (logError) {
+      content += `Could not fetch log: ${logError}\n`;
+    } else {
+      const overview = summary || formatTestFailures(failures);
+      if (overview) content += `\n${overview}\n`;
+      if (logFile.truncated) content += `(Failures above are from the errors and end of a ${formatBytes(logFile.bytes)} log - see the index at the top of this file)\n`;
+      // Save full log so agents see the complete output
+      content += `=== Full log (${logFile.lines} lines, ${formatBytes(logFile.bytes)}) ===\n`;
+      parts.push(content, logFile);
+      logs.push({ title: `${job.name} (${job.state})`, logFile, part: parts.length - 1 });
+      content = '';
+    }
+    content += '\n\n';
+  }
+  parts.push(content);
+
+  return {
+    parts,
+    logs,
+    failures: jobs.flatMap(j => j.failures),
+    artifacts: jobs.flatMap(j => j.artifacts).filter(a => a.localPath),
+    flaky: summarizeFlakiness(jobs),
+    base: summarizeBaseComparison(jobs, baseBranch),
+  };
+}
+
+/**
+ * Fetch logs for new CI failures from their CI provider and save them locally,
+ * with the failing jobs' artifacts in .ci-logs/<issue-id>/. The log file starts
+ * with an index of each job's steps and errors (line and byte offsets), so huge
+ * logs can be navigated without reading them whole.
+ * Attaches `localLogFile`, `testFailures`, `artifacts`, `artifactsDir`, `flaky`,
+ * `base` and `logSize` to each issue where logs were saved.
  */
 async function fetchAndSaveCILogs(newCIIssues) {
-  const bkIssues = newCIIssues.filter(i => i.url?.includes('buildkite.com'));
-  if (bkIssues.length === 0) return;
+  const logIssues = newCIIssues.filter(i => findCIProvider(getIssueCIUrl(i))?.provider.isConfigured());
+  if (logIssues.length === 0) return;
 
   try {
     mkdirSync(CI_LOGS_DIR, { recursive: true });
@@ -917,75 +596,70 @@ async function fetchAndSaveCILogs(newCIIssues) {
     // ignore
   }
 
-  for (const issue of bkIssues) {
-    const parsed = parseBuildkiteUrl(issue.url);
-    if (!parsed) continue;
-
+  for (const issue of logIssues) {
+    const artifactsDir = join(CI_LOGS_DIR, issue.id);
     try {
       console.log(`${COLORS.blue}Fetching CI logs for ${issue.name || issue.id}...${COLORS.reset}`);
-      const { build, error } = await getBuildDetails(parsed.org, parsed.pipeline, parsed.buildNumber);
-      if (error || !build) {
-        console.log(`${COLORS.yellow}  Could not fetch build: ${error}${COLORS.reset}`);
-        continue;
-      }
-
-      const failingJobs = getFailingJobs(build);
-      const jobLogs = {};
-      for (const job of failingJobs) {
-        jobLogs[job.id] = await getJobLog(parsed.org, parsed.pipeline, parsed.buildNumber, job.id);
-      }
+      rmSync(artifactsDir, { recursive: true, force: true });
+      const { parts, logs, failures, artifacts, flaky, base } = await getCILogContent(issue, artifactsDir);
 
-      let content = `CI Failure: ${issue.name || issue.id}\nBuild URL: ${issue.url}\nFetched: ${new Date().toISOString()}\n`;
-      content += `${'='.repeat(70)}\n\n`;
-
-      if (failingJobs.length === 0) {
-        content += 'No failing jobs found.\n';
-      } else {
-        for (const job of failingJobs) {
-          content += `=== ${job.name} (${job.state}) ===\n`;
-          if (job.web_url) content += `Job URL: ${job.web_url}\n`;
-          const logResult = jobLogs[job.id];
-          if (logResult?.log) {
-            // Save full log (ANSI codes stripped) so agents see the complete output
-            content += logResult.log.replace(/\x1b\[[0-9;]*m/g, '');
-          } else if (logResult?.error) {
-            content += `Could not fetch log: ${logResult.error}\n`;
-          }
-          content += '\n\n';
+      const intro = `CI Failure: ${issue.name || issue.id}\nBuild URL: ${getIssueCIUrl(issue)}\nFetched: ${new Date().toISOString()}\n`;
+      const logFile = join(CI_LOGS_DIR, `${issue.id}.txt`);
+      await writeLogFile(logFile, parts, offsets => {
+        let header = intro;
+        if (logs.length > 0) {
+          header += `\nIndex (line numbers and byte offsets in this file):\n`;
+          for (const { title, logFile: log, part } of logs) header += formatLogIndex(title, log, offsets[part]);
         }
-      }
+        return `${header}${'='.repeat(70)}\n\n`;
+      });
 
-      const logFile = join(CI_LOGS_DIR, `${issue.id}.txt`);
-      writeFileSync(logFile, content, 'utf-8');
+      const logSize = logs.reduce((sum, { logFile: log }) => sum + log.bytes, 0);
+      const details = { testFailures: failures, artifacts, artifactsDir: artifacts.length > 0 ? artifactsDir : null, flaky, base, logSize };
       issue.localLogFile = logFile;
+      Object.assign(issue, details);
       sessionLogFiles.set(issue.id, logFile);
-      console.log(`${COLORS.green}  Logs saved: ${logFile}${COLORS.reset}`);
+      sessionCIDetails.set(issue.id, details);
+      console.log(`${COLORS.green}  Logs saved: ${logFile} (${formatBytes(logSize)})${COLORS.reset}`);
+      if (artifacts.length > 0) {
+        console.log(`${COLORS.green}  ${artifacts.length} artifact(s) saved: ${artifactsDir}/${COLORS.reset}`);
+      }
     } catch (e) {
       console.log(`${COLORS.yellow}  Failed to fetch logs for ${issue.id}: ${e.message}${COLORS.reset}`);
+    } finally {
+      // The streamed job logs have been copied into the log file
+      for (const file of existsSync(artifactsDir) ? readdirSync(artifactsDir) : []) {
+        if (file.endsWith('.log')) rmSync(join(artifactsDir, file), { force: true });
+      }
+      if (existsSync(artifactsDir) && readdirSync(artifactsDir).length === 0) rmSync(artifactsDir, { recursive: true });
     }
   }
 }
 
 /**
- * Delete log files for CI issues that are no longer active.
+ * Delete log files (and downloaded artifacts) for CI issues that are no longer active.
  */
 function cleanupStaleLogs(activeIssueIds) {
   for (const [issueId, logFile] of sessionLogFiles) {
     if (!activeIssueIds.has(issueId)) {
       try { unlinkSync(logFile); } catch (e) { /* ignore */ }
+      rmSync(join(CI_LOGS_DIR, issueId), { recursive: true, force: true });
       sessionLogFiles.delete(issueId);
+      sessionCIDetails.delete(issueId);
     }
   }
 }
 
 /**
- * Delete all log files created this session.
+ * Delete all log files (and downloaded artifacts) created this session.
  */
 function cleanupAllSessionLogs() {
-  for (const logFile of sessionLogFiles.values()) {
+  for (const [issueId, logFile] of sessionLogFiles) {
     try { unlinkSync(logFile); } catch (e) { /* ignore */ }
+    rmSync(join(CI_LOGS_DIR, issueId), { recursive: true, force: true });
   }
   sessionLogFiles.clear();
+  sessionCIDetails.clear();
 }
 
 /**
@@ -994,37 +668,54 @@ function cleanupAllSessionLogs() {
 async function pollForIssues() {
   const timestamp = new Date().toLocaleTimeString();
   
-  const [cursorbotIssues, issueComments, ciIssues] = await Promise.all([
-    getCursorbotComments(prInfo.owner, prInfo.repo, prInfo.number),
-    getPRIssueComments(prInfo.owner, prInfo.repo, prInfo.number),
-    getCIFailures(prInfo.owner, prInfo.repo, prInfo.number),
-  ]);
+  // One snapshot per poll - the CI and merge status below are derived from it
+  startPollCycle();
+  const snapshot = await getPRIssues(prInfo.owner, prInfo.repo, prInfo.number, { humanReviews: humanReviewMode });
+  
+  // Debug on first check
+  if (isFirstPoll) {
+    printDebugInfo(snapshot);
+    isFirstPoll = false;
+  }
+  
+  const allIssues = snapshot.issues;
+  headSha = snapshot.pr?.head?.sha || headSha;
+  baseBranch = snapshot.pr?.base?.ref || baseBranch;
   
-  const allIssues = [...cursorbotIssues, ...issueComments, ...ciIssues];
+  // Re-attach logs saved on earlier polls
+  for (const issue of allIssues) {
+    if (sessionLogFiles.has(issue.id)) issue.localLogFile = sessionLogFiles.get(issue.id);
+    if (sessionCIDetails.has(issue.id)) Object.assign(issue, sessionCIDetails.get(issue.id));
+  }
   const newIssues = allIssues.filter(i => !seenIssueIds.has(i.id));
   
   // Check merge queue status
-  const mergeQueueStatus = await checkMergeQueueStatus(prInfo.owner, prInfo.repo, prInfo.number);
+  const mergeQueueStatus = await checkMergeQueueStatus(prInfo.owner, prInfo.repo, prInfo.number, snapshot.pr);
   
   // Clear and refresh display
   clearAndPrintHeader();
   console.log(`${COLORS.blue}Last checked:${COLORS.reset} ${timestamp}\n`);
   
   // Show new issues notification prominently at top
-  const newBlockingIssues = newIssues.filter(i => !i.nonBlocking);
-  const newNonBlockingIssues = newIssues.filter(i => i.nonBlocking);
+  const newBlockingIssues = newIssues.filter(i => i.blocking);
+  const newNonBlockingIssues = newIssues.filter(i => !i.blocking);
   
   if (newBlockingIssues.length > 0) {
     console.log(`${COLORS.bright}${COLORS.yellow}🔔 ${newBlockingIssues.length} new blocking issue(s) detected!${COLORS.reset}`);
     process.stdout.write('\x07'); // Bell sound
 
     // Auto-fetch CI logs for new Buildkite failures
-    const newCIFailures = newBlockingIssues.filter(i => i.type === 'ci_failure');
+    const newCIFailures = newBlockingIssues.filter(i => i.kind === 'ci');
     if (newCIFailures.length > 0) {
       await fetchAndSaveCILogs(newCIFailures);
     }
 
-    await sendNotification(newBlockingIssues);
+    // Don't re-notify issues we already notified about before a restart
+    const toNotify = newBlockingIssues.filter(i => !notifiedIssueIds.has(i.id));
+    if (toNotify.length > 0) {
+      await sendNotification(toNotify);
+      toNotify.forEach(i => notifiedIssueIds.add(i.id));
+    }
     notifiedReadyToMerge = false;
   } else if (newNonBlockingIssues.length > 0) {
     console.log(`${COLORS.yellow}ℹ️  ${newNonBlockingIssues.length} new non-blocking issue(s) (won't prevent merge)${COLORS.reset}`);
@@ -1046,59 +737,64 @@ async function pollForIssues() {
       const isNew = !seenIssueIds.has(issue.id);
       const newTag = isNew ? ` ${COLORS.bright}${COLORS.yellow}← NEW${COLORS.reset}` : '';
       
-      if (issue.type === 'ci_failure') {
+      if (issue.kind === 'ci') {
         // CI failure display
         const ciName = issue.name || issue.source || 'CI';
         const description = issue.description || issue.output || 'Build failed';
         
-        if (issue.nonBlocking) {
+        if (!issue.blocking) {
           // Non-blocking CI failure (Slack notifications, etc.) - show dimmed
           console.log(`  ⚠️  ${COLORS.yellow}[CI-optional]${COLORS.reset} ${COLORS.cyan}${issue.id}${COLORS.reset}${newTag}`);
-          console.log(`     ${ciName} ${COLORS.yellow}(non-blocking)${COLORS.reset}`);
+          console.log(`     ${ciName} ${COLORS.yellow}(${issue.required === false ? 'not required' : 'non-blocking'})${COLORS.reset}`);
         } else {
           // Blocking CI failure
-          console.log(`  ❌ ${COLORS.red}[CI]${COLORS.reset} ${COLORS.cyan}${issue.id}${COLORS.reset}${newTag}`);
-          console.log(`     ${COLORS.bright}${ciName}${COLORS.reset}`);
+          const flakyTag = issue.flaky?.all ? ` ${COLORS.yellow}🎲 likely flaky${COLORS.reset}` : '';
+          console.log(`  ❌ ${COLORS.red}[CI]${COLORS.reset} ${COLORS.cyan}${issue.id}${COLORS.reset}${flakyTag}${newTag}`);
+          const requiredTag = issue.required ? ` ${COLORS.red}(required)${COLORS.reset}` : '';
+          console.log(`     ${COLORS.bright}${ciName}${COLORS.reset}${requiredTag}`);
           console.log(`     ${description}`);
+          if (issue.flaky) {
+            console.log(`     ${COLORS.yellow}🎲 ${issue.flaky.all ? '' : 'Partly flaky - '}${issue.flaky.reason} (press t to retry)${COLORS.reset}`);
+          }
+          if (issue.base) {
+            console.log(`     ${formatBaseComparison(issue.base)}`);
+          }
+          if (issue.testFailures?.length > 0) {
+            const first = issue.testFailures[0];
+            const more = issue.testFailures.length > 1 ? ` (+${issue.testFailures.length - 1} more)` : '';
+            console.log(`     ${COLORS.red}🧪 ${first.test || formatFailureLocation(first)}${COLORS.reset}${more}`);
+          }
           if (issue.localLogFile) {
-            console.log(`     ${COLORS.green}Logs: ${issue.localLogFile}${COLORS.reset}`);
+            const size = issue.logSize > LARGE_LOG_BYTES ? ` (${formatBytes(issue.logSize)})` : '';
+            console.log(`     ${COLORS.green}Logs: ${issue.localLogFile}${size}${COLORS.reset}`);
+            if (issue.artifactsDir) {
+              console.log(`     ${COLORS.green}Artifacts: ${issue.artifactsDir}/ (${issue.artifacts.length} file(s))${COLORS.reset}`);
+            }
           } else if (issue.url) {
             console.log(`     ${COLORS.blue}${issue.url}${COLORS.reset}`);
           }
         }
       } else {
-        // Review bot issue display (cursorbot, codex, etc.)
-        const location = issue.path ? `${issue.path}${issue.line ? `:${issue.line}` : ''}` : 'PR Comment';
-        
-        // Determine bot icon and label
-        const botIcon = issue.botType === 'codex' ? '🧠' : '🤖';
-        const botLabel = issue.botType === 'codex' ? 'CODEX' : 'CURSOR';
-        
-        // Extract title from body (first line or heading)
-        const titleMatch = issue.body?.match(/^#+\s*(.+)$/m) || issue.body?.match(/^\*\*(.+?)\*\*/m);
-        const title = titleMatch ? titleMatch[1].slice(0, 50) : (issue.body?.split('\n')[0]?.slice(0, 50) || 'Issue');
-        
-        // Extract severity/priority from body (Codex uses P0, P1, P2 format)
-        const severityMatch = issue.body?.match(/\*\*(High|Medium|Low)\s+Severity\*\*/i) || 
-                             issue.body?.match(/(High|Medium|Low)\s+Severity/i);
-        const priorityMatch = issue.body?.match(/[🔴🟡🟢]?\s*(P[0-2])\b/i);
+        // Review issue display (icon/label from the bot registry, or human reviewer)
+        const location = formatLocation(issue) || 'PR Comment';
+        const botInfo = getBot(issue.bot) || { icon: '💬', label: 'COMMENT' };
+        const label = issue.blocking ? botInfo.label : `${botInfo.label}-optional`;
+        const author = issue.bot === HUMAN_REVIEWER.id ? ` ${COLORS.blue}@${issue.author}${COLORS.reset}` : '';
+        const title = issue.title.slice(0, 50);
         
         let severityTag = '';
-        if (severityMatch) {
-          const sev = severityMatch[1].toLowerCase();
-          if (sev === 'high') severityTag = `${COLORS.red}[HIGH]${COLORS.reset} `;
-          else if (sev === 'medium') severityTag = `${COLORS.yellow}[MED]${COLORS.reset} `;
-          else severityTag = `${COLORS.blue}[LOW]${COLORS.reset} `;
-        } else if (priorityMatch) {
-          const pri = priorityMatch[1].toUpperCase();
-          if (pri === 'P0') severityTag = `${COLORS.red}[P0]${COLORS.reset} `;
-          else if (pri === 'P1') severityTag = `${COLORS.yellow}[P1]${COLORS.reset} `;
-          else severityTag = `${COLORS.blue}[P2]${COLORS.reset} `;
+        if (issue.severity) {
+          const severityColor = issue.severity.level === 'high' ? COLORS.red :
+                                issue.severity.level === 'medium' ? COLORS.yellow : COLORS.blue;
+          severityTag = `${severityColor}[${issue.severity.label}]${COLORS.reset} `;
         }
         
-        console.log(`  ${botIcon} ${COLORS.magenta}[${botLabel}]${COLORS.reset} ${severityTag}${COLORS.cyan}${issue.id}${COLORS.reset}${newTag}`);
+        console.log(`  ${botInfo.icon} ${COLORS.magenta}[${label}]${COLORS.reset} ${severityTag}${COLORS.cyan}${issue.id}${COLORS.reset}${author}${newTag}`);
         console.log(`     ${title}${title.length >= 50 ? '...' : ''}`);
         console.log(`     ${COLORS.blue}${location}${COLORS.reset}`);
+        if (issue.suggestedFix) {
+          console.log(`     ${COLORS.green}💡 Suggested fix included${COLORS.reset}`);
+        }
       }
       console.log('');
     }
@@ -1107,48 +803,74 @@ async function pollForIssues() {
     console.log(`${COLORS.magenta}Tip:${COLORS.reset} Run ${COLORS.cyan}prdetail <ID>${COLORS.reset} for full details`);
     
     // Check if there are CI failures
-    const ciFailures = allIssues.filter(i => i.type === 'ci_failure' && !i.nonBlocking);
+    const ciFailures = allIssues.filter(i => i.kind === 'ci' && i.blocking);
+    const comments = allIssues.filter(i => i.kind !== 'ci');
     const ciWithLogs = ciFailures.filter(i => i.localLogFile);
-    const ciWithoutLogs = ciFailures.filter(i => !i.localLogFile && i.url?.includes('buildkite.com'));
+    const ciWithoutLogs = ciFailures.filter(i => !i.localLogFile && getIssueCIUrl(i));
     if (ciWithLogs.length > 0) {
       console.log(`${COLORS.magenta}CI:${COLORS.reset}  Logs fetched — read the file(s) listed above`);
     } else if (ciWithoutLogs.length > 0) {
-      console.log(`${COLORS.magenta}CI:${COLORS.reset}  Run ${COLORS.cyan}bklog <URL>${COLORS.reset} for Buildkite failure details`);
+      const missingTokens = [...new Set(ciWithoutLogs.map(i => findCIProvider(getIssueCIUrl(i)).provider).filter(p => !p.isConfigured()).map(p => p.tokenEnv))];
+      const tokenNote = missingTokens.length > 0 ? ` (set ${missingTokens.join(', ')} in .env to fetch logs automatically)` : '';
+      console.log(`${COLORS.magenta}CI:${COLORS.reset}  Run ${COLORS.cyan}cilog <URL>${COLORS.reset} for failure details${tokenNote}`);
     }
     
     // Show shortcuts here with the tips
-    console.log(`${COLORS.magenta}Keys:${COLORS.reset} ${COLORS.cyan}c${COLORS.reset}=copy issues  ${COLORS.cyan}u${COLORS.reset}=copy URL  ${COLORS.cyan}r${COLORS.reset}=refresh  ${COLORS.cyan}q${COLORS.reset}=quit`);
+    console.log(`${COLORS.magenta}Keys:${COLORS.reset} ${COLORS.cyan}c${COLORS.reset}=copy issues  ${COLORS.cyan}u${COLORS.reset}=copy URL  ${ciFailures.length > 0 ? `${COLORS.cyan}t${COLORS.reset}=retry failed CI  ` : ''}${comments.length > 0 ? `${COLORS.cyan}f${COLORS.reset}=reply fixed + resolve  ${COLORS.cyan}x${COLORS.reset}=resolve  ${COLORS.cyan}+${COLORS.reset}=react 👍  ` : ''}${COLORS.cyan}r${COLORS.reset}=refresh  ${COLORS.cyan}q${COLORS.reset}=quit`);
   }
   
-  // Update seen issues
+  // Update seen issues and persist them so restarts don't flag them as new
   for (const issue of allIssues) {
     seenIssueIds.add(issue.id);
   }
+  updatePRState(prInfo, state => {
+    seenIssueIds.forEach(id => state.seenIssueIds.add(id));
+    notifiedIssueIds.forEach(id => state.notifiedIssueIds.add(id));
+  });
+  if (snapshot.pr) {
+    setPRClosed(prInfo, snapshot.pr.state === 'closed');
+  }
   
   // ========== STATUS SECTION (always at bottom) ==========
   console.log(`${COLORS.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
   
   // Check CI and blocking issues status
-  const blockingIssues = allIssues.filter(i => !i.nonBlocking);
+  const blockingIssues = allIssues.filter(i => i.blocking);
   const hasBlockingIssues = blockingIssues.length > 0;
-  const nonBlockingCount = allIssues.length - blockingIssues.length;
-  const ciStatus = await checkCIStatus(prInfo.owner, prInfo.repo, prInfo.number);
+  const changesRequested = snapshot.changesRequested || [];
+  const mergeBlocked = hasBlockingIssues || changesRequested.length > 0;
+  const ciStatus = checkCIStatus(snapshot);
+  const ciTiming = ciStatus.headSha
+    ? updateCITimings(`${prInfo.owner}/${prInfo.repo}`, ciStatus.headSha, ciStatus.checks)
+    : null;
+  const [lastPush] = recordPushSnapshot(prInfo, ciStatus.headSha, allIssues, {
+    pendingChecks: ciStatus.checks.filter(c => c.blocking && c.state === 'pending').map(c => c.name),
+  });
   
-  // Build CI status message
+  // Build CI status message (counts are blocking checks only)
+  const checks = ciStatus.required ? 'required check' : 'check';
   let ciStatusMsg = '';
   if (ciStatus.allGreen) {
-    ciStatusMsg = `✅ ${ciStatus.passed} checks passed`;
-    if (ciStatus.nonBlockingFailed > 0 || nonBlockingCount > 0) {
-      ciStatusMsg += ` (${ciStatus.nonBlockingFailed + nonBlockingCount} non-blocking failed)`;
+    ciStatusMsg = `✅ ${ciStatus.passed} ${checks}s passed`;
+    if (ciStatus.nonBlockingFailed > 0) {
+      ciStatusMsg += ` (${ciStatus.nonBlockingFailed} non-blocking failed)`;
     }
   } else if (ciStatus.pending > 0) {
-    ciStatusMsg = `⏳ ${ciStatus.pending} check(s) pending, ${ciStatus.passed} passed`;
+    ciStatusMsg = `⏳ ${ciStatus.pending} ${checks}(s) pending, ${ciStatus.passed} passed`;
     if (ciStatus.failed > 0) {
       ciStatusMsg += `, ${ciStatus.failed} failed`;
     }
+    if (ciTiming?.finishAt) {
+      const at = ciTiming.finishAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      ciStatusMsg += ` - ETA ${ciTiming.complete ? '' : 'at least '}~${at} (${formatDuration(ciTiming.finishAt - Date.now())})`;
+    }
   } else if (ciStatus.failed > 0) {
-    ciStatusMsg = `❌ ${ciStatus.failed} check(s) failed, ${ciStatus.passed} passed`;
+    ciStatusMsg = `❌ ${ciStatus.failed} ${checks}(s) failed, ${ciStatus.passed} passed`;
+  }
+  if (ciStatus.optionalPending > 0) {
+    ciStatusMsg += ` (${ciStatus.optionalPending} optional still running)`;
   }
+  lastCIStatusMsg = ciStatusMsg || null;
   
   // Check for merge queue state changes and send notifications
   const currentQueueState = mergeQueueStatus.merged ? 'MERGED' : 
@@ -1166,17 +888,24 @@ async function pollForIssues() {
   }
   
   // Send ready notification if applicable
-  if (!hasBlockingIssues && ciStatus.allGreen && !notifiedReadyToMerge) {
+  if (!mergeBlocked && ciStatus.allGreen && !notifiedReadyToMerge) {
     if (previouslyHadBlockingIssues) {
       await sendReadyToMergeNotification();
     }
     notifiedReadyToMerge = true;
   }
   
+  const backoffUntil = getBackoffUntil();
+  if (backoffUntil) {
+    console.log(`${COLORS.red}⏸  GitHub rate limit hit - pausing until ${backoffUntil.toLocaleTimeString()}${COLORS.reset}`);
+  }
+  
   // Display the combined status
   if (mergeQueueStatus.merged) {
     console.log(`${COLORS.bright}${COLORS.green}🎉 PR MERGED!${COLORS.reset}`);
     console.log(`${COLORS.green}${ciStatusMsg}${COLORS.reset}`);
+  } else if (snapshot.pr?.state === 'closed') {
+    console.log(`${COLORS.yellow}🚫 PR CLOSED${COLORS.reset}`);
   } else if (mergeQueueStatus.inQueue) {
     // In merge queue - show queue status prominently
     const displayState = mergeQueueStatus.displayState || 'In queue';
@@ -1187,9 +916,14 @@ async function pollForIssues() {
     
     console.log(`${COLORS.bright}📋 MERGE QUEUE:${COLORS.reset} ${stateColor}${displayState}${COLORS.reset}`);
     console.log(`${COLORS.green}${ciStatusMsg}${COLORS.reset}`);
-  } else if (hasBlockingIssues) {
-    // Has issues to fix
-    console.log(`${COLORS.yellow}⚠️  ${blockingIssues.length} blocking issue(s) to fix${COLORS.reset}`);
+  } else if (mergeBlocked) {
+    // Has issues to fix and/or reviewers requesting changes
+    if (hasBlockingIssues) {
+      console.log(`${COLORS.yellow}⚠️  ${blockingIssues.length} blocking issue(s) to fix${COLORS.reset}`);
+    }
+    if (changesRequested.length > 0) {
+      console.log(`${COLORS.red}⛔ Changes requested by ${changesRequested.map(r => `@${r.author}`).join(', ')}${COLORS.reset}`);
+    }
     console.log(`${ciStatus.allGreen ? COLORS.green : COLORS.yellow}${ciStatusMsg}${COLORS.reset}`);
   } else if (ciStatus.allGreen) {
     // Ready to merge - not in queue yet
@@ -1206,16 +940,147 @@ async function pollForIssues() {
     console.log(`${COLORS.red}${ciStatusMsg}${COLORS.reset}`);
   }
   
+  // What the latest push fixed, compared with the commit before it
+  if (lastPush?.previousSha) {
+    const color = lastPush.introduced.length > 0 ? COLORS.yellow : COLORS.green;
+    console.log(`${color}🔁 Last push (${lastPush.sha.slice(0, 7)}): ${formatPushSummary(lastPush)}${COLORS.reset}`);
+  }
+  
+  // Running checks, with how far along they usually are
+  if (ciTiming && ciStatus.pending > 0 && !mergeQueueStatus.merged && snapshot.pr?.state !== 'closed') {
+    printCIProgress(ciTiming);
+    await notifyCITiming(ciStatus.headSha, ciTiming);
+  }
+  
   console.log('');
   
+  // Decide when to poll next
+  const prClosed = snapshot.pr?.state === 'closed';
+  const activityKey = JSON.stringify([headSha, allIssues.map(i => i.id).sort(), changesRequested.map(r => r.id), ciStatus.pending, ciStatus.failed, currentQueueState]);
+  if (activityKey !== lastActivityKey) {
+    lastActivityKey = activityKey;
+    lastActivityTime = Date.now();
+  }
+  nextPoll = getNextPoll({ ciStatus, mergeQueueStatus, prClosed, draft: snapshot.pr?.draft });
+  
+  if (!nextPoll) {
+    console.log(`${COLORS.blue}Polling stopped (PR ${mergeQueueStatus.merged ? 'merged' : 'closed'}). Press r to refresh, q to quit.${COLORS.reset}`);
+  } else {
+    console.log(`${COLORS.blue}Next check in ${nextPoll.seconds}s (${nextPoll.reason})${COLORS.reset}`);
+  }
+  
   lastMergeQueueState = currentQueueState;
-  previouslyHadBlockingIssues = hasBlockingIssues;
+  previouslyHadBlockingIssues = mergeBlocked;
 
   // Remove logs for CI issues that are no longer active
   const activeIssueIds = new Set(allIssues.map(i => i.id));
   cleanupStaleLogs(activeIssueIds);
 }
 
+/**
+ * Pick the next poll interval from the PR's state.
+ * Returns { seconds, reason }, or null to stop polling (merged/closed).
+ */
+function getNextPoll({ ciStatus, mergeQueueStatus, prClosed, draft }) {
+  if (mergeQueueStatus.merged || prClosed) {
+    return null;
+  }
+  
+  let next;
+  if (webhookPort) {
+    next = { seconds: pollIntervals.fallback, reason: 'webhooks enabled' };
+  } else if (mergeQueueStatus.inQueue) {
+    next = { seconds: pollIntervals.fast, reason: 'in merge queue' };
+  } else if (ciStatus.pending > 0) {
+    next = { seconds: pollIntervals.fast, reason: 'CI pending' };
+  } else if (draft) {
+    next = { seconds: pollIntervals.idle, reason: 'draft' };
+  } else if (Date.now() - lastActivityTime > IDLE_AFTER_MS) {
+    next = { seconds: pollIntervals.idle, reason: 'idle' };
+  } else {
+    next = { seconds: pollIntervals.normal, reason: 'watching' };
+  }
+  
+  // Rate limited - wait until the reset time
+  const backoffUntil = getBackoffUntil();
+  if (backoffUntil) {
+    const backoffSeconds = Math.ceil((backoffUntil - Date.now()) / 1000);
+    if (backoffSeconds > next.seconds) {
+      next = { seconds: backoffSeconds, reason: 'rate limited' };
+    }
+  }
+  
+  return next;
+}
+
+/**
+ * Poll now, then schedule the next poll. Polls never overlap: asking while one
+ * is running queues a single poll after it (shared by everyone who asked
+ * meanwhile). A failed poll is logged and polling carries on.
+ */
+function refreshNow() {
+  if (pollInFlight) {
+    pollQueued = true;
+    return pollInFlight;
+  }
+  
+  pollInFlight = (async () => {
+    do {
+      pollQueued = false;
+      try {
+        await pollForIssues();
+      } catch (e) {
+        console.error(`${COLORS.red}Poll failed: ${e.message}${COLORS.reset}`);
+        // No poll has got through yet, so there's no interval to keep - retry at the normal one
+        if (!nextPoll && !lastActivityKey) nextPoll = { seconds: pollIntervals.normal, reason: 'retrying after an error' };
+      }
+      // The redraw scrolled away a pending prompt - show it again, it still takes the next key
+      if (keyPrompt) process.stdout.write(`\n${keyPrompt.text}`);
+    } while (pollQueued);
+    pollInFlight = null;
+    scheduleNextPoll();
+  })();
+  return pollInFlight;
+}
+
+/**
+ * Schedule the next poll (replaces any pending one). Stops once the PR is merged/closed.
+ */
+function scheduleNextPoll() {
+  clearTimeout(pollTimer);
+  if (!nextPoll) return;
+  
+  pollTimer = setTimeout(refreshNow, nextPoll.seconds * 1000);
+}
+
+/**
+ * Refresh shortly after a webhook delivery. Bursts of deliveries are
+ * coalesced into a single poll.
+ */
+function scheduleRefresh() {
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshNow();
+  }, WEBHOOK_DEBOUNCE_MS);
+}
+
+/**
+ * Start the local webhook receiver; deliveries for this PR trigger a refresh
+ */
+async function startWebhooks(port) {
+  await startWebhookReceiver({
+    port,
+    secret: process.env.GITHUB_WEBHOOK_SECRET,
+    onEvent: ({ event, targets }) => {
+      if (!matchesPR(targets, { ...prInfo, headSha })) return;
+      lastWebhookEvent = `${event} at ${new Date().toLocaleTimeString()}`;
+      scheduleRefresh();
+    },
+  });
+  webhookPort = port;
+}
+
 /**
  * Copy all current issues to clipboard
  */
@@ -1238,6 +1103,122 @@ async function copyAllIssuesToClipboard() {
   }
 }
 
+/**
+ * Retry the current blocking CI failures (failed jobs via their CI provider,
+ * or the GitHub check suite)
+ */
+async function retryFailedCI() {
+  const ciFailures = (globalThis.currentIssues || []).filter(i => i.kind === 'ci' && i.blocking);
+
+  if (ciFailures.length === 0) {
+    console.log(`\n${COLORS.yellow}No failed CI to retry.${COLORS.reset}`);
+    return;
+  }
+
+  console.log(`\n${COLORS.cyan}Retrying ${ciFailures.length} CI failure(s)...${COLORS.reset}`);
+  for (const result of await retryCIFailures(prInfo.owner, prInfo.repo, ciFailures)) {
+    if (result.error) {
+      console.log(`${COLORS.red}  ✗ ${result.target}: ${result.error}${COLORS.reset}`);
+    } else {
+      console.log(`${COLORS.green}  ↻ ${result.target}: retried ${result.retried} job(s)${COLORS.reset}`);
+    }
+  }
+}
+
+/**
+ * Show a question (after `context`, e.g. the choices) and wait for the next key
+ * press. Polls redraw the screen meanwhile, so they show the prompt again.
+ */
+function waitForKey(question, context = '') {
+  const text = `${context}${question}`;
+  process.stdout.write(text);
+  return new Promise(resolve => {
+    keyPrompt = { resolve, text };
+  });
+}
+
+/**
+ * Ask which review comment to act on (at most 9, one key each).
+ * Returns the issue, or null when cancelled.
+ */
+async function pickComment(action, filter) {
+  const comments = (globalThis.currentIssues || []).filter(i => i.kind !== 'ci' && filter(i)).slice(0, 9);
+  if (comments.length === 0) {
+    console.log(`\n${COLORS.yellow}No review comments to ${action}.${COLORS.reset}`);
+    return null;
+  }
+  
+  const choices = comments.map((issue, i) => {
+    const location = formatLocation(issue);
+    return `  ${COLORS.cyan}${i + 1}${COLORS.reset}  ${issue.id}  ${issue.title.slice(0, 50)}${location ? ` ${COLORS.blue}(${location})${COLORS.reset}` : ''}\n`;
+  });
+  const key = await waitForKey(
+    `Press 1-${comments.length} (any other key cancels): `,
+    `\n${COLORS.cyan}Which comment to ${action}?${COLORS.reset}\n${choices.join('')}`,
+  );
+  const issue = comments[parseInt(key) - 1] || null;
+  console.log(issue ? issue.id : 'cancelled');
+  return issue;
+}
+
+/**
+ * Ask a yes/no question. Returns true only for "y".
+ */
+async function confirmKey(question) {
+  const confirmed = (await waitForKey(`${question} [y/N] `)) === 'y';
+  console.log(confirmed ? 'yes' : 'cancelled');
+  return confirmed;
+}
+
+/**
+ * Answer a review comment on GitHub: 'fixed' replies "Fixed in <head commit>"
+ * and resolves its thread, 'resolve' only resolves it, 'react' adds a 👍.
+ * Asks which comment, then for confirmation.
+ */
+async function actOnComment(action) {
+  const needsThread = action !== 'react';
+  const label = { fixed: 'mark fixed', resolve: 'resolve', react: 'react 👍 to' }[action];
+  const issue = await pickComment(label, i => !needsThread || i.threadId);
+  if (!issue) return;
+  
+  if (action === 'fixed' && !headSha) {
+    console.log(`${COLORS.red}  ✗ PR head commit unknown - refresh (r) and try again${COLORS.reset}`);
+    return;
+  }
+  const reply = `Fixed in ${headSha?.slice(0, 7)}`;
+  const question = {
+    fixed: `Reply "${reply}" to ${issue.id} and resolve its thread?`,
+    resolve: `Resolve the thread of ${issue.id}?`,
+    react: `React 👍 to ${issue.id}?`,
+  }[action];
+  if (!(await confirmKey(question))) return;
+  
+  const { owner, repo, number } = prInfo;
+  if (action === 'react') {
+    const { error } = await reactToIssue(owner, repo, issue, '+1');
+    console.log(error ? `${COLORS.red}  ✗ ${error}${COLORS.reset}` : `${COLORS.green}  👍 Reacted to ${issue.id}${COLORS.reset}`);
+    return;
+  }
+  
+  if (action === 'fixed') {
+    const { error } = await replyToIssue(owner, repo, number, issue, reply);
+    if (error) {
+      console.log(`${COLORS.red}  ✗ ${error}${COLORS.reset}`);
+      return;
+    }
+    console.log(`${COLORS.green}  💬 Replied "${reply}"${COLORS.reset}`);
+  }
+  const { error } = await resolveIssueThread(issue);
+  if (error) {
+    console.log(`${COLORS.red}  ✗ ${error}${COLORS.reset}`);
+    return;
+  }
+  console.log(`${COLORS.green}  ✓ Resolved the thread of ${issue.id}${COLORS.reset}`);
+  
+  // The resolved thread drops out of the issue list
+  await refreshNow();
+}
+
 /**
  * Set up keyboard shortcuts
  */
@@ -1251,59 +1232,109 @@ function setupKeyboardShortcuts() {
   readline.emitKeypressEvents(process.stdin);
   process.stdin.setRawMode(true);
   
-  process.stdin.on('keypress', async (str, key) => {
-    // Handle Ctrl+C
-    if (key.ctrl && key.name === 'c') {
-      console.log(`\n${COLORS.yellow}Stopping watcher...${COLORS.reset}`);
-      cleanupAllSessionLogs();
-      process.exit(0);
-    }
+  process.stdin.on('keypress', (str, key) => {
+    handleKeypress(str, key).catch(e => {
+      console.error(`${COLORS.red}Key ${key?.name || str}: ${e.message}${COLORS.reset}`);
+    });
+  });
+}
 
-    // Handle 'q' to quit
-    if (key.name === 'q') {
-      console.log(`\n${COLORS.yellow}Stopping watcher...${COLORS.reset}`);
-      cleanupAllSessionLogs();
-      process.exit(0);
-    }
-    
-    // Handle 'c' to copy all issues
-    if (key.name === 'c') {
-      await copyAllIssuesToClipboard();
-    }
-    
-    // Handle 'u' to copy PR URL
-    if (key.name === 'u') {
-      const url = getPRUrl();
-      if (url) {
-        const copied = await copyToClipboard(url);
-        if (copied) {
-          console.log(`\n${COLORS.green}📋 PR URL copied to clipboard!${COLORS.reset}`);
-          console.log(`${COLORS.blue}${url}${COLORS.reset}\n`);
-        }
+/**
+ * Handle a key (see setupKeyboardShortcuts)
+ */
+async function handleKeypress(str, key) {
+  // Handle Ctrl+C
+  if (key.ctrl && key.name === 'c') {
+    console.log(`\n${COLORS.yellow}Stopping watcher...${COLORS.reset}`);
+    cleanupAllSessionLogs();
+    process.exit(0);
+  }
+  
+  // A prompt (comment picker, confirmation) takes the next key
+  if (keyPrompt) {
+    const { resolve } = keyPrompt;
+    keyPrompt = null;
+    resolve(str || key.name);
+    return;
+  }
+
+  // Handle 'q' to quit
+  if (key.name === 'q') {
+    console.log(`\n${COLORS.yellow}Stopping watcher...${COLORS.reset}`);
+    cleanupAllSessionLogs();
+    process.exit(0);
+  }
+  
+  // Handle 'c' to copy all issues
+  if (key.name === 'c') {
+    await copyAllIssuesToClipboard();
+  }
+  
+  // Handle 'u' to copy PR URL
+  if (key.name === 'u') {
+    const url = getPRUrl();
+    if (url) {
+      const copied = await copyToClipboard(url);
+      if (copied) {
+        console.log(`\n${COLORS.green}📋 PR URL copied to clipboard!${COLORS.reset}`);
+        console.log(`${COLORS.blue}${url}${COLORS.reset}\n`);
       }
     }
-    
-    // Handle 'r' to refresh now
-    if (key.name === 'r') {
-      console.log(`\n${COLORS.cyan}Refreshing...${COLORS.reset}`);
-      await pollForIssues();
-    }
-  });
+  }
+  
+  // Handle 't' to retry failed CI
+  if (key.name === 't') {
+    await retryFailedCI();
+  }
+  
+  // Handle 'f' / 'x' / '+' to answer a review comment on GitHub
+  if (key.name === 'f') {
+    await actOnComment('fixed');
+  }
+  if (key.name === 'x') {
+    await actOnComment('resolve');
+  }
+  if (str === '+') {
+    await actOnComment('react');
+  }
+  
+  // Handle 'r' to refresh now
+  if (key.name === 'r') {
+    console.log(`\n${COLORS.cyan}Refreshing...${COLORS.reset}`);
+    await refreshNow();
+  }
 }
 
 /**
  * Main entry point
  */
 async function main() {
-  // Get PR reference from args or env
-  const prRef = process.argv[2] || process.env.PR_URL;
+  // Get PR reference and options from args or env
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'webhook-port': { type: 'string' },
+      'poll-fast': { type: 'string' },
+      'poll-normal': { type: 'string' },
+      'poll-idle': { type: 'string' },
+      'poll-fallback': { type: 'string' },
+      'human-reviews': { type: 'string' },
+      'notifier': { type: 'string' },
+      'clipboard': { type: 'string' },
+    },
+  });
+  const prRef = positionals[0] || process.env.PR_URL;
   
   if (!prRef) {
-    console.error('Usage: node watcher.js <PR_URL or owner/repo#number>');
+    console.error('Usage: node watcher.js <PR_URL or owner/repo#number> [--webhook-port <port>]');
+    console.error('         [--poll-fast <s>] [--poll-normal <s>] [--poll-idle <s>] [--poll-fallback <s>]');
+    console.error('         [--human-reviews blocking|optional]');
+    console.error(`         [--notifier ${NOTIFIERS.join('|')}] [--clipboard ${CLIPBOARDS.join('|')}]`);
     console.error('  Or set PR_URL environment variable');
     console.error('\nExample:');
     console.error('  GITHUB_TOKEN=xxx node watcher.js joinhandshake/joinera#8211');
     console.error('  GITHUB_TOKEN=xxx PR_URL="https://github.com/owner/repo/pull/123" node watcher.js');
+    console.error('  node watcher.js joinhandshake/joinera#8211 --webhook-port 8787');
     process.exit(1);
   }
   
@@ -1313,19 +1344,53 @@ async function main() {
   }
   
   prInfo = parsePRReference(prRef);
-  if (!prInfo) {
+  if (!prInfo?.owner) {
     console.error('Invalid PR reference:', prRef);
     process.exit(1);
   }
   
-  // Set up keyboard shortcuts (c=copy, r=refresh, q=quit)
-  setupKeyboardShortcuts();
+  // Restore seen/notified issues from previous runs
+  pruneExpiredPRStates();
+  const savedState = loadPRState(prInfo);
+  seenIssueIds = savedState.seenIssueIds;
+  notifiedIssueIds = savedState.notifiedIssueIds;
+  
+  // Poll intervals: CLI flag > env var > default
+  for (const name of Object.keys(DEFAULT_POLL_INTERVALS)) {
+    const value = parseInt(options[`poll-${name}`] || process.env[`POLL_${name.toUpperCase()}_SECONDS`]);
+    if (value > 0) pollIntervals[name] = value;
+  }
+  
+  // Human review threads: CLI flag > HUMAN_REVIEWS env var > off
+  humanReviewMode = getHumanReviewMode(options['human-reviews']);
+  
+  // Notification/clipboard backends: CLI flag > NOTIFIER/CLIPBOARD env var > auto-detected
+  for (const [name, allowed] of [['notifier', NOTIFIERS], ['clipboard', CLIPBOARDS]]) {
+    if (options[name] && !allowed.includes(options[name])) {
+      console.error(`Unknown --${name} "${options[name]}" (expected ${allowed.join(', ')})`);
+      process.exit(1);
+    }
+  }
+  configureNotifier({ notifier: options.notifier, clipboard: options.clipboard });
   
-  // Initial check (will clear screen and show header)
-  await pollForIssues();
+  // Optional webhook receiver (polling becomes a slow fallback)
+  const portOption = options['webhook-port'] || process.env.WEBHOOK_PORT;
+  if (portOption) {
+    const port = parseInt(portOption) || DEFAULT_WEBHOOK_PORT;
+    try {
+      await startWebhooks(port);
+    } catch (e) {
+      console.error(`Could not start webhook receiver on port ${port}: ${e.message}`);
+      process.exit(1);
+    }
+  }
+  
+  // Set up keyboard shortcuts (c=copy, t=retry CI, r=refresh, q=quit)
+  setupKeyboardShortcuts();
   
-  // Start polling
-  setInterval(pollForIssues, POLL_INTERVAL_MS);
+  // Initial check (will clear screen and show header), then keep polling at an
+  // interval adapted to the PR's state
+  await refreshNow();
 }
 
 main().catch(console.error);
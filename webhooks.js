@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub webhook receiver for PR Watcher
+ *
+ * Accepts GitHub webhook deliveries on a local HTTP port, verifies their
+ * signature, and reports which PR(s) they affect so the watcher can refresh
+ * immediately instead of waiting for the next poll.
+ *
+ * Deliveries reach localhost through a forwarder, e.g.:
+ *   gh webhook forward --repo=owner/repo --url=http://localhost:8787/ \
+ *     --events=pull_request,pull_request_review,pull_request_review_comment,issue_comment,check_run,check_suite,status,merge_group \
+ *     --secret=$GITHUB_WEBHOOK_SECRET
+ *
+ * Usage:
+ *   node webhooks.js send <event> <payload.json> [--port 8787]
+ *     Replay a recorded payload to a running receiver (signed with GITHUB_WEBHOOK_SECRET)
+ */
+
+import './env.js';
+import { fileURLToPath } from 'url';
+import { createServer } from 'http';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+
+export const DEFAULT_WEBHOOK_PORT = 8787;
+
+// Events that can change what the watcher shows
+export const WEBHOOK_EVENTS = [
+  'pull_request',
+  'pull_request_review',
+  'pull_request_review_comment',
+  'issue_comment',
+  'check_run',
+  'check_suite',
+  'status',
+  'merge_group',
+];
+
+const MAX_PAYLOAD_BYTES = 25 * 1024 * 1024; // GitHub caps deliveries at 25 MB
+
+/**
+ * Compute the X-Hub-Signature-256 header value for a payload
+ */
+export function signPayload(secret, body) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Verify a delivery's X-Hub-Signature-256 header (constant-time compare)
+ */
+export function verifySignature(secret, body, signature) {
+  if (!secret || !signature) return false;
+  const expected = Buffer.from(signPayload(secret, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Work out which PRs a webhook payload refers to.
+ * Returns { owner, repo, numbers: [...], shas: [...] } or null if the event isn't relevant.
+ * Status events only carry a commit SHA, so callers match those against the PR head.
+ */
+export function getWebhookTargets(event, payload) {
+  if (!WEBHOOK_EVENTS.includes(event)) return null;
+
+  const owner = payload.repository?.owner?.login;
+  const repo = payload.repository?.name;
+  if (!owner || !repo) return null;
+
+  const numbers = [];
+  const shas = [];
+
+  if (event === 'pull_request' || event === 'pull_request_review' || event === 'pull_request_review_comment') {
+    if (payload.pull_request?.number) numbers.push(payload.pull_request.number);
+    if (payload.pull_request?.head?.sha) shas.push(payload.pull_request.head.sha);
+  } else if (event === 'issue_comment') {
+    // Issue comments are delivered for issues too - only PRs have issue.pull_request
+    if (!payload.issue?.pull_request) return null;
+    numbers.push(payload.issue.number);
+  } else if (event === 'check_run' || event === 'check_suite') {
+    const check = payload[event];
+    for (const pr of check?.pull_requests || []) {
+      numbers.push(pr.number);
+    }
+    if (check?.head_sha) shas.push(check.head_sha);
+  } else if (event === 'status') {
+    if (payload.sha) shas.push(payload.sha);
+  } else if (event === 'merge_group') {
+    // head_ref looks like refs/heads/gh-readonly-queue/main/pr-123-<sha>
+    const match = payload.merge_group?.head_ref?.match(/\/pr-(\d+)-[0-9a-f]+$/);
+    if (match) numbers.push(parseInt(match[1]));
+  }
+
+  return { owner, repo, numbers, shas };
+}
+
+/**
+ * Check whether webhook targets match a watched PR
+ * `pr` is { owner, repo, number, headSha }
+ */
+export function matchesPR(targets, pr) {
+  if (!targets) return false;
+  if (targets.owner.toLowerCase() !== pr.owner.toLowerCase()) return false;
+  if (targets.repo.toLowerCase() !== pr.repo.toLowerCase()) return false;
+  return targets.numbers.includes(pr.number) || (pr.headSha && targets.shas.includes(pr.headSha));
+}
+
+/**
+ * Start a local webhook receiver.
+ * Calls onEvent({ event, deliveryId, payload, targets }) for each verified, relevant delivery.
+ * Bigger deliveries than maxPayloadBytes are answered with 413.
+ * Returns a Promise resolving to the http.Server once listening.
+ */
+export function startWebhookReceiver({ port = DEFAULT_WEBHOOK_PORT, host = '127.0.0.1', secret, onEvent, maxPayloadBytes = MAX_PAYLOAD_BYTES }) {
+  if (!secret) {
+    return Promise.reject(new Error('GITHUB_WEBHOOK_SECRET is required to verify webhook deliveries'));
+  }
+
+  const server = createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end('Method not allowed\n');
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxPayloadBytes) {
+        // Discard the rest of the body rather than destroying the socket, so
+        // the 413 reaches the sender; the connection is closed after it
+        tooLarge = true;
+        chunks.length = 0;
+        req.removeAllListeners('data');
+        req.resume();
+        res.writeHead(413, { Connection: 'close' }).end('Payload too large\n');
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (tooLarge) return;
+      const body = Buffer.concat(chunks);
+
+      if (!verifySignature(secret, body, req.headers['x-hub-signature-256'])) {
+        res.writeHead(401).end('Invalid signature\n');
+        return;
+      }
+
+      const event = req.headers['x-github-event'];
+      if (event === 'ping') {
+        res.writeHead(200).end('pong\n');
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf-8'));
+      } catch (e) {
+        res.writeHead(400).end('Invalid JSON\n');
+        return;
+      }
+
+      const targets = getWebhookTargets(event, payload);
+      res.writeHead(202).end(targets ? 'Accepted\n' : 'Ignored\n');
+
+      if (targets) {
+        onEvent({ event, deliveryId: req.headers['x-github-delivery'], payload, targets });
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+/**
+ * Replay a recorded payload to a running receiver
+ */
+async function sendRecordedPayload(event, payloadFile, port) {
+  const secret = process.env.GITHUB_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('GITHUB_WEBHOOK_SECRET not set');
+    process.exit(1);
+  }
+
+  const body = readFileSync(payloadFile);
+  const response = await fetch(`http://127.0.0.1:${port}/`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': `local-${Date.now()}`,
+      'X-Hub-Signature-256': signPayload(secret, body),
+    },
+    body,
+  });
+
+  console.log(`${response.status} ${(await response.text()).trim()}`);
+}
+
+/**
+ * Main entry point for CLI usage
+ */
+async function main() {
+  const [command, event, payloadFile] = process.argv.slice(2);
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex > -1 ? parseInt(process.argv[portIndex + 1]) : DEFAULT_WEBHOOK_PORT;
+
+  if (command !== 'send' || !event || !payloadFile) {
+    console.error('Usage: node webhooks.js send <event> <payload.json> [--port 8787]');
+    console.error('');
+    console.error('Example:');
+    console.error('  node webhooks.js send check_run test/fixtures/webhooks/check_run.json');
+    process.exit(1);
+  }
+
+  await sendRecordedPayload(event, payloadFile, port);
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(console.error);
+}